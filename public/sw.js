@@ -0,0 +1,146 @@
+// Service worker of the installable app (registered by src/pwa.js).
+//   App shell: index.html and the built assets, so the app starts offline.
+//     Navigations go to the network first, hashed assets come from the cache.
+//   Map tiles: every tile shown is kept, and the app sends the tiles along the
+//     active route (CACHE_TILES) to be downloaded ahead of time.
+// API and Supabase requests are left alone, the storage layer queues writes.
+
+const SHELL_CACHE = 'cycling-motivator-shell-v1';
+const TILE_CACHE = 'cycling-motivator-tiles-v1';
+const MAX_TILES = 4000;
+const TILE_HOSTS = /(^|\.)basemaps\.cartocdn\.com$|^server\.arcgisonline\.com$/;
+const INDEX_URL = self.registration.scope;
+
+// Index page plus every local file it links (scripts, styles, icons, manifest)
+const cacheShell = async () => {
+    const cache = await caches.open(SHELL_CACHE);
+    const response = await fetch(INDEX_URL, { cache: 'reload' });
+    if (!response.ok) return;
+    const html = await response.clone().text();
+    await cache.put(INDEX_URL, response);
+
+    const files = [...html.matchAll(/(?:src|href)="([^"]+)"/g)]
+        .map(match => new URL(match[1], INDEX_URL).href)
+        .filter(url => url.startsWith(self.location.origin));
+    await cache.addAll([...new Set(files)]);
+};
+
+self.addEventListener('install', (event) => {
+    event.waitUntil(cacheShell().then(() => self.skipWaiting()));
+});
+
+self.addEventListener('activate', (event) => {
+    event.waitUntil((async () => {
+        const names = await caches.keys();
+        await Promise.all(names
+            .filter(name => name !== SHELL_CACHE && name !== TILE_CACHE)
+            .map(name => caches.delete(name)));
+        // Take over the open page right away so it can send CACHE_TILES
+        await self.clients.claim();
+    })());
+});
+
+// --- Map tiles ---
+
+// Leaflet spreads tiles over the a/b/c subdomains, one copy per tile is enough
+const tileKey = (url) => url.replace(/^https:\/\/[a-d]\.basemaps\.cartocdn\.com\//, 'https://a.basemaps.cartocdn.com/');
+
+// Oldest tiles go first once there are too many
+const trimTiles = async () => {
+    const cache = await caches.open(TILE_CACHE);
+    const keys = await cache.keys();
+    await Promise.all(keys.slice(0, Math.max(0, keys.length - MAX_TILES)).map(key => cache.delete(key)));
+};
+
+// The map loads tiles as plain images (opaque responses, which the browser
+// counts with several MB each). Both tile servers allow CORS, so the tiles
+// are fetched with it and stored at their real size.
+const fetchTile = async (url) => {
+    const response = await fetch(url, { mode: 'cors' });
+    if (response.ok) {
+        const cache = await caches.open(TILE_CACHE);
+        await cache.put(tileKey(url), response.clone());
+    }
+    return response;
+};
+
+let tilesSinceTrim = 0;
+
+const handleTile = async (request) => {
+    const cached = await caches.match(tileKey(request.url), { cacheName: TILE_CACHE });
+    if (cached) return cached;
+    try {
+        const response = await fetchTile(request.url);
+        if (++tilesSinceTrim >= 100) {
+            tilesSinceTrim = 0;
+            await trimTiles();
+        }
+        return response;
+    } catch {
+        // Offline and never seen: Leaflet shows an empty tile
+        return Response.error();
+    }
+};
+
+// Downloads the tiles of a route a few at a time, skipping the known ones
+const cacheTiles = async (urls) => {
+    const cache = await caches.open(TILE_CACHE);
+    const missing = [];
+    for (const url of urls) {
+        if (!(await cache.match(tileKey(url)))) missing.push(url);
+    }
+    const worker = async () => {
+        while (missing.length > 0) {
+            try {
+                await fetchTile(missing.shift());
+            } catch {
+                return; // Connection lost, the next CACHE_TILES picks up the rest
+            }
+        }
+    };
+    await Promise.all([worker(), worker(), worker(), worker()]);
+    await trimTiles();
+};
+
+self.addEventListener('message', (event) => {
+    if (event.data && event.data.type === 'CACHE_TILES') event.waitUntil(cacheTiles(event.data.urls || []));
+});
+
+// --- Requests ---
+
+const handleNavigation = async (request) => {
+    try {
+        const response = await fetch(request);
+        if (response.ok) {
+            const cache = await caches.open(SHELL_CACHE);
+            await cache.put(INDEX_URL, response.clone());
+        }
+        return response;
+    } catch {
+        return (await caches.match(INDEX_URL, { cacheName: SHELL_CACHE })) || Response.error();
+    }
+};
+
+// Built assets carry a hash in their name, a cached copy never gets stale
+const handleAsset = async (request) => {
+    const cached = await caches.match(request, { cacheName: SHELL_CACHE });
+    if (cached) return cached;
+    const response = await fetch(request);
+    if (response.ok) {
+        const cache = await caches.open(SHELL_CACHE);
+        await cache.put(request, response.clone());
+    }
+    return response;
+};
+
+self.addEventListener('fetch', (event) => {
+    const { request } = event;
+    if (request.method !== 'GET') return;
+    const url = new URL(request.url);
+
+    if (TILE_HOSTS.test(url.hostname)) {
+        event.respondWith(handleTile(request));
+    } else if (url.origin === self.location.origin && !url.pathname.includes('/api/')) {
+        event.respondWith(request.mode === 'navigate' ? handleNavigation(request) : handleAsset(request));
+    }
+});
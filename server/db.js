@@ -0,0 +1,59 @@
+const fs = require('fs');
+const path = require('path');
+
+// db.json access. The file is read once and kept in memory. Every change runs
+// through a queue, so concurrent requests never overwrite each other, and is
+// written to a temp file that is then renamed over db.json: a crash mid-write
+// leaves the old file intact instead of a truncated one.
+
+const DB_FILE = process.env.DB_FILE || path.join(__dirname, 'db.json');
+
+const EMPTY_DB = { profiles: [], userData: {}, teams: [], settings: {} };
+
+let data = null;
+let queue = Promise.resolve();
+
+// Older files only have profiles and userData, with the app state as appState
+const migrate = (db) => {
+    const userData = {};
+    Object.entries(db.userData || {}).forEach(([id, state]) => {
+        const { appState, ...rest } = state || {};
+        userData[id] = { ...rest, user_id: id, app_state: rest.app_state || appState || null };
+    });
+    return { ...EMPTY_DB, ...db, userData };
+};
+
+const load = async () => {
+    if (data) return data;
+    try {
+        data = migrate(JSON.parse(await fs.promises.readFile(DB_FILE, 'utf8')));
+    } catch (err) {
+        if (err.code !== 'ENOENT') throw err;
+        data = migrate(EMPTY_DB);
+    }
+    return data;
+};
+
+const persist = async (db) => {
+    const tempFile = `${DB_FILE}.${process.pid}.tmp`;
+    await fs.promises.writeFile(tempFile, JSON.stringify(db, null, 2));
+    await fs.promises.rename(tempFile, DB_FILE);
+};
+
+const read = async () => load();
+
+// Runs change(db) on a copy and stores it. Whatever change returns is passed
+// on; if it throws, nothing is written and the error reaches the caller.
+const update = (change) => {
+    const run = queue.then(async () => {
+        const draft = structuredClone(await load());
+        const result = await change(draft);
+        await persist(draft);
+        data = draft;
+        return result;
+    });
+    queue = run.catch(() => {});
+    return run;
+};
+
+module.exports = { read, update, DB_FILE };
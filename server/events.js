@@ -0,0 +1,31 @@
+// Server-sent events at /api/events: every change is sent to all open apps as
+// { table, id }, table being 'profiles', 'user_state' or 'teams'. The apps
+// load what changed through the normal endpoints.
+
+const HEARTBEAT_MS = 25000; // keeps proxies from closing idle connections
+
+const clients = new Set();
+
+const stream = (req, res) => {
+    res.set({
+        'Content-Type': 'text/event-stream',
+        'Cache-Control': 'no-cache',
+        Connection: 'keep-alive'
+    });
+    res.flushHeaders();
+    res.write('retry: 3000\n\n');
+
+    clients.add(res);
+    const heartbeat = setInterval(() => res.write(':\n\n'), HEARTBEAT_MS);
+    req.on('close', () => {
+        clearInterval(heartbeat);
+        clients.delete(res);
+    });
+};
+
+const publish = (table, id) => {
+    const message = `data: ${JSON.stringify({ table, id })}\n\n`;
+    clients.forEach(res => res.write(message));
+};
+
+module.exports = { stream, publish };
@@ -1,61 +1,332 @@
 const express = require('express');
 const cors = require('cors');
-const fs = require('fs');
-const path = require('path');
+const db = require('./db');
+const { UPLOAD_DIR, PHOTO_SIZES, EXTENSIONS, savePhoto, removePhotos, moveInlinePhotos } = require('./uploads');
+const { stream, publish } = require('./events');
+const { validateProfile, validateRide, validateUserState, validateTeam, validateSetting } = require('./validation');
 
 const app = express();
-const PORT = 3001;
-const DB_FILE = path.join(__dirname, 'db.json');
+const PORT = process.env.PORT || 3001; // db.json location: DB_FILE, see db.js
 
 app.use(cors());
-app.use(express.json({ limit: '50mb' })); // Increased limit for base64 images
-
-// Helper to read DB
-const readDb = () => {
-    try {
-        const data = fs.readFileSync(DB_FILE, 'utf8');
-        return JSON.parse(data);
-    } catch (err) {
-        return { profiles: [], userData: {} };
+app.use(express.json({ limit: '10mb' })); // Long route paths; photos are uploaded as files
+
+// Errors thrown inside db.update() with a status end up as that HTTP status
+class HttpError extends Error {
+    constructor(status, message, details) {
+        super(message);
+        this.status = status;
+        this.details = details;
     }
+}
+
+const notFound = (what) => new HttpError(404, `${what} not found`);
+
+const assertValid = (errors) => {
+    if (errors.length > 0) throw new HttpError(400, 'Validation failed', errors);
 };
 
-// Helper to write DB
-const writeDb = (data) => {
-    fs.writeFileSync(DB_FILE, JSON.stringify(data, null, 2));
+// Lets async handlers throw instead of calling next(err) themselves
+const route = (handler) => (req, res, next) => {
+    Promise.resolve(handler(req, res)).catch(next);
 };
 
-// GET all profiles
-app.get('/api/profiles', (req, res) => {
-    const db = readDb();
-    res.json(db.profiles || []);
+const newId = (prefix) => `${prefix}-${Date.now()}-${Math.random().toString(36).slice(2, 8)}`;
+
+const emptyUserState = (userId) => ({
+    user_id: userId, route: null, progress: null, rides: [], achievements: [], goal: null, deleted_ride_ids: [], journeys: [], app_state: 'SETUP'
 });
 
-// POST new profiles (update list)
-app.post('/api/profiles', (req, res) => {
-    const db = readDb();
-    db.profiles = req.body;
-    writeDb(db);
-    res.json({ success: true, profiles: db.profiles });
+// --- Health ---
+
+app.get('/api/health', route(async (req, res) => {
+    const data = await db.read();
+    res.json({
+        status: 'ok',
+        uptime: Math.round(process.uptime()),
+        profiles: data.profiles.length,
+        teams: data.teams.length
+    });
+}));
+
+// --- Live updates ---
+// Other devices are told what changed, see events.js
+
+app.get('/api/events', stream);
+
+// --- Profiles ---
+
+app.get('/api/profiles', route(async (req, res) => {
+    const data = await db.read();
+    res.json(data.profiles);
+}));
+
+app.get('/api/profiles/:id', route(async (req, res) => {
+    const data = await db.read();
+    const profile = data.profiles.find(p => p.id === req.params.id);
+    if (!profile) throw notFound('Profile');
+    res.json(profile);
+}));
+
+app.post('/api/profiles', route(async (req, res) => {
+    assertValid(validateProfile(req.body));
+    const profile = await db.update(data => {
+        const created = { id: newId('user'), color: null, photo: null, ...req.body };
+        if (data.profiles.some(p => p.id === created.id)) throw new HttpError(409, 'Profile id already exists');
+        data.profiles.push(created);
+        return created;
+    });
+    publish('profiles', profile.id);
+    res.status(201).json(profile);
+}));
+
+// PUT replaces the profile, PATCH only changes the fields sent
+const saveProfile = (partial) => route(async (req, res) => {
+    assertValid(validateProfile(req.body, { partial }));
+    if (req.body.id && req.body.id !== req.params.id) assertValid(['id does not match the URL']);
+    const profile = await db.update(data => {
+        const index = data.profiles.findIndex(p => p.id === req.params.id);
+        if (index === -1) throw notFound('Profile');
+        data.profiles[index] = partial
+            ? { ...data.profiles[index], ...req.body }
+            : { color: null, photo: null, ...req.body, id: req.params.id };
+        return data.profiles[index];
+    });
+    publish('profiles', profile.id);
+    res.json(profile);
 });
 
-// GET user data
-app.get('/api/users/:id', (req, res) => {
-    const db = readDb();
-    const userId = req.params.id;
-    const data = db.userData[userId] || { route: null, progress: null, appState: 'SETUP' };
-    res.json(data);
+app.put('/api/profiles/:id', saveProfile(false));
+app.patch('/api/profiles/:id', saveProfile(true));
+
+// Removes the ride log too and takes the profile out of its teams
+app.delete('/api/profiles/:id', route(async (req, res) => {
+    await db.update(data => {
+        if (!data.profiles.some(p => p.id === req.params.id)) throw notFound('Profile');
+        data.profiles = data.profiles.filter(p => p.id !== req.params.id);
+        delete data.userData[req.params.id];
+        data.teams = data.teams.map(t => ({ ...t, member_ids: t.member_ids.filter(m => m !== req.params.id) }));
+    });
+    await removePhotos(req.params.id);
+    publish('profiles', req.params.id);
+    publish('user_state', req.params.id);
+    publish('teams', null);
+    res.status(204).end();
+}));
+
+// --- Profile photos ---
+// Raw image bodies (cropped and scaled down by the app), one request per size.
+// Answers with the URL to store on the profile.
+
+app.use('/api/uploads', express.static(UPLOAD_DIR, { maxAge: '1y', immutable: true }));
+
+app.put('/api/profiles/:id/photo/:size', express.raw({ type: Object.keys(EXTENSIONS), limit: '2mb' }), route(async (req, res) => {
+    if (!PHOTO_SIZES.includes(req.params.size)) assertValid([`size must be one of ${PHOTO_SIZES.join(', ')}`]);
+    // The id ends up in a file name
+    if (!/^[\w-]+$/.test(req.params.id)) assertValid(['id may only contain letters, digits, _ and -']);
+    if (!Buffer.isBuffer(req.body) || req.body.length === 0) {
+        throw new HttpError(415, `Expected an image (${Object.keys(EXTENSIONS).join(', ')})`);
+    }
+    const data = await db.read();
+    if (!data.profiles.some(p => p.id === req.params.id)) throw notFound('Profile');
+    const url = await savePhoto(req.params.id, req.params.size, req.body, req.get('Content-Type'));
+    res.json({ url });
+}));
+
+// --- User state ---
+
+// ?fields=user_id,achievements leaves out the big parts (route paths, journeys)
+app.get('/api/users', route(async (req, res) => {
+    const data = await db.read();
+    const fields = req.query.fields ? String(req.query.fields).split(',') : null;
+    const states = Object.values(data.userData);
+    res.json(fields ? states.map(state => Object.fromEntries(fields.filter(f => f in state).map(f => [f, state[f]]))) : states);
+}));
+
+app.get('/api/users/:id', route(async (req, res) => {
+    const data = await db.read();
+    const state = data.userData[req.params.id];
+    if (!state) throw notFound('User state');
+    res.json(state);
+}));
+
+app.put('/api/users/:id', route(async (req, res) => {
+    assertValid(validateUserState(req.body));
+    if (req.body.user_id && req.body.user_id !== req.params.id) assertValid(['user_id does not match the URL']);
+    const state = await db.update(data => {
+        if (!data.profiles.some(p => p.id === req.params.id)) throw notFound('Profile');
+        data.userData[req.params.id] = { ...emptyUserState(req.params.id), ...req.body, user_id: req.params.id };
+        return data.userData[req.params.id];
+    });
+    publish('user_state', req.params.id);
+    res.json(state);
+}));
+
+app.delete('/api/users/:id', route(async (req, res) => {
+    await db.update(data => {
+        if (!data.userData[req.params.id]) throw notFound('User state');
+        delete data.userData[req.params.id];
+    });
+    publish('user_state', req.params.id);
+    res.status(204).end();
+}));
+
+// --- Rides ---
+// The app derives progress from the ride log when it loads, so rides added
+// here (e.g. by a script) count towards the journey as well.
+
+const withUserState = (data, userId) => {
+    if (!data.profiles.some(p => p.id === userId)) throw notFound('Profile');
+    if (!data.userData[userId]) data.userData[userId] = emptyUserState(userId);
+    return data.userData[userId];
+};
+
+app.get('/api/users/:id/rides', route(async (req, res) => {
+    const data = await db.read();
+    if (!data.profiles.some(p => p.id === req.params.id)) throw notFound('Profile');
+    res.json((data.userData[req.params.id] || emptyUserState(req.params.id)).rides);
+}));
+
+app.post('/api/users/:id/rides', route(async (req, res) => {
+    assertValid(validateRide(req.body));
+    const ride = await db.update(data => {
+        const state = withUserState(data, req.params.id);
+        const created = {
+            id: newId('ride'),
+            journeyId: state.route && state.route.id ? state.route.id : null,
+            durationMin: null,
+            elevationGainM: null,
+            note: '',
+            source: null,
+            createdAt: new Date().toISOString(),
+            ...req.body
+        };
+        if (state.rides.some(r => r.id === created.id)) throw new HttpError(409, 'Ride id already exists');
+        state.rides.push(created);
+        return created;
+    });
+    publish('user_state', req.params.id);
+    res.status(201).json(ride);
+}));
+
+app.patch('/api/users/:id/rides/:rideId', route(async (req, res) => {
+    assertValid(validateRide(req.body, { partial: true }));
+    const ride = await db.update(data => {
+        const state = withUserState(data, req.params.id);
+        const index = state.rides.findIndex(r => r.id === req.params.rideId);
+        if (index === -1) throw notFound('Ride');
+        state.rides[index] = { ...state.rides[index], ...req.body, id: req.params.rideId, updatedAt: new Date().toISOString() };
+        return state.rides[index];
+    });
+    publish('user_state', req.params.id);
+    res.json(ride);
+}));
+
+app.delete('/api/users/:id/rides/:rideId', route(async (req, res) => {
+    await db.update(data => {
+        const state = withUserState(data, req.params.id);
+        if (!state.rides.some(r => r.id === req.params.rideId)) throw notFound('Ride');
+        state.rides = state.rides.filter(r => r.id !== req.params.rideId);
+        // Keeps offline devices from bringing the ride back when they sync
+        state.deleted_ride_ids = [...(state.deleted_ride_ids || []), req.params.rideId];
+    });
+    publish('user_state', req.params.id);
+    res.status(204).end();
+}));
+
+// --- Teams ---
+
+app.get('/api/teams', route(async (req, res) => {
+    const data = await db.read();
+    res.json(data.teams);
+}));
+
+app.post('/api/teams', route(async (req, res) => {
+    assertValid(validateTeam(req.body));
+    const team = await db.update(data => {
+        const created = { id: newId('team'), color: null, route: null, app_state: 'SETUP', ...req.body };
+        if (data.teams.some(t => t.id === created.id)) throw new HttpError(409, 'Team id already exists');
+        data.teams.push(created);
+        return created;
+    });
+    publish('teams', team.id);
+    res.status(201).json(team);
+}));
+
+app.patch('/api/teams/:id', route(async (req, res) => {
+    assertValid(validateTeam(req.body, { partial: true }));
+    const team = await db.update(data => {
+        const index = data.teams.findIndex(t => t.id === req.params.id);
+        if (index === -1) throw notFound('Team');
+        data.teams[index] = { ...data.teams[index], ...req.body, id: req.params.id };
+        return data.teams[index];
+    });
+    publish('teams', team.id);
+    res.json(team);
+}));
+
+app.delete('/api/teams/:id', route(async (req, res) => {
+    await db.update(data => {
+        if (!data.teams.some(t => t.id === req.params.id)) throw notFound('Team');
+        data.teams = data.teams.filter(t => t.id !== req.params.id);
+    });
+    publish('teams', req.params.id);
+    res.status(204).end();
+}));
+
+// --- Settings ---
+
+app.get('/api/settings/:key', route(async (req, res) => {
+    const data = await db.read();
+    if (data.settings[req.params.key] === undefined) throw notFound('Setting');
+    res.json({ key: req.params.key, value: data.settings[req.params.key] });
+}));
+
+app.put('/api/settings/:key', route(async (req, res) => {
+    assertValid(validateSetting(req.body));
+    await db.update(data => {
+        data.settings[req.params.key] = req.body.value;
+    });
+    res.json({ key: req.params.key, value: req.body.value });
+}));
+
+app.delete('/api/settings/:key', route(async (req, res) => {
+    await db.update(data => {
+        delete data.settings[req.params.key];
+    });
+    res.status(204).end();
+}));
+
+// --- Errors ---
+
+app.use('/api', (req, res) => {
+    res.status(404).json({ error: `No route for ${req.method} ${req.originalUrl}` });
 });
 
-// POST user data (update state)
-app.post('/api/users/:id', (req, res) => {
-    const db = readDb();
-    const userId = req.params.id;
-    db.userData[userId] = req.body; // Expects { route, progress, appState }
-    writeDb(db);
-    res.json({ success: true });
+// Express needs all four arguments to treat this as error handler
+app.use((err, req, res, _next) => {
+    // Malformed JSON and bodies over the limit come from express.json()
+    const status = err.status || err.statusCode || 500;
+    if (status >= 500) console.error(err);
+    res.status(status).json({
+        error: status >= 500 ? 'Internal server error' : err.message,
+        ...(err.details ? { details: err.details } : {})
+    });
 });
 
-app.listen(PORT, () => {
-    console.log(`Server running on http://localhost:${PORT}`);
+// Photos still stored inline in db.json become files before the server starts
+const start = async () => {
+    const data = await db.read();
+    if (data.profiles.some(p => (p.photo || '').startsWith('data:'))) {
+        const moved = await db.update(moveInlinePhotos);
+        console.log(`Moved ${moved} profile photo(s) from db.json to ${UPLOAD_DIR}`);
+    }
+    app.listen(PORT, () => {
+        console.log(`Server running on http://localhost:${PORT}`);
+    });
+};
+
+start().catch(err => {
+    console.error('Server could not start:', err);
+    process.exit(1);
 });
@@ -0,0 +1,58 @@
+const fs = require('fs');
+const path = require('path');
+
+// Profile photos as files, served under /api/uploads. Each profile has at most
+// one avatar and one thumbnail: <profile id>-<size>.<ext>. Profiles store the
+// URL relative to /api (the app knows where the API is), with the upload time
+// attached so the files can be cached for good.
+
+const UPLOAD_DIR = process.env.UPLOAD_DIR || path.join(__dirname, 'uploads');
+
+const PHOTO_SIZES = ['avatar', 'thumbnail'];
+const EXTENSIONS = { 'image/jpeg': 'jpg', 'image/png': 'png', 'image/webp': 'webp', 'image/gif': 'gif' };
+
+const isPhotoFile = (profileId, size, file) =>
+    PHOTO_SIZES.includes(size) && path.parse(file).name === `${profileId}-${size}`;
+
+const listFiles = async () => {
+    try {
+        return await fs.promises.readdir(UPLOAD_DIR);
+    } catch (err) {
+        if (err.code === 'ENOENT') return [];
+        throw err;
+    }
+};
+
+// Deletes the photos of a profile, or only one size of them
+const removePhotos = async (profileId, size) => {
+    const files = (await listFiles()).filter(file =>
+        (size ? [size] : PHOTO_SIZES).some(s => isPhotoFile(profileId, s, file))
+    );
+    await Promise.all(files.map(file => fs.promises.unlink(path.join(UPLOAD_DIR, file))));
+};
+
+// Stores the image and resolves to its URL
+const savePhoto = async (profileId, size, buffer, mimeType) => {
+    const file = `${profileId}-${size}.${EXTENSIONS[mimeType]}`;
+    await fs.promises.mkdir(UPLOAD_DIR, { recursive: true });
+    await removePhotos(profileId, size);
+    const tempFile = path.join(UPLOAD_DIR, `${file}.${process.pid}.tmp`);
+    await fs.promises.writeFile(tempFile, buffer);
+    await fs.promises.rename(tempFile, path.join(UPLOAD_DIR, file));
+    return `/uploads/${file}?v=${Date.now()}`;
+};
+
+// db.json files from before the uploads keep photos as data URLs in the
+// profiles. They are moved into the upload directory once, as avatar.
+const moveInlinePhotos = async (data) => {
+    let moved = 0;
+    for (const profile of data.profiles) {
+        const match = /^data:([\w/+.-]+);base64,(.*)$/s.exec(profile.photo || '');
+        if (!match || !EXTENSIONS[match[1]]) continue;
+        profile.photo = await savePhoto(profile.id, 'avatar', Buffer.from(match[2], 'base64'), match[1]);
+        moved++;
+    }
+    return moved;
+};
+
+module.exports = { UPLOAD_DIR, PHOTO_SIZES, EXTENSIONS, savePhoto, removePhotos, moveInlinePhotos };
@@ -0,0 +1,95 @@
+// Hand written checks for request bodies. Each validator returns a list of
+// problems, an empty list means the body is fine. With partial: true only
+// the fields present are checked (PATCH).
+
+const APP_STATES = ['SETUP', 'TRACKING', 'CELEBRATION'];
+const LANGUAGES = ['de', 'en']; // see src/i18n
+const UNITS = ['metric', 'imperial'];
+const ISO_DATE = /^\d{4}-\d{2}-\d{2}$/;
+
+const isObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value);
+const isString = (value) => typeof value === 'string';
+const isNonEmptyString = (value) => isString(value) && value.trim().length > 0;
+const isNumber = (value) => typeof value === 'number' && Number.isFinite(value);
+const isOptional = (check) => (value) => value === null || check(value);
+
+// rules: { field: [check, message, required] }
+const validate = (body, rules, { partial = false } = {}) => {
+    if (!isObject(body)) return ['body must be a JSON object'];
+
+    const errors = Object.keys(body)
+        .filter(key => !rules[key])
+        .map(key => `unknown field "${key}"`);
+
+    Object.entries(rules).forEach(([key, [check, message, required]]) => {
+        if (body[key] === undefined) {
+            if (required && !partial) errors.push(`${key} is required`);
+        } else if (!check(body[key])) {
+            errors.push(`${key} ${message}`);
+        }
+    });
+    return errors;
+};
+
+const PROFILE_RULES = {
+    id: [isNonEmptyString, 'must be a non-empty string'],
+    name: [(v) => isNonEmptyString(v) && v.length <= 100, 'must be a non-empty string of up to 100 characters', true],
+    color: [isOptional(isString), 'must be a string'],
+    photo: [isOptional(isString), 'must be a string (URL or data URL)'],
+    photo_thumb: [isOptional(isString), 'must be a string (URL)'],
+    pin_hash: [isOptional((v) => /^[0-9a-f]{64}$/.test(v)), 'must be a SHA-256 hex string'],
+    language: [isOptional((v) => LANGUAGES.includes(v)), `must be one of ${LANGUAGES.join(', ')}`],
+    units: [isOptional((v) => UNITS.includes(v)), `must be one of ${UNITS.join(', ')}`]
+};
+
+const RIDE_RULES = {
+    id: [isNonEmptyString, 'must be a non-empty string'],
+    km: [(v) => isNumber(v) && v > 0, 'must be a positive number', true],
+    date: [(v) => isString(v) && ISO_DATE.test(v) && !isNaN(new Date(v)), 'must be a date as YYYY-MM-DD', true],
+    durationMin: [isOptional((v) => isNumber(v) && v >= 0), 'must be a positive number'],
+    elevationGainM: [isOptional((v) => isNumber(v) && v >= 0), 'must be a positive number'],
+    note: [(v) => isString(v) && v.length <= 500, 'must be a string of up to 500 characters'],
+    journeyId: [isOptional(isString), 'must be a string'],
+    source: [isOptional(isObject), 'must be an object'],
+    createdAt: [(v) => isString(v) && !isNaN(new Date(v)), 'must be an ISO timestamp'],
+    updatedAt: [(v) => isString(v) && !isNaN(new Date(v)), 'must be an ISO timestamp']
+};
+
+const validateProfile = (body, options) => validate(body, PROFILE_RULES, options);
+
+const validateRide = (body, options) => validate(body, RIDE_RULES, options);
+
+const validateUserState = (body) => {
+    const errors = validate(body, {
+        user_id: [isNonEmptyString, 'must be a non-empty string'],
+        route: [isOptional(isObject), 'must be an object'],
+        progress: [isOptional(isObject), 'must be an object'],
+        rides: [Array.isArray, 'must be an array'],
+        achievements: [Array.isArray, 'must be an array'],
+        goal: [isOptional(isObject), 'must be an object'],
+        deleted_ride_ids: [(v) => Array.isArray(v) && v.every(isNonEmptyString), 'must be an array of ride ids'],
+        journeys: [(v) => Array.isArray(v) && v.every(j => isObject(j) && isNonEmptyString(j.id) && isObject(j.route)), 'must be an array of journeys with id and route'],
+        app_state: [isOptional((v) => APP_STATES.includes(v)), `must be one of ${APP_STATES.join(', ')}`]
+    });
+    if (errors.length === 0 && body.rides) {
+        body.rides.forEach((ride, i) => {
+            validateRide(ride).forEach(error => errors.push(`rides[${i}].${error}`));
+        });
+    }
+    return errors;
+};
+
+const validateTeam = (body, options) => validate(body, {
+    id: [isNonEmptyString, 'must be a non-empty string'],
+    name: [(v) => isNonEmptyString(v) && v.length <= 100, 'must be a non-empty string of up to 100 characters', true],
+    color: [isOptional(isString), 'must be a string'],
+    member_ids: [(v) => Array.isArray(v) && v.every(isNonEmptyString), 'must be an array of profile ids', true],
+    route: [isOptional(isObject), 'must be an object'],
+    app_state: [isOptional((v) => APP_STATES.includes(v)), `must be one of ${APP_STATES.join(', ')}`]
+}, options);
+
+const validateSetting = (body) => validate(body, {
+    value: [(v) => v === null || isString(v) || isNumber(v) || typeof v === 'boolean' || isObject(v), 'must be a JSON value', true]
+});
+
+module.exports = { validateProfile, validateRide, validateUserState, validateTeam, validateSetting };
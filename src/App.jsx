@@ -1,24 +1,78 @@
-import { useState, useEffect } from 'react'
+import { useState, useEffect, useRef, useMemo } from 'react'
 import MapContainerComponent from './components/MapContainer'
-import { haversineDistance, interpolatePosition, fetchRoute, getPositionAlongPath } from './utils'
-import { Bike, MapPin, Navigation, Trophy, ScanEye, Flag } from 'lucide-react'
-
-import { Users, Plus, Upload, X, Settings, Trash2, Edit2 } from 'lucide-react'
+import { interpolatePosition, getPositionAlongPath, getRoutePoints, pathDistance, slicePathAtDistance, splitWaypointsAtDistance, isSameData } from './utils'
+import { fetchRoute, BIKE_PROFILES, DEFAULT_BIKE_PROFILE, SUPPORTS_BIKE_PROFILES } from './routing'
+import { createRide, MAX_NOTE_LENGTH, computeProgress, ridesForJourney, migrateLegacyProgress, mergeRides, todayIso, toLocalIsoDate, sumKm, sumElevation, overflowKm } from './rides'
+import { buildElevationProfile, climbingProgress, EVEREST_M } from './elevation'
+import { buildMilestones, milestonesBetween, upcomingMilestones, createMilestone } from './milestones'
+import { findNewAchievements, unlockAchievements, getAchievement } from './achievements'
+import { GOAL_PERIODS, createGoal, goalPeriods, goalStreaks } from './goals'
+import ElevationChart from './components/ElevationChart'
+import TeamForm from './components/TeamForm'
+import TeamView from './components/TeamView'
+import Leaderboard from './components/Leaderboard'
+import StatsView from './components/StatsView'
+import JourneyLibrary from './components/JourneyLibrary'
+import JourneyReplay from './components/JourneyReplay'
+import PinPrompt from './components/PinPrompt'
+import PhotoCropper from './components/PhotoCropper'
+import { hashPin, checkPin, isValidPin, ADMIN_PIN_SALT } from './pin'
+import { createTeam } from './teams'
+import { importActivityFile, isAlreadyImported, SUPPORTED_EXTENSIONS } from './activityImport'
+import { buildGpx, buildGeoJson, downloadFile } from './journeyExport'
+import RideLog from './components/RideLog'
+import WaypointList from './components/WaypointList'
+import { Bike, MapPin, Navigation, Trophy, ScanEye, Flag, History, Download, Mountain, Landmark, Star, Target, BarChart3, WifiOff, RefreshCw, Library, Clapperboard } from 'lucide-react'
+
+import { Users, Plus, Upload, X, Settings, Trash2, Edit2, Lock, Languages } from 'lucide-react'
 
 // Default profiles if none exist
 const DEFAULT_PROFILES = [];
 
-import { supabase } from './supabaseClient'
+const MILESTONE_ICONS = { town: MapPin, landmark: Landmark, border: Flag, custom: Star };
+
+import { storage, batchChanges } from './storage'
+import { cacheRouteTiles } from './pwa'
+import { loadImage, createProfilePhotos, thumbnailUrl } from './photos'
+import { archiveJourney, storeJourney, removeJourney, journeyTitle } from './journeys'
+import { replaySteps } from './replay'
+import { useI18n } from './i18n/context'
+import { LANGUAGES, UNITS } from './i18n'
 
 function App() {
+  const i18n = useI18n();
+  const { t, distance, distanceUnit, distanceValue, toKm, elevation, elevationUnit, elevationValue, toMeters, milestoneName } = i18n;
+  // Import and photo errors carry a code for the translated text
+  const errorMessage = (error) => error.code ? t(`errors.${error.code}`, error.params) : error.message;
+  const achievementText = (id) => ({
+    title: t(`achievements.${id}.title`),
+    description: t(`achievements.${id}.description`, { elevation: elevation(EVEREST_M) })
+  });
   const [profiles, setProfiles] = useState([]);
 
   const [showNewProfileForm, setShowNewProfileForm] = useState(false);
   const [editingProfileId, setEditingProfileId] = useState(null); // ID of profile being edited
   const [newProfileName, setNewProfileName] = useState('');
-  const [newProfilePhoto, setNewProfilePhoto] = useState(null);
+  const [newProfilePhoto, setNewProfilePhoto] = useState(null); // preview URL
+  const [newProfilePhotoFiles, setNewProfilePhotoFiles] = useState(null); // { avatar, thumbnail } waiting for upload
+  const [cropImage, setCropImage] = useState(null); // picked image while choosing the square
+  const [newProfilePin, setNewProfilePin] = useState('');
+  const [newProfileLanguage, setNewProfileLanguage] = useState(''); // '' follows the device
+  const [newProfileUnits, setNewProfileUnits] = useState('metric');
+  const [removeProfilePin, setRemoveProfilePin] = useState(false);
 
   const [isAdminMode, setIsAdminMode] = useState(false);
+  const [adminPinHash, setAdminPinHash] = useState(null);
+  const [pinRequest, setPinRequest] = useState(null); // { title, onSubmit } while the PIN pad is open
+
+  const [teams, setTeams] = useState([]);
+  const [currentTeamId, setCurrentTeamId] = useState(null);
+  const [teamFormTarget, setTeamFormTarget] = useState(null); // 'new' or the team being edited
+  const [showLeaderboard, setShowLeaderboard] = useState(false);
+  const [showStats, setShowStats] = useState(false);
+  const [showJourneys, setShowJourneys] = useState(false);
+  const [replayJourney, setReplayJourney] = useState(null); // { route, totalKm }
+  const [profileAchievements, setProfileAchievements] = useState({}); // user id -> unlocked badges, for the profile cards
 
   const [currentUser, setCurrentUser] = useState(null)
 
@@ -26,18 +80,42 @@ function App() {
   const [route, setRoute] = useState({
     start: { lat: 48.20967, lng: 13.48831 }, // Default: Rettenbrunner W. 15, Ried
     end: null,
+    waypoints: [],
     path: [],
     distance: 0
   })
   const [progress, setProgress] = useState({ currentKm: 0, totalKm: 0, percentage: 0 })
+  const [rides, setRides] = useState([])
+  const [deletedRideIds, setDeletedRideIds] = useState([]) // keeps deleted rides from coming back when devices sync
+  const [achievements, setAchievements] = useState([]) // [{ id, unlockedAt }]
+  const [newAchievements, setNewAchievements] = useState([]) // unlocked with the last ride, shown on the celebration
+  const [goal, setGoal] = useState(null) // weekly or monthly km target, see goals.js
+  const [journeys, setJourneys] = useState([]) // paused and completed journeys, see journeys.js
+  const [goalDraft, setGoalDraft] = useState(null) // { period, km } while editing the goal
   const [inputKm, setInputKm] = useState('')
+  const [inputDate, setInputDate] = useState(todayIso())
+  const [inputDuration, setInputDuration] = useState('')
+  const [inputElevation, setInputElevation] = useState('')
+  const [inputNote, setInputNote] = useState('')
+  const [showRideLog, setShowRideLog] = useState(false)
+  const [isDraggingFile, setIsDraggingFile] = useState(false)
+  const [showExportMenu, setShowExportMenu] = useState(false)
+  const [showElevation, setShowElevation] = useState(false)
+  const [passedMilestones, setPassedMilestones] = useState([]) // reached with the last ride, shown on the celebration
+  const [milestoneDraft, setMilestoneDraft] = useState(null) // { name, km } while adding an own milestone
+  const providerElevations = useRef(new WeakMap()) // path -> heights returned by the routing provider
   const [currentPosition, setCurrentPosition] = useState(null)
+  const [rerouteDraft, setRerouteDraft] = useState(null) // { waypoints, end } while changing the route mid-journey
+  const [isQueueing, setIsQueueing] = useState(false) // map clicks queue the next tour destinations
   const [showCelebration, setShowCelebration] = useState(false)
   const [isLoading, setIsLoading] = useState(false)
+  const [isOnline, setIsOnline] = useState(navigator.onLine)
+  const [hasQueuedWrites, setHasQueuedWrites] = useState(false) // user state saved locally, waiting for a connection
+  const savedUserState = useRef(null) // as last loaded or saved here, to tell changes from other devices apart
 
-  // Load profiles from Supabase at start
+  // Load profiles from storage at start
   const fetchProfiles = async () => {
-    const { data, error } = await supabase.from('profiles').select('*').order('name');
+    const { data, error } = await storage.listProfiles();
     if (error) {
       console.error('Error fetching profiles:', error);
       setProfiles(DEFAULT_PROFILES);
@@ -46,27 +124,122 @@ function App() {
     }
   };
 
+  const fetchTeams = async () => {
+    const { data, error } = await storage.listTeams();
+    if (error) {
+      console.error('Error fetching teams:', error);
+    } else {
+      setTeams(data || []);
+    }
+  };
+
+  // userIds: only reload these riders, null for all
+  const fetchProfileAchievements = async (userIds = null) => {
+    const { data, error } = await storage.listUserStates(userIds, ['user_id', 'achievements']);
+    if (error) {
+      console.error('Error fetching achievements:', error);
+      return;
+    }
+    const loaded = Object.fromEntries((data || []).map(row => [row.user_id, row.achievements || []]));
+    setProfileAchievements(prev => userIds
+      ? { ...Object.fromEntries(Object.entries(prev).filter(([id]) => !userIds.includes(id))), ...loaded }
+      : loaded);
+  };
+
+  const fetchAdminPin = async () => {
+    const { data, error } = await storage.getSetting('admin_pin_hash');
+    if (error) console.error('Error fetching admin PIN:', error);
+    else setAdminPinHash(data);
+  };
+
   useEffect(() => {
     fetchProfiles();
+    fetchTeams();
+    fetchProfileAchievements();
+    fetchAdminPin();
   }, []);
 
+  // Opens the PIN pad; onSuccess runs once the right PIN was entered
+  const requestPin = (title, hash, salt, onSuccess) => {
+    setPinRequest({
+      title,
+      onSubmit: async (pin) => {
+        if (!(await checkPin(pin, hash, salt))) return false;
+        setPinRequest(null);
+        onSuccess();
+        return true;
+      }
+    });
+  };
+
+  // The profile's language and units apply as soon as it is picked
+  const signIn = (profile) => {
+    i18n.setProfile(profile);
+    setCurrentUser(profile);
+  };
+
+  const selectProfile = (profile) => {
+    if (profile.pin_hash) requestPin(profile.name, profile.pin_hash, profile.id, () => signIn(profile));
+    else signIn(profile);
+  };
+
+  const signOut = () => {
+    i18n.setProfile(null);
+    setCurrentUser(null);
+  };
+
+  const toggleAdminMode = () => {
+    if (isAdminMode) setIsAdminMode(false);
+    else if (adminPinHash) requestPin(t('profiles.adminPin'), adminPinHash, ADMIN_PIN_SALT, () => setIsAdminMode(true));
+    else setIsAdminMode(true);
+  };
+
+  const saveAdminPin = async (pin) => {
+    const value = pin ? await hashPin(pin, ADMIN_PIN_SALT) : null;
+    const { error } = await storage.setSetting('admin_pin_hash', value);
+    if (error) {
+      console.error('Error saving admin PIN:', error);
+      return false;
+    }
+    setAdminPinHash(value);
+    setPinRequest(null);
+    return true;
+  };
+
+  const closeProfileForm = () => {
+    if (newProfilePhotoFiles) URL.revokeObjectURL(newProfilePhoto);
+    setNewProfileName('');
+    setNewProfilePhoto(null);
+    setNewProfilePhotoFiles(null);
+    setNewProfilePin('');
+    setRemoveProfilePin(false);
+    setNewProfileLanguage('');
+    setNewProfileUnits('metric');
+    setEditingProfileId(null);
+    setShowNewProfileForm(false);
+  };
+
   const handleSaveProfile = async () => {
     if (!newProfileName.trim()) return;
+    if (newProfilePin && !isValidPin(newProfilePin)) return;
 
+    // The photo is uploaded separately once the profile exists
     const profileData = {
       name: newProfileName,
-      photo: newProfilePhoto,
+      language: newProfileLanguage || null,
+      units: newProfileUnits,
       color: editingProfileId
         ? profiles.find(p => p.id === editingProfileId)?.color
         : `hsl(${Math.random() * 360}, 70%, 50%)`
     };
 
+    let profileId = editingProfileId;
     if (editingProfileId) {
-      // Update existing
-      const { error } = await supabase
-        .from('profiles')
-        .update(profileData)
-        .eq('id', editingProfileId);
+      // Update existing, an empty PIN field keeps the current PIN
+      if (newProfilePin) profileData.pin_hash = await hashPin(newProfilePin, editingProfileId);
+      else if (removeProfilePin) profileData.pin_hash = null;
+
+      const { error } = await storage.updateProfile(editingProfileId, profileData);
 
       if (error) console.error('Error updating profile:', error);
 
@@ -76,103 +249,224 @@ function App() {
         id: `user-${Date.now()}`,
         ...profileData
       };
-      const { error } = await supabase.from('profiles').insert([newProfile]);
+      if (newProfilePin) newProfile.pin_hash = await hashPin(newProfilePin, newProfile.id);
+      const { error } = await storage.createProfile(newProfile);
       if (error) console.error('Error creating profile:', error);
+      profileId = error ? null : newProfile.id;
+    }
+
+    if (profileId && newProfilePhotoFiles) {
+      const { data, error } = await storage.uploadProfilePhoto(profileId, newProfilePhotoFiles);
+      if (error) console.error('Error uploading photo:', error);
+      else {
+        const { error: updateError } = await storage.updateProfile(profileId, data);
+        if (updateError) console.error('Error saving photo:', updateError);
+      }
     }
 
     // Refresh list
     await fetchProfiles();
 
-    setNewProfileName('');
-    setNewProfilePhoto(null);
-    setEditingProfileId(null);
-    setShowNewProfileForm(false);
+    closeProfileForm();
   };
 
   const startEditProfile = (profile) => {
     setEditingProfileId(profile.id);
     setNewProfileName(profile.name);
     setNewProfilePhoto(profile.photo);
+    setNewProfileLanguage(profile.language || '');
+    setNewProfileUnits(profile.units || 'metric');
     setShowNewProfileForm(true);
   };
 
   const handleDeleteProfile = async (id, e) => {
     e.stopPropagation(); // Prevent selecting the profile
-    if (!window.confirm("Wirklich löschen? Alle Daten gehen verloren.")) return;
+    if (!window.confirm(t('profiles.confirmDelete'))) return;
 
-    // Delete user state first (foreign key constraint)
-    await supabase.from('user_state').delete().eq('user_id', id);
-    const { error } = await supabase.from('profiles').delete().eq('id', id);
+    // Removes the user state as well
+    const { error } = await storage.deleteProfile(id);
 
     if (error) {
       console.error('Error deleting profile:', error);
     } else {
+      // Leave all teams of the deleted profile
+      for (const team of teams.filter(team => team.member_ids.includes(id))) {
+        await storage.updateTeam(team.id, { member_ids: team.member_ids.filter(m => m !== id) });
+      }
       await fetchProfiles();
+      await fetchTeams();
+    }
+  };
+
+  const handleSaveTeam = async ({ name, memberIds }) => {
+    if (teamFormTarget === 'new') {
+      const { error } = await storage.createTeam(createTeam({ name, memberIds }));
+      if (error) console.error('Error creating team:', error);
+    } else {
+      const { error } = await storage.updateTeam(teamFormTarget.id, { name: name.trim(), member_ids: memberIds });
+      if (error) console.error('Error updating team:', error);
     }
+
+    await fetchTeams();
+    setTeamFormTarget(null);
   };
 
-  const handlePhotoUpload = (e) => {
+  const handleUpdateTeam = async (id, patch) => {
+    setTeams(prev => prev.map(team => team.id === id ? { ...team, ...patch } : team));
+    const { error } = await storage.updateTeam(id, patch);
+    if (error) console.error('Error saving team:', error);
+  };
+
+  const handleDeleteTeam = async (id, e) => {
+    e.stopPropagation();
+    if (!window.confirm(t('teams.confirmDelete'))) return;
+
+    const { error } = await storage.deleteTeam(id);
+    if (error) console.error('Error deleting team:', error);
+    else await fetchTeams();
+  };
+
+  // A picked photo goes through the cropper first, see photos.js
+  const handlePhotoUpload = async (e) => {
     const file = e.target.files[0];
-    if (file) {
-      const reader = new FileReader();
-      reader.onloadend = () => {
-        setNewProfilePhoto(reader.result);
-      };
-      reader.readAsDataURL(file);
+    e.target.value = ''; // Picking the same file again opens the cropper again
+    if (!file) return;
+    try {
+      setCropImage(await loadImage(file));
+    } catch (error) {
+      alert(errorMessage(error));
     }
   };
 
-  // Load user data from Supabase
+  const closeCropper = () => {
+    URL.revokeObjectURL(cropImage.src);
+    setCropImage(null);
+  };
+
+  const handleCropConfirm = async (crop) => {
+    let files;
+    try {
+      files = await createProfilePhotos(cropImage, crop);
+    } catch (error) {
+      alert(errorMessage(error));
+      return;
+    }
+    if (newProfilePhotoFiles) URL.revokeObjectURL(newProfilePhoto);
+    setNewProfilePhotoFiles(files);
+    setNewProfilePhoto(URL.createObjectURL(files.avatar));
+    closeCropper();
+  };
+
+  // Load user data from storage
   useEffect(() => {
     if (!currentUser) return;
 
     // Reset state locally first
-    setRoute({ start: { lat: 48.20967, lng: 13.48831 }, end: null, path: [], distance: 0 });
+    setRoute({ start: { lat: 48.20967, lng: 13.48831 }, end: null, waypoints: [], path: [], distance: 0 });
     setProgress({ currentKm: 0, totalKm: 0, percentage: 0 });
+    setRides([]);
+    setDeletedRideIds([]);
+    setAchievements([]);
+    setGoal(null);
+    setGoalDraft(null);
+    setJourneys([]);
+    setRerouteDraft(null);
+    setIsQueueing(false);
     setAppState('SETUP');
+    savedUserState.current = null;
 
     const loadUserState = async () => {
-      const { data, error } = await supabase
-        .from('user_state')
-        .select('*')
-        .eq('user_id', currentUser.id)
-        .single();
-
-      if (error && error.code !== 'PGRST116') { // PGRST116 is "Row not found" which is fine for new users
-        console.error('Error loading user state:', error);
-      }
+      // New users have no state yet, data is null then
+      const { data, error } = await storage.getUserState(currentUser.id);
+      if (error) console.error('Error loading user state:', error);
+      else savedUserState.current = data;
 
       if (data) {
+        const loadedRides = migrateLegacyProgress(data.rides, data.progress, data.route?.id || null);
         if (data.route) setRoute(data.route);
-        if (data.progress) setProgress(data.progress);
+        // Rides may have been added elsewhere (e.g. through the server API), so
+        // the stored progress is only trusted for the route length
+        if (data.progress) {
+          setProgress(computeProgress(loadedRides, data.route?.id || null, data.progress.totalKm, data.route?.offsetKm || 0));
+        }
         if (data.app_state) setAppState(data.app_state);
+        setRides(loadedRides);
+        setDeletedRideIds(data.deleted_ride_ids || []);
+        setAchievements(data.achievements || []);
+        setGoal(data.goal || null);
+        setJourneys(data.journeys || []);
       }
     };
     loadUserState();
   }, [currentUser]);
 
-  // Save user data to Supabase (Debounced)
+  // Save user data to storage (Debounced). While offline the state is queued
+  // by the storage layer and sent once the connection is back.
   useEffect(() => {
     if (!currentUser) return;
+    let isOutdated = false;
 
     const saveData = async () => {
-      const { error } = await supabase
-        .from('user_state')
-        .upsert({
-          user_id: currentUser.id,
-          route: route,
-          progress: progress,
-          app_state: appState
-        });
+      const { data, error, queued } = await storage.saveUserState({
+        user_id: currentUser.id,
+        route: route,
+        progress: progress,
+        rides: rides,
+        deleted_ride_ids: deletedRideIds,
+        achievements: achievements,
+        goal: goal,
+        journeys: journeys,
+        app_state: appState
+      });
 
       if (error) console.error('Error saving state:', error);
+      if (data) savedUserState.current = data;
+      setHasQueuedWrites(!!queued);
+      // Rides and badges saved on another device in the meantime come back
+      // merged in. If something changed here since, the next save merges again.
+      if (!data || isOutdated) return;
+      if (JSON.stringify(data.rides) !== JSON.stringify(rides)) {
+        setRides(data.rides);
+        setProgress(data.progress);
+      }
+      if (JSON.stringify(data.achievements) !== JSON.stringify(achievements)) setAchievements(data.achievements);
+      if ((data.deleted_ride_ids || []).length !== deletedRideIds.length) setDeletedRideIds(data.deleted_ride_ids);
     };
 
     // Simple debounce/timeout to avoid spamming the DB on every input keystroke/progress update
     const timeoutId = setTimeout(saveData, 1000);
-    return () => clearTimeout(timeoutId);
+    return () => {
+      isOutdated = true;
+      clearTimeout(timeoutId);
+    };
+
+  }, [route, progress, rides, deletedRideIds, achievements, goal, journeys, appState, currentUser]);
 
-  }, [route, progress, appState, currentUser]);
+  // Send queued saves as soon as the connection is back and show what the
+  // other devices added in the meantime
+  useEffect(() => {
+    const goOffline = () => setIsOnline(false);
+    const goOnline = async () => {
+      setIsOnline(true);
+      const results = await storage.flushPending();
+      results.forEach(({ userId, error }) => error && console.error(`Error saving queued state of ${userId}:`, error));
+      setHasQueuedWrites(results.some(r => r.queued));
+
+      const own = results.find(r => currentUser && r.userId === currentUser.id && r.data && !r.queued);
+      if (own) {
+        setRides(own.data.rides);
+        setProgress(own.data.progress);
+        setAchievements(own.data.achievements);
+        setDeletedRideIds(own.data.deleted_ride_ids);
+      }
+    };
+    window.addEventListener('offline', goOffline);
+    window.addEventListener('online', goOnline);
+    return () => {
+      window.removeEventListener('offline', goOffline);
+      window.removeEventListener('online', goOnline);
+    };
+  }, [currentUser]);
 
   useEffect(() => {
     if (appState === 'TRACKING' || appState === 'CELEBRATION') {
@@ -188,27 +482,47 @@ function App() {
     }
   }, [progress, route, appState]);
 
+  // Which ride covered which part of the current leg, for the shaded route line.
+  // Steps count from the start of the tour, the leg starts at offsetKm.
+  const rideSections = useMemo(() => {
+    const offsetKm = route.offsetKm || 0;
+    return replaySteps(rides, route.id || null, offsetKm + progress.totalKm)
+      .map(step => ({ ride: step.ride, fromKm: step.fromKm - offsetKm, toKm: step.toKm - offsetKm }))
+      .filter(section => section.toKm > 0);
+  }, [rides, route.id, route.offsetKm, progress.totalKm]);
+
+  // Keep the map of the active route available offline (again after a reconnect)
+  useEffect(() => {
+    if (appState === 'TRACKING' && isOnline && route.path && route.path.length > 0) cacheRouteTiles(route.path);
+  }, [route.path, appState, isOnline]);
+
   // Auto-calculate route preview when points are set
   useEffect(() => {
     const calculatePreview = async () => {
       if (appState === 'SETUP' && route.start && route.end) {
-        // Prevent re-fetching if we already have the path for these points
-        // (A simple check: if path exists, assume it's good for now, or check distance > 0)
-        // For simplicity and robustness, we'll fetch if path is empty.
-        // But if user moves marker, we need to know. 
-        // Current implementation only sets start/end once. To move, they reset.
-        // So checking if path is empty is safe for now.
+        const start = route.start;
+        const end = route.end;
+        const waypoints = route.waypoints;
+        const profile = route.profile || DEFAULT_BIKE_PROFILE;
+        // Prevent re-fetching if we already have the path for these points.
+        // Every edit of start, stops or finish clears the path (see clearPath),
+        // so checking if path is empty is enough.
         if (route.path.length === 0 && !isLoading) {
           setIsLoading(true);
-          const routeData = await fetchRoute(route.start, route.end);
+          const routeData = await fetchRoute(getRoutePoints({ start, end, waypoints }), profile);
           setIsLoading(false);
 
           if (routeData && !routeData.error) {
-            setRoute(prev => ({
+            if (routeData.elevations) providerElevations.current.set(routeData.coordinates, routeData.elevations);
+            // Points or the bike profile may have changed while the request was running.
+            // Then the path stays empty and the next run fetches it again.
+            const isStale = prev => prev.start !== start || prev.end !== end || prev.waypoints !== waypoints || (prev.profile || DEFAULT_BIKE_PROFILE) !== profile;
+            setRoute(prev => isStale(prev) ? prev : {
               ...prev,
               path: routeData.coordinates,
-              distance: routeData.distance
-            }));
+              distance: routeData.distance,
+              legs: routeData.legs
+            });
           } else {
             console.warn("Preview routing failed:", routeData?.error);
             // Don't alert here to avoid annoying popups while editing, just log
@@ -218,115 +532,576 @@ function App() {
     };
 
     calculatePreview();
-  }, [route.start, route.end, appState, isLoading]); // removed route.path from dependency to avoid loop if we logic check improperly, though with check it's okay.
+  }, [route.start, route.end, route.waypoints, route.profile, appState, isLoading]);
+
+  // Elevation profile for the current path, from the routing provider if it
+  // returned heights, otherwise from DEM tiles
+  useEffect(() => {
+    if (!route.path || route.path.length < 2 || route.elevation) return;
+    const path = route.path;
+    let cancelled = false;
+
+    buildElevationProfile(path, providerElevations.current.get(path))
+      .then(profile => {
+        if (!cancelled) setRoute(prev => prev.path === path ? { ...prev, elevation: profile } : prev);
+      })
+      .catch(error => console.warn("Elevation profile failed:", error));
+
+    return () => { cancelled = true; };
+  }, [route.path, route.elevation]); // no loop: a stored profile returns early and a stale result is dropped by the path check
+
+  // Any change of the points invalidates the computed path
+  const clearPath = { path: [], distance: 0, legs: [], elevation: null };
+
+  // Tour mode: the finished leg is kept on the map, the next one starts at its
+  // finish and shares the journey id, so overflow km carry over automatically.
+  const isTourContinued = (route.completedLegs || []).length > 0;
 
   const handleMapClick = (latlng) => {
+    if (isQueueing) {
+      setRoute(prev => ({ ...prev, queue: [...(prev.queue || []), latlng] }));
+      return;
+    }
+    if (rerouteDraft) {
+      setRerouteDraft(prev => prev.end
+        ? { ...prev, waypoints: [...prev.waypoints, latlng] }
+        : { ...prev, end: latlng });
+      return;
+    }
     if (appState !== 'SETUP') return;
 
     if (!route.start) {
       setRoute(prev => ({ ...prev, start: latlng }));
     } else if (!route.end) {
       setRoute(prev => ({ ...prev, end: latlng }));
+    } else {
+      // Start and finish are set, further clicks add stops before the finish
+      setRoute(prev => ({ ...prev, waypoints: [...(prev.waypoints || []), latlng], ...clearPath }));
     }
   };
 
-  const handleMarkerClick = (type) => {
+  const handleMarkerClick = (type, index) => {
+    if (rerouteDraft) {
+      // The start lies behind the rider and cannot be changed anymore
+      if (type === 'waypoint') {
+        setRerouteDraft(prev => ({ ...prev, waypoints: prev.waypoints.filter((_, i) => i !== index) }));
+      } else if (type === 'end') {
+        setRerouteDraft(prev => ({ ...prev, end: null }));
+      }
+      return;
+    }
     if (appState !== 'SETUP') return;
 
+    if (type === 'waypoint') {
+      setRoute(prev => ({ ...prev, waypoints: prev.waypoints.filter((_, i) => i !== index), ...clearPath }));
+      return;
+    }
+    if (type === 'start' && isTourContinued) return; // next leg starts at the previous finish
+
     setRoute(prev => ({
       ...prev,
       [type]: null,
-      path: [], // Clear path if any marker is removed
-      distance: 0
+      ...clearPath // Clear path if any marker is removed
+    }));
+  };
+
+  const handleMarkerDrag = (type, index, latlng) => {
+    const point = { lat: latlng.lat, lng: latlng.lng };
+    if (rerouteDraft) {
+      if (type === 'waypoint') {
+        setRerouteDraft(prev => ({ ...prev, waypoints: prev.waypoints.map((p, i) => i === index ? point : p) }));
+      } else if (type === 'end') {
+        setRerouteDraft(prev => ({ ...prev, end: point }));
+      }
+      return;
+    }
+    if (appState !== 'SETUP') return;
+
+    if (type === 'waypoint') {
+      setRoute(prev => ({ ...prev, waypoints: prev.waypoints.map((p, i) => i === index ? point : p), ...clearPath }));
+    } else if (type === 'start' && isTourContinued) {
+      return;
+    } else {
+      setRoute(prev => ({ ...prev, [type]: point, ...clearPath }));
+    }
+  };
+
+  // Rebuild start, stops and finish from an ordered list of points
+  const setRoutePoints = (points) => {
+    setRoute(prev => ({
+      ...prev,
+      start: points[0] || null,
+      waypoints: points.slice(1, -1),
+      end: points.length > 1 ? points[points.length - 1] : null,
+      ...clearPath
     }));
   };
 
+  const moveRoutePoint = (from, to) => {
+    const points = getRoutePoints(route);
+    if (to < (isTourContinued ? 1 : 0) || to >= points.length) return;
+    const [moved] = points.splice(from, 1);
+    points.splice(to, 0, moved);
+    setRoutePoints(points);
+  };
+
+  const setBikeProfile = (profile) => {
+    setRoute(prev => ({ ...prev, profile, ...clearPath }));
+  };
+
+  const setElevationGoal = (meters) => {
+    setRoute(prev => ({ ...prev, elevationGoalM: meters > 0 ? meters : null }));
+  };
+
+  const removeRoutePoint = (index) => {
+    setRoutePoints(getRoutePoints(route).filter((_, i) => i !== index));
+  };
+
+  // Changing the route mid-journey: only the stops ahead of the rider and the
+  // finish can be edited. The ridden part of the path is kept as it is.
+  const startReroute = () => {
+    const { upcoming } = splitWaypointsAtDistance(route, progress.currentKm);
+    setRerouteDraft({ waypoints: upcoming, end: route.end });
+    setShowRideLog(false);
+  };
+
+  const getReroutePoints = () =>
+    [{ ...currentPosition, label: t('common.currentPosition') }, ...rerouteDraft.waypoints, rerouteDraft.end].filter(Boolean);
+
+  const setReroutePoints = (points) => {
+    const ahead = points.slice(1);
+    setRerouteDraft({ waypoints: ahead.slice(0, -1), end: ahead[ahead.length - 1] || null });
+  };
+
+  const moveReroutePoint = (from, to) => {
+    const points = getReroutePoints();
+    if (to < 1 || to >= points.length) return;
+    const [moved] = points.splice(from, 1);
+    points.splice(to, 0, moved);
+    setReroutePoints(points);
+  };
+
+  const removeReroutePoint = (index) => {
+    setReroutePoints(getReroutePoints().filter((_, i) => i !== index));
+  };
+
+  const applyReroute = async () => {
+    if (!rerouteDraft.end || !currentPosition) return;
+
+    const here = { lat: currentPosition.lat, lng: currentPosition.lng };
+    const ridden = route.path && route.path.length > 0
+      ? slicePathAtDistance(route.path, progress.currentKm)
+      : [route.start, here];
+    const { passed, passedLegs } = splitWaypointsAtDistance(route, progress.currentKm);
+
+    setIsLoading(true);
+    const points = [here, ...rerouteDraft.waypoints, rerouteDraft.end];
+    const routeData = await fetchRoute(points, route.profile);
+    setIsLoading(false);
+
+    let ahead;
+    if (routeData && !routeData.error) {
+      ahead = routeData;
+    } else {
+      alert(t('common.routingFailed', { error: routeData?.error }));
+      ahead = {
+        coordinates: points,
+        distance: pathDistance(points),
+        legs: points.slice(1).map((p, i) => pathDistance([points[i], p]))
+      };
+    }
+
+    // The leg we are on now runs from the last passed stop via here to the next stop
+    const sincePassed = progress.currentKm - passedLegs.reduce((sum, km) => sum + km, 0);
+    const totalKm = progress.currentKm + ahead.distance;
+
+    setRoute(prev => ({
+      ...prev,
+      waypoints: [...passed, ...rerouteDraft.waypoints],
+      end: rerouteDraft.end,
+      path: [...ridden, ...ahead.coordinates.slice(1)],
+      elevation: null,
+      distance: totalKm,
+      legs: [...passedLegs, sincePassed + (ahead.legs[0] || 0), ...ahead.legs.slice(1)]
+    }));
+    setProgress(computeProgress(rides, route.id || null, totalKm, route.offsetKm || 0));
+    setRerouteDraft(null);
+  };
+
+  const continueTour = () => {
+    const [next, ...queue] = route.queue || [];
+    setRoute(prev => ({
+      id: prev.id,
+      profile: prev.profile,
+      elevationGoalM: prev.elevationGoalM,
+      start: prev.end,
+      end: next || null,
+      waypoints: [],
+      path: [],
+      distance: 0,
+      legs: [],
+      queue,
+      offsetKm: (prev.offsetKm || 0) + progress.totalKm,
+      completedLegs: [
+        ...(prev.completedLegs || []),
+        { start: prev.start, end: prev.end, waypoints: prev.waypoints || [], path: prev.path, distance: progress.totalKm, finishedAt: new Date().toISOString() }
+      ]
+    }));
+    setProgress({ currentKm: 0, totalKm: 0, percentage: 0 });
+    setShowRideLog(false);
+    setAppState('SETUP');
+  };
+
+  const removeQueuedPoint = (index) => {
+    setRoute(prev => ({ ...prev, queue: prev.queue.filter((_, i) => i !== index) }));
+  };
+
+  // The active journey goes into the library instead of being thrown away:
+  // finished ones as trophies, the others paused
+  const libraryWithCurrent = () => {
+    if (!route.id) return journeys;
+    if (appState === 'SETUP') {
+      // A tour between two legs, only the finished legs count
+      if (!isTourContinued) return journeys;
+      const ridden = { ...route, end: null, waypoints: [], path: [], distance: 0, legs: [] };
+      return storeJourney(journeys, archiveJourney({ route: ridden, totalKm: 0, status: 'completed' }));
+    }
+    const status = progress.currentKm >= progress.totalKm ? 'completed' : 'paused';
+    return storeJourney(journeys, archiveJourney({ route, totalKm: progress.totalKm, status }));
+  };
+
   const resetRoute = () => {
+    // Rides stay in the log and still count when a paused journey is resumed
+    setJourneys(libraryWithCurrent());
     setRoute({
       start: { lat: 48.20967, lng: 13.48831 }, // Default: Rettenbrunner W. 15, Ried
       end: null,
+      waypoints: [],
       path: [],
       distance: 0
     });
     setProgress({ currentKm: 0, totalKm: 0, percentage: 0 });
     setInputKm('');
+    setShowRideLog(false);
+    setRerouteDraft(null);
+    setIsQueueing(false);
     setAppState('SETUP');
     setShowCelebration(false);
   };
 
+  // Swaps the active journey with one from the library
+  const resumeJourney = (entry) => {
+    setJourneys(removeJourney(libraryWithCurrent(), entry.id));
+    setRoute(entry.route);
+    const next = computeProgress(rides, entry.id, entry.totalKm, entry.route.offsetKm || 0);
+    setProgress(next);
+    setInputKm('');
+    setShowRideLog(false);
+    setRerouteDraft(null);
+    setIsQueueing(false);
+    setAppState(next.currentKm >= next.totalKm ? 'CELEBRATION' : 'TRACKING');
+    setShowJourneys(false);
+  };
+
+  const deleteJourney = (id) => {
+    setJourneys(removeJourney(journeys, id));
+  };
+
+  // A continued tour keeps its journey id, so carried-over km count right away
+  const beginTracking = (journeyId, totalKm) => {
+    const next = computeProgress(rides, journeyId, totalKm, route.offsetKm || 0);
+    setProgress(next);
+    setIsQueueing(false);
+    setAppState(next.currentKm >= totalKm ? 'CELEBRATION' : 'TRACKING');
+  };
+
   const startJourney = async () => {
     if (route.start && route.end) {
       // Use pre-calculated distance if available
+      const journeyId = route.id || `journey-${Date.now()}`;
       if (route.distance > 0) {
-        setProgress({ currentKm: 0, totalKm: route.distance, percentage: 0 });
-        setAppState('TRACKING');
+        setRoute(prev => ({ ...prev, id: journeyId }));
+        beginTracking(journeyId, route.distance);
       } else {
         // Fallback: Try calculating again or use straight line
         setIsLoading(true);
-        const routeData = await fetchRoute(route.start, route.end);
+        const routeData = await fetchRoute(getRoutePoints(route), route.profile);
         setIsLoading(false);
 
         if (routeData && !routeData.error) {
-          setRoute(prev => ({ ...prev, path: routeData.coordinates, distance: routeData.distance }));
-          setProgress({ currentKm: 0, totalKm: routeData.distance, percentage: 0 });
-          setAppState('TRACKING');
+          if (routeData.elevations) providerElevations.current.set(routeData.coordinates, routeData.elevations);
+          setRoute(prev => ({ ...prev, id: journeyId, path: routeData.coordinates, distance: routeData.distance, legs: routeData.legs }));
+          beginTracking(journeyId, routeData.distance);
         } else {
           // Final Fallback
-          const total = haversineDistance(route.start, route.end);
+          const total = pathDistance(getRoutePoints(route));
           if (total > 0) {
-            alert(`Routenberechnung fehlgeschlagen(${routeData?.error}).Nutze Luftlinie.`);
-            setProgress({ currentKm: 0, totalKm: total, percentage: 0 });
-            setAppState('TRACKING');
+            alert(t('common.routingFailed', { error: routeData?.error }));
+            setRoute(prev => ({ ...prev, id: journeyId }));
+            beginTracking(journeyId, total);
           }
         }
       }
     }
   };
 
+  // Progress is always derived from the ride log of the active journey
+  const applyRides = (nextRides) => {
+    setRides(nextRides);
+    setProgress(prev => computeProgress(nextRides, route.id || null, prev.totalKm, route.offsetKm || 0));
+  };
+
+  // Built once per path, not on every render: without a path the points
+  // would be a new array each time and miss the cache in milestones.js
+  const routeMilestones = useMemo(() => buildMilestones(
+    route.path && route.path.length > 0 ? route.path : getRoutePoints({ start: route.start, waypoints: route.waypoints, end: route.end }),
+    route.customMilestones
+  ), [route.path, route.start, route.waypoints, route.end, route.customMilestones]);
+
+  // New rides move the cyclist forward: remember which places were passed
+  // and which badges were earned for the celebration
+  const celebrateRides = (nextRides) => {
+    const next = computeProgress(nextRides, route.id || null, progress.totalKm, route.offsetKm || 0);
+    const milestones = routeMilestones;
+    const isFinished = next.totalKm > 0 && next.currentKm >= next.totalKm;
+    const earned = findNewAchievements({
+      rides: nextRides,
+      finishedRouteKm: (route.offsetKm || 0) + (isFinished ? next.totalKm : 0),
+      passedMilestones: [
+        ...(route.completedLegs || []).flatMap(leg => buildMilestones(leg.path)),
+        ...milestones.filter(m => m.km <= next.currentKm)
+      ]
+    }, achievements);
+
+    if (earned.length > 0) {
+      const unlocked = unlockAchievements(achievements, earned);
+      setAchievements(unlocked);
+      setProfileAchievements(prev => ({ ...prev, [currentUser.id]: unlocked }));
+    }
+    setNewAchievements(earned);
+    setPassedMilestones(milestonesBetween(milestones, progress.currentKm, next.currentKm));
+    applyRides(nextRides);
+    setAppState('CELEBRATION');
+  };
+
+  // The state of the current rider as saved on another device (e.g. a phone
+  // logging a ride while this tablet shows the map). Rides and badges are
+  // merged, route, goal, journeys and app state are taken over where they
+  // differ from what was last saved here, so the own saves coming back don't
+  // undo newer changes. A ride that ended in a celebration there gets one here.
+  const applyRemoteUserState = (data) => {
+    const base = savedUserState.current && savedUserState.current.user_id === data.user_id ? savedUserState.current : {};
+    const isNew = (key) => !isSameData(data[key] ?? null, base[key] ?? null);
+    savedUserState.current = data;
+
+    const deleted = [...new Set([...deletedRideIds, ...(data.deleted_ride_ids || [])])];
+    const nextRides = mergeRides(rides, data.rides, deleted);
+    const hasNewRides = !isSameData(nextRides, rides);
+    if (deleted.length !== deletedRideIds.length) setDeletedRideIds(deleted);
+
+    if (isNew('route') && data.route) {
+      setRoute(data.route);
+      setRides(nextRides);
+      if (data.progress) setProgress(computeProgress(nextRides, data.route.id || null, data.progress.totalKm, data.route.offsetKm || 0));
+    } else if (hasNewRides && appState === 'TRACKING' && isNew('app_state') && data.app_state === 'CELEBRATION') {
+      celebrateRides(nextRides);
+      return;
+    } else if (hasNewRides) {
+      applyRides(nextRides);
+    }
+
+    const newBadges = (data.achievements || []).filter(a => !achievements.some(b => b.id === a.id));
+    if (newBadges.length > 0) setAchievements([...achievements, ...newBadges]);
+    if (isNew('goal')) setGoal(data.goal || null);
+    if (isNew('journeys')) setJourneys(data.journeys || []);
+    if (isNew('app_state') && data.app_state) setAppState(data.app_state);
+  };
+
+  // The subscription stays, the handler is swapped to see the current state
+  const remoteUserStateHandler = useRef(applyRemoteUserState);
+  useEffect(() => {
+    remoteUserStateHandler.current = applyRemoteUserState;
+  });
+
+  // Changes from other devices show up within seconds: new profiles, teams,
+  // badges in the picker and the progress of the current rider
+  useEffect(() => {
+    let isOutdated = false;
+    const achievementChanges = batchChanges(fetchProfileAchievements);
+    const unsubscribe = storage.subscribe(async ({ table, id }) => {
+      if (table === 'profiles') fetchProfiles();
+      if (table === 'teams') fetchTeams();
+      if (table !== 'user_state') return;
+      achievementChanges(id);
+      if (!currentUser || (id && id !== currentUser.id)) return;
+
+      const { data, error } = await storage.getUserState(currentUser.id);
+      if (error) console.error('Error loading user state:', error);
+      else if (data && !isOutdated) remoteUserStateHandler.current(data);
+    });
+    return () => {
+      isOutdated = true;
+      achievementChanges.cancel();
+      unsubscribe();
+    };
+  }, [currentUser]);
+
+  const addMilestone = () => {
+    if (!milestoneDraft.name.trim() || !(Number(milestoneDraft.km) > 0)) return;
+    setRoute(prev => ({ ...prev, customMilestones: [...(prev.customMilestones || []), createMilestone({ ...milestoneDraft, km: toKm(Number(milestoneDraft.km)) })] }));
+    setMilestoneDraft(null);
+  };
+
+  const saveGoal = () => {
+    // Typed in the rider's unit, goals are kept in km
+    setGoal(Number(goalDraft.km) > 0 ? createGoal({ ...goalDraft, km: toKm(Number(goalDraft.km)) }, goal) : null);
+    setGoalDraft(null);
+  };
+
+  const removeMilestone = (id) => {
+    setRoute(prev => ({ ...prev, customMilestones: prev.customMilestones.filter(m => m.id !== id) }));
+  };
+
+  // The inputs are in the rider's units, rides are stored in km and m
   const addDistance = () => {
     const added = parseFloat(inputKm);
     if (!isNaN(added) && added > 0) {
-      setProgress(prev => {
-        const newCurrent = Math.min(prev.currentKm + added, prev.totalKm);
-        return {
-          ...prev,
-          currentKm: newCurrent,
-          percentage: newCurrent / prev.totalKm,
-          totalKm: prev.totalKm // ensure total doesn't get lost
-        };
+      const ride = createRide({
+        km: toKm(added),
+        date: inputDate,
+        durationMin: inputDuration,
+        elevationGainM: inputElevation ? Math.round(toMeters(Number(inputElevation))) : null,
+        note: inputNote,
+        journeyId: route.id || null
       });
+      celebrateRides([...rides, ride]);
       setInputKm('');
-      setAppState('CELEBRATION');
+      setInputDuration('');
+      setInputElevation('');
+      setInputNote('');
+      setInputDate(todayIso());
+    }
+  };
+
+  // Rides from GPX/TCX/FIT files. Files that were imported before are skipped.
+  const importFiles = async (files) => {
+    const imported = [];
+    const problems = [];
+
+    for (const file of files) {
+      try {
+        const activity = await importActivityFile(file);
+        if (isAlreadyImported([...rides, ...imported], activity.source)) {
+          problems.push(t('errors.alreadyImported', { file: file.name }));
+          continue;
+        }
+        imported.push(createRide({
+          km: activity.km,
+          date: activity.startTime ? toLocalIsoDate(new Date(activity.startTime)) : todayIso(),
+          durationMin: activity.durationMin,
+          note: activity.name || file.name,
+          elevationGainM: activity.elevationGainM,
+          source: activity.source,
+          journeyId: route.id || null
+        }));
+      } catch (error) {
+        problems.push(`${file.name}: ${errorMessage(error)}`);
+      }
+    }
+
+    if (problems.length > 0) alert(problems.join('\n'));
+    if (imported.length > 0) {
+      celebrateRides([...rides, ...imported]);
+    }
+  };
+
+  const handleFileDrop = (e) => {
+    e.preventDefault();
+    setIsDraggingFile(false);
+    importFiles(Array.from(e.dataTransfer.files));
+  };
+
+  const exportJourney = (format) => {
+    const name = `${currentUser.name} - Cycling Motivator`;
+    const fileBase = `cycling-motivator-${currentUser.name.toLowerCase().replace(/[^a-z0-9]+/g, '-')}-${todayIso()}`;
+    const data = { route, progress, currentPosition, name };
+
+    if (format === 'gpx') {
+      downloadFile(`${fileBase}.gpx`, buildGpx(data), 'application/gpx+xml');
+    } else {
+      downloadFile(`${fileBase}.geojson`, buildGeoJson(data), 'application/geo+json');
     }
+    setShowExportMenu(false);
+  };
+
+  // updatedAt and the deleted ids let the storage merge ride logs of several devices
+  const updateRide = (updated) => {
+    const edited = { ...updated, updatedAt: new Date().toISOString() };
+    applyRides(rides.map(r => r.id === edited.id ? edited : r));
   };
 
+  const deleteRide = (id) => {
+    setDeletedRideIds(prev => [...prev, id]);
+    applyRides(rides.filter(r => r.id !== id));
+  };
+
+  const currentTeam = teams.find(team => team.id === currentTeamId);
+
+  if (!currentUser && currentTeam) {
+    return (
+      <TeamView
+        key={currentTeam.id}
+        team={currentTeam}
+        profiles={profiles}
+        onUpdate={(patch) => handleUpdateTeam(currentTeam.id, patch)}
+        onBack={() => setCurrentTeamId(null)}
+      />
+    );
+  }
+
   if (!currentUser) {
+    if (showLeaderboard) {
+      return <Leaderboard profiles={profiles} onBack={() => setShowLeaderboard(false)} />;
+    }
+
+    if (teamFormTarget) {
+      return (
+        <TeamForm
+          team={teamFormTarget === 'new' ? null : teamFormTarget}
+          profiles={profiles}
+          onSave={handleSaveTeam}
+          onCancel={() => setTeamFormTarget(null)}
+        />
+      );
+    }
+
     if (showNewProfileForm) {
+      const editingProfile = profiles.find(p => p.id === editingProfileId);
       return (
         <div style={{ height: '100vh', width: '100vw', background: 'var(--bg-app)', display: 'flex', flexDirection: 'column', alignItems: 'center', justifyContent: 'center', padding: '20px' }}>
           <div style={{ background: 'var(--bg-surface)', padding: '40px', borderRadius: 'var(--radius-lg)', border: 'var(--glass-border)', width: '100%', maxWidth: '500px', display: 'flex', flexDirection: 'column', gap: '30px' }}>
             <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center' }}>
-              <h2 style={{ fontSize: '2rem', margin: 0 }}>{editingProfileId ? 'Profil bearbeiten' : 'Neuer Fahrer'}</h2>
-              <button onClick={() => { setShowNewProfileForm(false); setEditingProfileId(null); setNewProfileName(''); setNewProfilePhoto(null); }} style={{ background: 'transparent', padding: '10px' }}><X size={32} /></button>
+              <h2 style={{ fontSize: '2rem', margin: 0 }}>{editingProfileId ? t('profiles.editTitle') : t('profiles.newTitle')}</h2>
+              <button onClick={closeProfileForm} style={{ background: 'transparent', padding: '10px' }}><X size={32} /></button>
             </div>
 
             <div style={{ display: 'flex', flexDirection: 'column', gap: '10px' }}>
-              <label style={{ fontSize: '1.2rem', color: 'var(--text-secondary)' }}>Name</label>
+              <label style={{ fontSize: '1.2rem', color: 'var(--text-secondary)' }}>{t('profiles.name')}</label>
               <input
                 type="text"
                 value={newProfileName}
                 onChange={(e) => setNewProfileName(e.target.value)}
-                placeholder="Name eingeben..."
+                placeholder={t('profiles.namePlaceholder')}
                 style={{ padding: '20px', fontSize: '1.5rem', borderRadius: 'var(--radius-sm)', border: '1px solid rgba(255,255,255,0.1)', background: 'rgba(0,0,0,0.2)', color: 'white' }}
               />
             </div>
 
             <div style={{ display: 'flex', flexDirection: 'column', gap: '10px' }}>
-              <label style={{ fontSize: '1.2rem', color: 'var(--text-secondary)' }}>Foto (Optional)</label>
+              <label style={{ fontSize: '1.2rem', color: 'var(--text-secondary)' }}>{t('profiles.photo')}</label>
               <div style={{ display: 'flex', alignItems: 'center', gap: '20px' }}>
                 <label style={{ cursor: 'pointer', display: 'flex', alignItems: 'center', gap: '10px', padding: '20px', background: 'rgba(255,255,255,0.05)', borderRadius: 'var(--radius-sm)', border: '1px dashed rgba(255,255,255,0.2)', flex: 1, justifyContent: 'center' }}>
                   <Upload size={24} />
-                  <span style={{ fontSize: '1.2rem' }}>Bild hochladen</span>
+                  <span style={{ fontSize: '1.2rem' }}>{t('profiles.uploadPhoto')}</span>
                   <input type="file" accept="image/*" onChange={handlePhotoUpload} style={{ display: 'none' }} />
                 </label>
                 {newProfilePhoto && (
@@ -337,8 +1112,56 @@ function App() {
               </div>
             </div>
 
-            <button className="primary" onClick={handleSaveProfile} style={{ padding: '20px', fontSize: '1.5rem', marginTop: '20px' }} disabled={!newProfileName}>
-              {editingProfileId ? 'Speichern' : 'Erstellen'}
+            <div style={{ display: 'flex', flexDirection: 'column', gap: '10px' }}>
+              <label style={{ fontSize: '1.2rem', color: 'var(--text-secondary)' }}>{t('profiles.pin')}</label>
+              <input
+                type="password"
+                inputMode="numeric"
+                value={newProfilePin}
+                onChange={(e) => { setNewProfilePin(e.target.value.replace(/\D/g, '').slice(0, 8)); setRemoveProfilePin(false); }}
+                placeholder={editingProfile && editingProfile.pin_hash ? t('profiles.pinKeep') : t('profiles.pinNone')}
+                style={{ padding: '20px', fontSize: '1.5rem', borderRadius: 'var(--radius-sm)', border: '1px solid rgba(255,255,255,0.1)', background: 'rgba(0,0,0,0.2)', color: 'white' }}
+              />
+              {editingProfile && editingProfile.pin_hash && !newProfilePin && (
+                <label style={{ display: 'flex', alignItems: 'center', gap: '10px', fontSize: '1.1rem', color: 'var(--text-secondary)', cursor: 'pointer' }}>
+                  <input type="checkbox" checked={removeProfilePin} onChange={(e) => setRemoveProfilePin(e.target.checked)} />
+                  {t('profiles.pinRemove')}
+                </label>
+              )}
+            </div>
+
+            <div style={{ display: 'flex', flexDirection: 'column', gap: '10px' }}>
+              <label style={{ fontSize: '1.2rem', color: 'var(--text-secondary)' }}>{t('profiles.language')}</label>
+              <div style={{ display: 'flex', gap: '8px' }}>
+                {['', ...Object.keys(LANGUAGES)].map(code => (
+                  <button
+                    key={code || 'device'}
+                    onClick={() => setNewProfileLanguage(code)}
+                    style={{ flex: 1, padding: '12px', fontSize: '1.1rem', background: newProfileLanguage === code ? 'rgba(34, 211, 238, 0.2)' : 'transparent' }}
+                  >
+                    {code ? LANGUAGES[code].name : t('profiles.languageDevice')}
+                  </button>
+                ))}
+              </div>
+            </div>
+
+            <div style={{ display: 'flex', flexDirection: 'column', gap: '10px' }}>
+              <label style={{ fontSize: '1.2rem', color: 'var(--text-secondary)' }}>{t('profiles.units')}</label>
+              <div style={{ display: 'flex', gap: '8px' }}>
+                {UNITS.map(units => (
+                  <button
+                    key={units}
+                    onClick={() => setNewProfileUnits(units)}
+                    style={{ flex: 1, padding: '12px', fontSize: '1.1rem', background: newProfileUnits === units ? 'rgba(34, 211, 238, 0.2)' : 'transparent' }}
+                  >
+                    {t(`profiles.unitNames.${units}`)}
+                  </button>
+                ))}
+              </div>
+            </div>
+
+            <button className="primary" onClick={handleSaveProfile} style={{ padding: '20px', fontSize: '1.5rem', marginTop: '20px' }} disabled={!newProfileName || (newProfilePin && !isValidPin(newProfilePin))}>
+              {editingProfileId ? t('common.save') : t('common.create')}
             </button>
           </div>
         </div>
@@ -346,29 +1169,74 @@ function App() {
     }
 
     return (
-      <div style={{ height: '100vh', width: '100vw', background: 'var(--bg-app)', display: 'flex', flexDirection: 'column', alignItems: 'center', justifyContent: 'center', padding: '20px', position: 'relative' }}>
+      <div style={{ height: '100vh', width: '100vw', background: 'var(--bg-app)', display: 'flex', flexDirection: 'column', alignItems: 'center', justifyContent: 'safe center', padding: '20px', position: 'relative', overflowY: 'auto' }}>
+
+        {pinRequest && <PinPrompt title={pinRequest.title} onSubmit={pinRequest.onSubmit} onCancel={() => setPinRequest(null)} />}
+        {cropImage && <PhotoCropper image={cropImage} onConfirm={handleCropConfirm} onCancel={closeCropper} />}
+
+        {/* Language of this device, a profile can choose its own */}
+        <div style={{ position: 'absolute', top: '20px', left: '20px', display: 'flex', alignItems: 'center', gap: '6px', zIndex: 100 }}>
+          <Languages size={24} color="var(--text-secondary)" />
+          {Object.keys(LANGUAGES).map(code => (
+            <button
+              key={code}
+              onClick={() => i18n.setDeviceLanguage(code)}
+              style={{ padding: '8px 12px', background: i18n.deviceLanguage === code ? 'rgba(34, 211, 238, 0.2)' : 'transparent' }}
+              title={LANGUAGES[code].name}
+            >
+              {code.toUpperCase()}
+            </button>
+          ))}
+        </div>
 
         {/* Admin Toggle */}
         <button
-          onClick={() => setIsAdminMode(!isAdminMode)}
+          onClick={toggleAdminMode}
           style={{ position: 'absolute', top: '20px', right: '60px', background: isAdminMode ? 'var(--brand-primary)' : 'rgba(255,255,255,0.1)', padding: '15px', borderRadius: '50%', border: 'none', transition: 'all 0.3s', zIndex: 100 }}
         >
           <Settings size={30} color={isAdminMode ? 'black' : 'white'} />
         </button>
 
+        {isAdminMode && (
+          <div style={{ position: 'absolute', top: '90px', right: '20px', display: 'flex', flexDirection: 'column', gap: '10px', zIndex: 100 }}>
+            <button
+              onClick={() => setPinRequest({ title: t('profiles.newAdminPin'), onSubmit: saveAdminPin })}
+              style={{ fontSize: '1rem', display: 'flex', alignItems: 'center', gap: '8px' }}
+            >
+              <Lock size={18} /> {adminPinHash ? t('profiles.changeAdminPin') : t('profiles.setAdminPin')}
+            </button>
+            {adminPinHash && (
+              <button
+                onClick={() => window.confirm(t('profiles.confirmRemoveAdminPin')) && saveAdminPin(null)}
+                style={{ fontSize: '1rem', opacity: 0.7 }}
+              >
+                {t('profiles.removeAdminPin')}
+              </button>
+            )}
+          </div>
+        )}
+
         <div style={{ textAlign: 'center', marginBottom: '60px' }}>
           <Bike size={80} className="text-brand" style={{ marginBottom: '20px' }} />
           <h1 style={{ fontSize: '3rem', fontWeight: '800', background: 'var(--brand-gradient)', WebkitBackgroundClip: 'text', WebkitTextFillColor: 'transparent', margin: 0 }}>
-            Wer fährt heute?
+            {t('profiles.title')}
           </h1>
-          <p style={{ fontSize: '1.5rem', color: 'var(--text-secondary)', marginTop: '10px' }}>Wähle dein Profil</p>
+          <p style={{ fontSize: '1.5rem', color: 'var(--text-secondary)', marginTop: '10px' }}>{t('profiles.subtitle')}</p>
+          {profiles.length > 0 && (
+            <button
+              onClick={() => setShowLeaderboard(true)}
+              style={{ marginTop: '20px', fontSize: '1.2rem', display: 'inline-flex', alignItems: 'center', gap: '10px' }}
+            >
+              <Trophy size={24} color="#facc15" /> {t('profiles.leaderboard')}
+            </button>
+          )}
         </div>
 
         <div style={{ display: 'grid', gridTemplateColumns: 'repeat(auto-fit, minmax(250px, 1fr))', gap: '30px', width: '100%', maxWidth: '1000px' }}>
           {profiles.map(profile => (
             <div key={profile.id} style={{ position: 'relative' }}>
               <button
-                onClick={() => !isAdminMode && setCurrentUser(profile)}
+                onClick={() => !isAdminMode && selectProfile(profile)}
                 style={{
                   background: 'var(--bg-surface)',
                   border: 'var(--glass-border)',
@@ -406,7 +1274,19 @@ function App() {
                     <Users size={60} color="#0f172a" />
                   )}
                 </div>
-                <span style={{ fontSize: '1.8rem', fontWeight: 'bold' }}>{profile.name}</span>
+                <span style={{ fontSize: '1.8rem', fontWeight: 'bold', display: 'flex', alignItems: 'center', gap: '10px' }}>
+                  {profile.name}
+                  {profile.pin_hash && <Lock size={20} color="var(--text-secondary)" />}
+                </span>
+                {(profileAchievements[profile.id] || []).length > 0 && (
+                  <div style={{ display: 'flex', flexWrap: 'wrap', justifyContent: 'center', gap: '6px', fontSize: '1.5rem' }}>
+                    {profileAchievements[profile.id].map(({ id }) => {
+                      const achievement = getAchievement(id);
+                      const { title, description } = achievementText(id);
+                      return achievement && <span key={id} title={`${title}: ${description}`}>{achievement.icon}</span>;
+                    })}
+                  </div>
+                )}
               </button>
 
               {/* Admin Controls */}
@@ -415,14 +1295,14 @@ function App() {
                   <button
                     onClick={() => startEditProfile(profile)}
                     style={{ background: 'white', border: 'none', borderRadius: '12px', width: '60px', height: '60px', display: 'flex', alignItems: 'center', justifyContent: 'center', cursor: 'pointer', boxShadow: '0 10px 25px rgba(0,0,0,0.5)' }}
-                    title="Bearbeiten"
+                    title={t('common.edit')}
                   >
                     <Edit2 size={32} color="#3b82f6" />
                   </button>
                   <button
                     onClick={(e) => handleDeleteProfile(profile.id, e)}
                     style={{ background: 'white', border: 'none', borderRadius: '12px', width: '60px', height: '60px', display: 'flex', alignItems: 'center', justifyContent: 'center', cursor: 'pointer', boxShadow: '0 10px 25px rgba(0,0,0,0.5)' }}
-                    title="Löschen"
+                    title={t('common.delete')}
                   >
                     <Trash2 size={32} color="#ef4444" />
                   </button>
@@ -461,23 +1341,156 @@ function App() {
             }}>
               <Plus size={50} />
             </div>
-            <span style={{ fontSize: '1.5rem', fontWeight: 'bold' }}>Neu</span>
+            <span style={{ fontSize: '1.5rem', fontWeight: 'bold' }}>{t('profiles.new')}</span>
           </button>
         </div>
+
+        {/* Teams */}
+        {profiles.length > 1 && (
+          <div style={{ width: '100%', maxWidth: '1000px', marginTop: '50px' }}>
+            <h2 style={{ fontSize: '1.8rem', marginBottom: '20px', textAlign: 'left' }}>{t('teams.heading')}</h2>
+            <div style={{ display: 'grid', gridTemplateColumns: 'repeat(auto-fit, minmax(250px, 1fr))', gap: '20px' }}>
+              {teams.map(team => {
+                const teamDistance = team.route && team.route.distance > 0 ? team.route.distance : null;
+                return (
+                  <div key={team.id} style={{ position: 'relative' }}>
+                    <button
+                      onClick={() => !isAdminMode && setCurrentTeamId(team.id)}
+                      style={{ width: '100%', background: 'var(--bg-surface)', border: `1px solid ${team.color}`, padding: '24px', borderRadius: 'var(--radius-lg)', display: 'flex', flexDirection: 'column', alignItems: 'center', gap: '12px', cursor: isAdminMode ? 'default' : 'pointer', opacity: isAdminMode ? 0.7 : 1 }}
+                    >
+                      <div style={{ display: 'flex' }}>
+                        {team.member_ids.map((id, index) => {
+                          const member = profiles.find(p => p.id === id);
+                          if (!member) return null;
+                          return (
+                            <div key={id} style={{ width: '44px', height: '44px', borderRadius: '50%', overflow: 'hidden', background: member.color, border: '2px solid var(--bg-surface-solid)', marginLeft: index > 0 ? '-12px' : 0 }}>
+                              {member.photo && <img src={thumbnailUrl(member)} alt={member.name} style={{ width: '100%', height: '100%', objectFit: 'cover' }} />}
+                            </div>
+                          );
+                        })}
+                      </div>
+                      <span style={{ fontSize: '1.5rem', fontWeight: 'bold' }}>{team.name}</span>
+                      <span style={{ color: 'var(--text-secondary)' }}>
+                        {team.app_state === 'TRACKING' && teamDistance ? t('teams.journey', { distance: distance(teamDistance, 0) }) : t('teams.noRoute')}
+                      </span>
+                    </button>
+
+                    {isAdminMode && (
+                      <div style={{ position: 'absolute', top: '50%', left: '50%', transform: 'translate(-50%, -50%)', display: 'flex', gap: '20px', zIndex: 10 }}>
+                        <button
+                          onClick={() => setTeamFormTarget(team)}
+                          style={{ background: 'white', border: 'none', borderRadius: '12px', width: '60px', height: '60px', display: 'flex', alignItems: 'center', justifyContent: 'center', cursor: 'pointer', boxShadow: '0 10px 25px rgba(0,0,0,0.5)' }}
+                          title={t('common.edit')}
+                        >
+                          <Edit2 size={32} color="#3b82f6" />
+                        </button>
+                        <button
+                          onClick={(e) => handleDeleteTeam(team.id, e)}
+                          style={{ background: 'white', border: 'none', borderRadius: '12px', width: '60px', height: '60px', display: 'flex', alignItems: 'center', justifyContent: 'center', cursor: 'pointer', boxShadow: '0 10px 25px rgba(0,0,0,0.5)' }}
+                          title={t('common.delete')}
+                        >
+                          <Trash2 size={32} color="#ef4444" />
+                        </button>
+                      </div>
+                    )}
+                  </div>
+                );
+              })}
+
+              <button
+                onClick={() => setTeamFormTarget('new')}
+                style={{ background: 'rgba(255,255,255,0.05)', border: '2px dashed rgba(255,255,255,0.2)', padding: '24px', borderRadius: 'var(--radius-lg)', display: 'flex', flexDirection: 'column', alignItems: 'center', justifyContent: 'center', gap: '12px', color: 'var(--text-secondary)' }}
+              >
+                <Plus size={40} />
+                <span style={{ fontSize: '1.3rem', fontWeight: 'bold' }}>{t('teams.new')}</span>
+              </button>
+            </div>
+          </div>
+        )}
       </div>
     );
   }
 
+  if (replayJourney) {
+    return (
+      <JourneyReplay
+        profile={currentUser}
+        route={replayJourney.route}
+        totalKm={replayJourney.totalKm}
+        rides={rides}
+        title={journeyTitle(replayJourney.route)}
+        onBack={() => setReplayJourney(null)}
+      />
+    );
+  }
+
+  if (showJourneys) {
+    return (
+      <JourneyLibrary
+        profile={currentUser}
+        journeys={journeys}
+        rides={rides}
+        onResume={resumeJourney}
+        onDelete={deleteJourney}
+        onReplay={(entry) => setReplayJourney({ route: entry.route, totalKm: entry.totalKm })}
+        onBack={() => setShowJourneys(false)}
+      />
+    );
+  }
+
+  if (showStats) {
+    return (
+      <StatsView
+        profile={currentUser}
+        rides={rides}
+        route={route}
+        progress={progress}
+        onBack={() => setShowStats(false)}
+      />
+    );
+  }
+
+  const legOverflowKm = overflowKm(rides, route.id || null, progress.totalKm, route.offsetKm || 0);
+  const climbing = climbingProgress(route.elevation, progress.currentKm);
+  const climbedM = sumElevation(ridesForJourney(rides, route.id || null));
+  const kmGoalPeriods = goalPeriods(rides, goal);
+  const currentGoalPeriod = kmGoalPeriods[kmGoalPeriods.length - 1];
+  const goalStreak = goalStreaks(kmGoalPeriods);
+  const goalUnit = (count) => t(`goals.${goal && goal.period === 'month' ? 'month' : 'week'}.unit`, { count });
+  const nextMilestones = upcomingMilestones(routeMilestones, progress.currentKm);
+  // The map keeps the cyclist and the next milestone (or the finish) in view
+  const nextStop = nextMilestones.length > 0 && route.path && route.path.length > 0
+    ? getPositionAlongPath(route.path, nextMilestones[0].km)
+    : route.end;
+  const focusPoints = appState === 'TRACKING' && !rerouteDraft && !isQueueing && currentPosition
+    ? [currentPosition, nextStop].filter(Boolean)
+    : [];
+  // A new badge takes the headline, then the passed places are listed below
+  const lastMilestone = newAchievements.length > 0 ? null : passedMilestones[passedMilestones.length - 1];
+  const otherMilestones = lastMilestone ? passedMilestones.slice(0, -1) : passedMilestones;
+
   return (
     <>
       <div style={{ position: 'relative', height: '100vh', width: '100vw' }}>
         <MapContainerComponent
           start={route.start}
-          end={route.end}
+          end={rerouteDraft ? rerouteDraft.end : route.end}
+          waypoints={rerouteDraft ? rerouteDraft.waypoints : route.waypoints}
           path={route.path}
+          previewPath={rerouteDraft ? getReroutePoints() : null}
+          completedLegs={route.completedLegs}
+          queue={route.queue}
           currentPosition={currentPosition}
+          riddenKm={appState === 'SETUP' ? null : progress.currentKm}
+          riddenColor={currentUser.color || '#22d3ee'}
+          rideSections={rideSections}
+          focusPoints={focusPoints}
+          editable={appState === 'SETUP' || !!rerouteDraft}
+          lockStart={!!rerouteDraft || isTourContinued}
           onMapClick={handleMapClick}
           onMarkerClick={handleMarkerClick}
+          onMarkerDrag={handleMarkerDrag}
+          onSearchSelect={handleMapClick}
         />
 
         {/* Header Overlay */}
@@ -487,49 +1500,214 @@ function App() {
               <Bike className="text-brand" size={48} color="#22d3ee" /> Cycling Motivator
             </h1>
             <p style={{ margin: 0, opacity: 0.8, fontSize: '1.2rem', color: 'var(--text-secondary)' }}>
-              {appState === 'SETUP' && !route.start && "Tippe auf die Karte, um den START zu setzen"}
-              {appState === 'SETUP' && route.start && !route.end && "Tippe auf die Karte, um das ZIEL zu setzen"}
-              {appState === 'SETUP' && route.start && route.end && (isLoading ? "Route wird berechnet..." : `Bereit ? Gesamtstrecke : ${route.distance ? route.distance.toFixed(1) : '...'} km`)}
-              {appState === 'TRACKING' && "Bleib dran! Jeder Kilometer zählt."}
+              {appState === 'SETUP' && !route.start && t('common.tapStart')}
+              {appState === 'SETUP' && route.start && !route.end && t('common.tapFinish')}
+              {appState === 'SETUP' && route.start && route.end && (isLoading ? t('main.calculatingRoute') : t('main.ready', { distance: route.distance ? distance(route.distance) : '...' }))}
+              {appState === 'TRACKING' && !rerouteDraft && t('main.keepGoing')}
+              {isQueueing && t('main.tapQueue')}
+              {!isQueueing && rerouteDraft && (rerouteDraft.end ? t('main.tapDetour') : t('main.tapNewFinish'))}
             </p>
+            {(!isOnline || hasQueuedWrites) && (
+              <div style={{ display: 'inline-flex', alignItems: 'center', gap: '8px', marginTop: '10px', padding: '6px 12px', borderRadius: 'var(--radius-sm)', background: 'rgba(251, 191, 36, 0.15)', color: '#fbbf24', fontSize: '0.95rem' }}>
+                {isOnline ? <RefreshCw size={16} /> : <WifiOff size={16} />}
+                {isOnline ? t('main.syncing') : t('main.offline')}
+              </div>
+            )}
           </div>
 
           {/* Actions */}
           <div style={{ pointerEvents: 'auto', display: 'flex', gap: '20px' }}>
             {appState === 'SETUP' && route.end && (
               <button className="primary" onClick={startJourney} disabled={isLoading} style={{ fontSize: '1.2rem', padding: '1em 2em' }}>
-                {isLoading ? 'Berechne...' : 'Eintragung starten'}
+                {isLoading ? t('common.calculating') : t('main.startTracking')}
               </button>
             )}
             {appState === 'SETUP' && route.start && (
               <button onClick={resetRoute} style={{ fontSize: '1.1rem', padding: '1em 2em' }}>
-                Zurücksetzen
+                {t('main.reset')}
+              </button>
+            )}
+            {((appState === 'SETUP' && route.end) || appState === 'TRACKING') && !rerouteDraft && (
+              <button
+                onClick={() => setIsQueueing(!isQueueing)}
+                style={{ fontSize: '1rem', padding: '0.8em 1.2em', background: isQueueing ? 'rgba(34, 211, 238, 0.2)' : undefined }}
+              >
+                {isQueueing ? t('main.done') : t('main.queueStages')}
+              </button>
+            )}
+            {appState === 'TRACKING' && !rerouteDraft && !isQueueing && (
+              <button onClick={startReroute} style={{ fontSize: '1rem', padding: '0.8em 1.2em' }}>
+                {t('main.changeRoute')}
               </button>
             )}
             {appState === 'TRACKING' && (
-              <button onClick={resetRoute} style={{ fontSize: '1rem', padding: '0.8em 1.2em', opacity: 0.7 }}>
-                Beenden / Reset
+              <button onClick={resetRoute} style={{ fontSize: '1rem', padding: '0.8em 1.2em', opacity: 0.7 }} title={t('main.pauseHint')}>
+                {t('main.pause')}
+              </button>
+            )}
+            {route.start && route.end && !rerouteDraft && !isQueueing && (
+              <div style={{ position: 'relative' }}>
+                <button
+                  onClick={() => setShowExportMenu(!showExportMenu)}
+                  style={{ fontSize: '1rem', padding: '0.8em', background: 'transparent', border: '1px solid rgba(255,255,255,0.1)', color: 'var(--text-secondary)' }}
+                  title={t('main.export')}
+                >
+                  <Download size={24} />
+                </button>
+                {showExportMenu && (
+                  <div style={{ position: 'absolute', top: '110%', right: 0, display: 'flex', flexDirection: 'column', gap: '8px', padding: '10px', background: 'var(--bg-surface-solid)', border: 'var(--glass-border)', borderRadius: 'var(--radius-md)', boxShadow: 'var(--shadow-lg)' }}>
+                    <button onClick={() => exportJourney('gpx')} style={{ whiteSpace: 'nowrap' }}>GPX</button>
+                    <button onClick={() => exportJourney('geojson')} style={{ whiteSpace: 'nowrap' }}>GeoJSON</button>
+                  </div>
+                )}
+              </div>
+            )}
+            {appState !== 'SETUP' && ridesForJourney(rides, route.id).length > 0 && (
+              <button
+                onClick={() => setReplayJourney({ route, totalKm: progress.totalKm })}
+                style={{ fontSize: '1rem', padding: '0.8em', background: 'transparent', border: '1px solid rgba(255,255,255,0.1)', color: 'var(--text-secondary)' }}
+                title={t('main.replay')}
+              >
+                <Clapperboard size={24} />
               </button>
             )}
             <button
-              onClick={() => setCurrentUser(null)}
+              onClick={() => setShowJourneys(true)}
+              style={{ fontSize: '1rem', padding: '0.8em', background: 'transparent', border: '1px solid rgba(255,255,255,0.1)', color: 'var(--text-secondary)' }}
+              title={t('main.journeys')}
+            >
+              <Library size={24} />
+            </button>
+            <button
+              onClick={() => setShowStats(true)}
               style={{ fontSize: '1rem', padding: '0.8em', background: 'transparent', border: '1px solid rgba(255,255,255,0.1)', color: 'var(--text-secondary)' }}
-              title="Benutzer wechseln"
+              title={t('main.stats')}
+            >
+              <BarChart3 size={24} />
+            </button>
+            <button
+              onClick={signOut}
+              style={{ fontSize: '1rem', padding: '0.8em', background: 'transparent', border: '1px solid rgba(255,255,255,0.1)', color: 'var(--text-secondary)' }}
+              title={t('main.switchRider')}
             >
               <Users size={24} />
             </button>
           </div>
         </div>
 
+        {/* Tour Queue */}
+        {isQueueing && (
+          <div style={{ position: 'absolute', bottom: 60, left: 20, zIndex: 1000, width: '100%', maxWidth: '420px', background: 'var(--bg-surface)', backdropFilter: 'blur(12px)', padding: '20px', borderRadius: 'var(--radius-lg)', border: 'var(--glass-border)', boxShadow: 'var(--shadow-lg)' }}>
+            <div style={{ fontSize: '1.2rem', fontWeight: 'bold', marginBottom: '6px' }}>{t('queue.title')}</div>
+            <div style={{ fontSize: '0.95rem', color: 'var(--text-secondary)', marginBottom: '12px' }}>
+              {t('queue.hint')}
+            </div>
+            {(route.queue || []).length === 0 && (
+              <div style={{ color: 'var(--text-secondary)' }}>{t('queue.empty')}</div>
+            )}
+            {(route.queue || []).map((point, index) => (
+              <div key={`${point.lat},${point.lng},${index}`} style={{ display: 'flex', alignItems: 'center', gap: '10px', padding: '4px 0' }}>
+                <span style={{ width: '28px', textAlign: 'center', fontWeight: 'bold', color: 'var(--text-secondary)' }}>{index + 1}</span>
+                <span style={{ flex: 1, minWidth: 0, overflow: 'hidden', textOverflow: 'ellipsis', whiteSpace: 'nowrap', textAlign: 'left' }}>
+                  {point.label || `${point.lat.toFixed(4)}, ${point.lng.toFixed(4)}`}
+                </span>
+                <button onClick={() => removeQueuedPoint(index)} style={{ padding: '6px', background: 'transparent', display: 'flex' }} title={t('common.remove')}>
+                  <X size={18} />
+                </button>
+              </div>
+            ))}
+          </div>
+        )}
+
+        {/* Route Stops */}
+        {appState === 'SETUP' && route.start && route.end && !isQueueing && (
+          <div style={{ position: 'absolute', bottom: 60, left: 20, zIndex: 1000, width: '100%', maxWidth: '420px', background: 'var(--bg-surface)', backdropFilter: 'blur(12px)', padding: '20px', borderRadius: 'var(--radius-lg)', border: 'var(--glass-border)', boxShadow: 'var(--shadow-lg)' }}>
+            <div style={{ fontSize: '1.2rem', fontWeight: 'bold', marginBottom: '6px' }}>{t('route.title')}</div>
+            <div style={{ fontSize: '0.95rem', color: 'var(--text-secondary)', marginBottom: '12px' }}>
+              {t('route.hint')}
+            </div>
+            {SUPPORTS_BIKE_PROFILES && (
+              <div style={{ display: 'flex', gap: '8px', marginBottom: '12px' }}>
+                {BIKE_PROFILES.map(profile => (
+                  <button
+                    key={profile}
+                    onClick={() => setBikeProfile(profile)}
+                    style={{ flex: 1, padding: '8px', background: (route.profile || DEFAULT_BIKE_PROFILE) === profile ? 'rgba(34, 211, 238, 0.2)' : 'transparent' }}
+                  >
+                    {t(`bikeProfiles.${profile}`)}
+                  </button>
+                ))}
+              </div>
+            )}
+            <WaypointList
+              points={getRoutePoints(route)}
+              legs={route.path.length > 0 ? route.legs : null}
+              lockFirst={isTourContinued}
+              onMove={moveRoutePoint}
+              onRemove={removeRoutePoint}
+            />
+            {route.elevation && route.elevation.length > 1 && (
+              <div style={{ marginTop: '12px' }}>
+                <ElevationChart profile={route.elevation} currentKm={0} height={60} />
+                <div style={{ fontSize: '0.9rem', color: 'var(--text-secondary)', marginTop: '4px' }}>
+                  {t('route.climb', { elevation: elevation(climbingProgress(route.elevation, 0).total) })}
+                </div>
+              </div>
+            )}
+            <div style={{ display: 'flex', gap: '8px', alignItems: 'center', marginTop: '12px' }}>
+              <Mountain size={20} color="var(--text-secondary)" />
+              <input
+                type="number"
+                placeholder={t('route.elevationGoalPlaceholder')}
+                value={route.elevationGoalM ? Math.round(elevationValue(route.elevationGoalM)) : ''}
+                onChange={(e) => setElevationGoal(toMeters(parseFloat(e.target.value)))}
+                style={{ flex: 1, minWidth: 0, padding: '8px', fontSize: '1rem', borderRadius: 'var(--radius-sm)', border: '1px solid rgba(255,255,255,0.1)', background: 'rgba(0,0,0,0.2)', color: 'white' }}
+              />
+              <button onClick={() => setElevationGoal(EVEREST_M)} style={{ padding: '8px 12px' }} title={elevation(EVEREST_M)}>
+                Everest
+              </button>
+            </div>
+          </div>
+        )}
+
+        {/* Route Change (mid-journey) */}
+        {appState === 'TRACKING' && rerouteDraft && (
+          <div style={{ position: 'absolute', bottom: 60, left: 20, zIndex: 1000, width: '100%', maxWidth: '420px', background: 'var(--bg-surface)', backdropFilter: 'blur(12px)', padding: '20px', borderRadius: 'var(--radius-lg)', border: 'var(--glass-border)', boxShadow: 'var(--shadow-lg)' }}>
+            <div style={{ fontSize: '1.2rem', fontWeight: 'bold', marginBottom: '6px' }}>{t('main.changeRoute')}</div>
+            <div style={{ fontSize: '0.95rem', color: 'var(--text-secondary)', marginBottom: '12px' }}>
+              {t('reroute.hint', { distance: distance(progress.currentKm) })}
+            </div>
+            <WaypointList
+              points={getReroutePoints()}
+              lockFirst
+              onMove={moveReroutePoint}
+              onRemove={removeReroutePoint}
+            />
+            <div style={{ display: 'flex', gap: '12px', marginTop: '16px' }}>
+              <button className="primary" onClick={applyReroute} disabled={isLoading || !rerouteDraft.end} style={{ flex: 1 }}>
+                {isLoading ? t('common.calculating') : t('reroute.apply')}
+              </button>
+              <button onClick={() => setRerouteDraft(null)} disabled={isLoading}>
+                {t('common.cancel')}
+              </button>
+            </div>
+          </div>
+        )}
+
         {/* Tracking Overlay */}
-        {appState === 'TRACKING' && (
+        {appState === 'TRACKING' && !rerouteDraft && !isQueueing && (
           <div style={{ position: 'absolute', bottom: 60, left: 20, right: 20, zIndex: 1000, pointerEvents: 'none', display: 'flex', justifyContent: 'center' }}>
-            <div style={{ pointerEvents: 'auto', background: 'var(--bg-surface)', backdropFilter: 'blur(12px)', padding: '30px', borderRadius: 'var(--radius-lg)', border: 'var(--glass-border)', width: '100%', maxWidth: '600px', boxShadow: 'var(--shadow-lg)' }}>
+            <div
+              onDragOver={(e) => { e.preventDefault(); setIsDraggingFile(true); }}
+              onDragLeave={() => setIsDraggingFile(false)}
+              onDrop={handleFileDrop}
+              style={{ pointerEvents: 'auto', background: 'var(--bg-surface)', backdropFilter: 'blur(12px)', padding: '30px', borderRadius: 'var(--radius-lg)', border: isDraggingFile ? '2px dashed #22d3ee' : 'var(--glass-border)', width: '100%', maxWidth: '600px', boxShadow: 'var(--shadow-lg)' }}
+            >
 
               {/* Stats Row */}
               <div style={{ display: 'flex', justifyContent: 'space-between', marginBottom: '24px', alignItems: 'center' }}>
                 <div style={{ textAlign: 'center' }}>
-                  <div style={{ fontSize: '1.2rem', color: 'var(--text-secondary)' }}>Fortschritt</div>
+                  <div style={{ fontSize: '1.2rem', color: 'var(--text-secondary)' }}>{t('tracking.progress')}</div>
                   <div style={{ fontSize: '2.5rem', fontWeight: 'bold' }}>{Math.round(progress.percentage * 100)}%</div>
                 </div>
                 {/* Street View Toggle */}
@@ -541,36 +1719,243 @@ function App() {
                       }
                     }}
                     style={{ padding: '16px', background: 'rgba(255,255,255,0.1)', border: '1px solid rgba(255,255,255,0.2)', borderRadius: '50%' }}
-                    title="Umgebung ansehen (Street View)"
+                    title={t('tracking.streetView')}
                   >
                     <ScanEye size={40} color="#fff" />
                   </button >
                 </div >
                 <div style={{ textAlign: 'center' }}>
-                  <div style={{ fontSize: '1.2rem', color: 'var(--text-secondary)' }}>Distanz</div>
-                  <div style={{ fontSize: '2.5rem', fontWeight: 'bold' }}>{progress.currentKm.toFixed(1)} <span style={{ fontSize: '1.5rem' }}>/ {progress.totalKm.toFixed(1)} km</span></div>
+                  <div style={{ fontSize: '1.2rem', color: 'var(--text-secondary)' }}>{t('tracking.distance')}</div>
+                  <div style={{ fontSize: '2.5rem', fontWeight: 'bold' }}>{i18n.number(distanceValue(progress.currentKm), 1)} <span style={{ fontSize: '1.5rem' }}>/ {distance(progress.totalKm)}</span></div>
                 </div>
               </div >
 
               {/* Progress Bar */}
-              < div style={{ height: '16px', background: 'rgba(255,255,255,0.1)', borderRadius: '8px', marginBottom: '24px', overflow: 'hidden' }}>
+              < div style={{ height: '16px', background: 'rgba(255,255,255,0.1)', borderRadius: '8px', marginBottom: '12px', overflow: 'hidden' }}>
                 <div style={{ height: '100%', width: `${progress.percentage * 100}%`, background: 'var(--brand-gradient)', transition: 'width 0.5s ease-out' }} />
               </div >
+              <div style={{ display: 'flex', justifyContent: 'space-between', fontSize: '1rem', color: 'var(--text-secondary)', marginBottom: '24px' }}>
+                <span>{isTourContinued ? t('tracking.stage', { number: route.completedLegs.length + 1 }) : ''}</span>
+                <span>{t('tracking.totalRidden', { distance: <span style={{ color: 'white' }}>{distance(sumKm(rides))}</span> })}</span>
+              </div>
+
+              {/* Km Goal */}
+              <div style={{ marginBottom: '24px' }}>
+                {goalDraft ? (
+                  <div style={{ display: 'flex', gap: '8px' }}>
+                    {GOAL_PERIODS.map(period => (
+                      <button
+                        key={period}
+                        onClick={() => setGoalDraft({ ...goalDraft, period })}
+                        style={{ padding: '10px', background: goalDraft.period === period ? 'rgba(34, 211, 238, 0.2)' : 'transparent' }}
+                      >
+                        {t(`goals.${period}.label`)}
+                      </button>
+                    ))}
+                    <input
+                      type="number"
+                      placeholder={distanceUnit}
+                      value={goalDraft.km}
+                      onChange={(e) => setGoalDraft({ ...goalDraft, km: e.target.value })}
+                      style={{ flex: 1, minWidth: 0, padding: '10px', fontSize: '1rem', borderRadius: 'var(--radius-sm)', border: '1px solid rgba(255,255,255,0.1)', background: 'rgba(0,0,0,0.2)', color: 'white' }}
+                    />
+                    <button className="primary" onClick={saveGoal} style={{ padding: '0 16px' }} title={t('goals.emptyRemoves')}>OK</button>
+                    <button onClick={() => setGoalDraft(null)} style={{ padding: '4px', background: 'transparent' }}><X size={18} /></button>
+                  </div>
+                ) : goal ? (
+                  <>
+                    <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', fontSize: '1rem', color: 'var(--text-secondary)', marginBottom: '6px' }}>
+                      <span>
+                        <Target size={16} style={{ verticalAlign: 'middle' }} /> {t(`goals.${goal.period === 'month' ? 'month' : 'week'}.label`)}
+                        <button onClick={() => setGoalDraft({ period: goal.period, km: String(Math.round(distanceValue(goal.km) * 10) / 10) })} style={{ padding: '2px 6px', marginLeft: '6px', background: 'transparent' }} title={t('goals.edit')}>
+                          <Edit2 size={14} />
+                        </button>
+                      </span>
+                      <span><span style={{ color: 'white' }}>{i18n.number(distanceValue(currentGoalPeriod.km), 1)}</span> / {distance(goal.km, 0)}</span>
+                    </div>
+                    <div style={{ height: '10px', background: 'rgba(255,255,255,0.1)', borderRadius: '5px', overflow: 'hidden' }}>
+                      <div style={{ height: '100%', width: `${Math.min(1, currentGoalPeriod.km / goal.km) * 100}%`, background: currentGoalPeriod.met ? '#4ade80' : 'var(--brand-gradient)', transition: 'width 0.5s ease-out' }} />
+                    </div>
+                    <div style={{ display: 'flex', justifyContent: 'space-between', fontSize: '0.95rem', color: 'var(--text-secondary)', marginTop: '6px' }}>
+                      <span>{t('goals.streak', { value: <span style={{ color: 'white' }}>{goalUnit(goalStreak.current)}</span> })}</span>
+                      <span>{t('goals.record', { value: <span style={{ color: 'white' }}>{goalUnit(goalStreak.longest)}</span> })}</span>
+                    </div>
+                  </>
+                ) : (
+                  <button
+                    onClick={() => setGoalDraft({ period: 'week', km: '' })}
+                    style={{ padding: '8px 12px', fontSize: '1rem', background: 'transparent', border: '1px dashed rgba(255,255,255,0.2)', display: 'flex', alignItems: 'center', gap: '8px' }}
+                  >
+                    <Target size={16} /> {t('goals.set')}
+                  </button>
+                )}
+              </div>
+
+              {/* Elevation Goal */}
+              {route.elevationGoalM > 0 && (
+                <div style={{ marginBottom: '24px' }}>
+                  <div style={{ display: 'flex', justifyContent: 'space-between', fontSize: '1rem', color: 'var(--text-secondary)', marginBottom: '6px' }}>
+                    <span><Mountain size={16} style={{ verticalAlign: 'middle' }} /> {t('elevationGoal.title')}</span>
+                    <span><span style={{ color: 'white' }}>{i18n.number(elevationValue(climbedM))}</span> / {elevation(route.elevationGoalM)}</span>
+                  </div>
+                  <div style={{ height: '10px', background: 'rgba(255,255,255,0.1)', borderRadius: '5px', overflow: 'hidden' }}>
+                    <div style={{ height: '100%', width: `${Math.min(1, climbedM / route.elevationGoalM) * 100}%`, background: 'linear-gradient(135deg, #f59e0b 0%, #ef4444 100%)', transition: 'width 0.5s ease-out' }} />
+                  </div>
+                </div>
+              )}
+
+              {/* Upcoming Milestones */}
+              <div style={{ marginBottom: '24px' }}>
+                <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', fontSize: '1rem', color: 'var(--text-secondary)', marginBottom: '6px' }}>
+                  <span>{t('milestones.next')}</span>
+                  <button
+                    onClick={() => setMilestoneDraft(milestoneDraft ? null : { name: '', km: '' })}
+                    style={{ padding: '4px', background: 'transparent', display: 'flex', alignItems: 'center' }}
+                    title={t('milestones.add')}
+                  >
+                    {milestoneDraft ? <X size={18} /> : <Plus size={18} />}
+                  </button>
+                </div>
+                {milestoneDraft && (
+                  <div style={{ display: 'flex', gap: '8px', marginBottom: '8px' }}>
+                    <input
+                      type="text"
+                      placeholder={t('milestones.namePlaceholder')}
+                      value={milestoneDraft.name}
+                      onChange={(e) => setMilestoneDraft({ ...milestoneDraft, name: e.target.value })}
+                      style={{ flex: 1, minWidth: 0, padding: '10px', fontSize: '1rem', borderRadius: 'var(--radius-sm)', border: '1px solid rgba(255,255,255,0.1)', background: 'rgba(0,0,0,0.2)', color: 'white' }}
+                    />
+                    <input
+                      type="number"
+                      placeholder={t('milestones.kmPlaceholder', { unit: distanceUnit })}
+                      value={milestoneDraft.km}
+                      onChange={(e) => setMilestoneDraft({ ...milestoneDraft, km: e.target.value })}
+                      style={{ width: '100px', padding: '10px', fontSize: '1rem', borderRadius: 'var(--radius-sm)', border: '1px solid rgba(255,255,255,0.1)', background: 'rgba(0,0,0,0.2)', color: 'white' }}
+                    />
+                    <button className="primary" onClick={addMilestone} disabled={!milestoneDraft.name.trim() || !milestoneDraft.km} style={{ padding: '0 16px' }}>
+                      OK
+                    </button>
+                  </div>
+                )}
+                {nextMilestones.length === 0 ? (
+                  <div style={{ fontSize: '1rem', color: 'var(--text-secondary)', opacity: 0.6 }}>{t('milestones.none')}</div>
+                ) : nextMilestones.map((m, i) => {
+                  const Icon = MILESTONE_ICONS[m.type] || MapPin;
+                  return (
+                    <div key={m.id || `${m.type}-${m.name}-${i}`} style={{ display: 'flex', alignItems: 'center', gap: '10px', padding: '4px 0', fontSize: '1.1rem' }}>
+                      <Icon size={18} color={m.type === 'custom' ? '#facc15' : '#22d3ee'} />
+                      <span style={{ flex: 1 }}>{milestoneName(m)}</span>
+                      <span style={{ color: 'var(--text-secondary)' }}>{t('milestones.in', { distance: distance(m.km - progress.currentKm) })}</span>
+                      {m.type === 'custom' && (
+                        <button onClick={() => removeMilestone(m.id)} style={{ padding: '2px', background: 'transparent' }} title={t('milestones.remove')}>
+                          <X size={16} />
+                        </button>
+                      )}
+                    </div>
+                  );
+                })}
+              </div>
+
+              {/* Elevation Profile */}
+              {showElevation && climbing && (
+                <div style={{ marginBottom: '24px' }}>
+                  <ElevationChart profile={route.elevation} currentKm={progress.currentKm} />
+                  <div style={{ display: 'flex', justifyContent: 'space-between', fontSize: '1rem', color: 'var(--text-secondary)', marginTop: '6px' }}>
+                    <span>{t('elevationProfile.climbed', { elevation: <span style={{ color: 'white' }}>{elevation(climbing.done)}</span> })}</span>
+                    <span>{t('elevationProfile.remaining', { elevation: <span style={{ color: 'white' }}>{elevation(climbing.remaining)}</span> })}</span>
+                  </div>
+                </div>
+              )}
 
               {/* Input */}
               < div style={{ display: 'flex', gap: '20px' }}>
                 <input
                   type="number"
-                  placeholder="km hinzufügen..."
+                  placeholder={t('input.add', { unit: distanceUnit })}
                   value={inputKm}
                   onChange={(e) => setInputKm(e.target.value)}
                   style={{ flex: 1, padding: '20px', fontSize: '1.5rem', borderRadius: 'var(--radius-sm)', border: '1px solid rgba(255,255,255,0.1)', background: 'rgba(0,0,0,0.2)', color: 'white' }}
                 />
                 <button className="primary" onClick={addDistance} disabled={!inputKm} style={{ padding: '0 40px', fontSize: '1.5rem' }}>
-                  Dazu
+                  {t('input.submit')}
                 </button>
               </div >
 
+              {/* Ride Details */}
+              <div style={{ display: 'flex', gap: '12px', marginTop: '12px' }}>
+                <input
+                  type="date"
+                  value={inputDate}
+                  max={todayIso()}
+                  onChange={(e) => setInputDate(e.target.value)}
+                  style={{ padding: '12px', fontSize: '1rem', borderRadius: 'var(--radius-sm)', border: '1px solid rgba(255,255,255,0.1)', background: 'rgba(0,0,0,0.2)', color: 'white' }}
+                />
+                <input
+                  type="number"
+                  placeholder={t('input.duration')}
+                  value={inputDuration}
+                  onChange={(e) => setInputDuration(e.target.value)}
+                  style={{ width: '130px', padding: '12px', fontSize: '1rem', borderRadius: 'var(--radius-sm)', border: '1px solid rgba(255,255,255,0.1)', background: 'rgba(0,0,0,0.2)', color: 'white' }}
+                />
+                <input
+                  type="number"
+                  placeholder={elevationUnit}
+                  value={inputElevation}
+                  onChange={(e) => setInputElevation(e.target.value)}
+                  style={{ width: '80px', padding: '12px', fontSize: '1rem', borderRadius: 'var(--radius-sm)', border: '1px solid rgba(255,255,255,0.1)', background: 'rgba(0,0,0,0.2)', color: 'white' }}
+                />
+                <input
+                  type="text"
+                  placeholder={t('input.note')}
+                  value={inputNote}
+                  onChange={(e) => setInputNote(e.target.value)}
+                  maxLength={MAX_NOTE_LENGTH}
+                  style={{ flex: 1, minWidth: 0, padding: '12px', fontSize: '1rem', borderRadius: 'var(--radius-sm)', border: '1px solid rgba(255,255,255,0.1)', background: 'rgba(0,0,0,0.2)', color: 'white' }}
+                />
+                <label
+                  style={{ padding: '12px', display: 'flex', alignItems: 'center', cursor: 'pointer', background: 'rgba(255,255,255,0.1)', borderRadius: 'var(--radius-md)', border: 'var(--glass-border)' }}
+                  title={t('input.import')}
+                >
+                  <Upload size={24} />
+                  <input
+                    type="file"
+                    multiple
+                    accept={SUPPORTED_EXTENSIONS.map(ext => `.${ext}`).join(',')}
+                    onChange={(e) => { importFiles(Array.from(e.target.files)); e.target.value = ''; }}
+                    style={{ display: 'none' }}
+                  />
+                </label>
+                {climbing && (
+                  <button
+                    onClick={() => setShowElevation(!showElevation)}
+                    style={{ padding: '12px', display: 'flex', alignItems: 'center', background: showElevation ? 'rgba(34, 211, 238, 0.2)' : 'rgba(255,255,255,0.1)' }}
+                    title={t('input.elevationProfile')}
+                  >
+                    <Mountain size={24} />
+                  </button>
+                )}
+                <button
+                  onClick={() => setShowRideLog(!showRideLog)}
+                  style={{ padding: '12px', display: 'flex', alignItems: 'center', background: showRideLog ? 'rgba(34, 211, 238, 0.2)' : 'rgba(255,255,255,0.1)' }}
+                  title={t('input.rideLog')}
+                >
+                  <History size={24} />
+                </button>
+              </div>
+
+              {/* Ride Log */}
+              {showRideLog && (
+                <div style={{ marginTop: '20px', paddingTop: '12px', borderTop: '1px solid rgba(255,255,255,0.1)' }}>
+                  <RideLog
+                    rides={ridesForJourney(rides, route.id || null)}
+                    onUpdate={updateRide}
+                    onDelete={deleteRide}
+                    goal={goal}
+                    goalPeriods={kmGoalPeriods}
+                  />
+                </div>
+              )}
+
             </div >
           </div >
         )}
@@ -589,30 +1974,68 @@ function App() {
 
             <div style={{ textAlign: 'center', maxWidth: '800px', padding: '40px', zIndex: 2 }}>
               {/* Conditional Icon */}
-              {progress.currentKm >= progress.totalKm ? (
+              {newAchievements.length > 0 && progress.currentKm < progress.totalKm ? (
+                <div style={{ fontSize: '120px', lineHeight: 1, marginBottom: '30px', filter: 'drop-shadow(0 0 15px rgba(250, 204, 21, 0.5))' }}>{newAchievements[0].icon}</div>
+              ) : progress.currentKm >= progress.totalKm ? (
                 <Flag size={120} className="text-brand" style={{ marginBottom: '30px', filter: 'drop-shadow(0 0 15px rgba(239, 68, 68, 0.5))', color: '#ef4444' }} />
               ) : (
                 <Trophy size={120} className="text-brand" style={{ marginBottom: '30px', filter: 'drop-shadow(0 0 15px rgba(34, 211, 238, 0.5))' }} />
               )}
 
               <h1 style={{ fontSize: '5rem', margin: '0 0 20px 0', background: 'var(--brand-gradient)', WebkitBackgroundClip: 'text', WebkitTextFillColor: 'transparent', fontWeight: '800' }}>
-                {progress.currentKm >= progress.totalKm ? "ZIEL ERREICHT!" : "Gut gemacht!"}
+                {progress.currentKm >= progress.totalKm
+                  ? t('celebration.finished')
+                  : newAchievements.length > 0
+                    ? t('celebration.newBadge')
+                    : lastMilestone
+                      ? t(lastMilestone.type === 'border' ? 'celebration.crossed' : 'celebration.reached', { name: milestoneName(lastMilestone) })
+                      : t('celebration.wellDone')}
               </h1>
 
               <p style={{ fontSize: '2rem', color: 'var(--text-secondary)', marginBottom: '60px' }}>
                 {progress.currentKm >= progress.totalKm ? (
                   <>
-                    Du hast die gesamte Strecke von <span style={{ color: 'white' }}>{progress.totalKm.toFixed(1)} km</span> gemeistert!<br />
-                    Eine fantastische Leistung.
+                    {t('celebration.wholeRoute', { distance: <span style={{ color: 'white' }}>{distance(progress.totalKm)}</span> })}<br />
+                    {legOverflowKm > 0
+                      ? t('celebration.carryOver', { distance: <span style={{ color: 'white' }}>{distance(legOverflowKm)}</span> })
+                      : t('celebration.fantastic')}<br />
+                    {t('tracking.totalRidden', { distance: <span style={{ color: 'white' }}>{distance(sumKm(rides))}</span> })}
+                  </>
+                ) : route.elevationGoalM > 0 && climbedM >= route.elevationGoalM ? (
+                  <>
+                    {t('celebration.elevationGoal', { elevation: <span style={{ color: 'white' }}>{elevation(climbedM)}</span> })}<br />
+                    {t('celebration.toFinish', { distance: <span style={{ color: 'white' }}>{distance(progress.totalKm - progress.currentKm)}</span> })}
                   </>
                 ) : (
                   <>
-                    Du kommst deinem Ziel näher. <br />
-                    <span style={{ color: 'white' }}>{progress.currentKm.toFixed(1)} km</span> geschafft, <span style={{ color: 'white' }}>{(progress.totalKm - progress.currentKm).toFixed(1)} km</span> verbleibend!
+                    {otherMilestones.length > 0 && (
+                      <>
+                        {t('celebration.onTheWay', { places: <span style={{ color: 'white' }}>{otherMilestones.map(milestoneName).join(', ')}</span> })}<br />
+                      </>
+                    )}
+                    {t('celebration.closer')}<br />
+                    {t('celebration.doneRemaining', {
+                      done: <span style={{ color: 'white' }}>{distance(progress.currentKm)}</span>,
+                      remaining: <span style={{ color: 'white' }}>{distance(progress.totalKm - progress.currentKm)}</span>
+                    })}
                   </>
                 )}
               </p>
 
+              {newAchievements.length > 0 && (
+                <div style={{ display: 'flex', flexWrap: 'wrap', justifyContent: 'center', gap: '20px', marginTop: '-30px', marginBottom: '50px' }}>
+                  {newAchievements.map(a => (
+                    <div key={a.id} style={{ display: 'flex', alignItems: 'center', gap: '14px', padding: '14px 22px', background: 'rgba(250, 204, 21, 0.12)', border: '1px solid rgba(250, 204, 21, 0.5)', borderRadius: 'var(--radius-lg)' }}>
+                      <span style={{ fontSize: '2.5rem' }}>{a.icon}</span>
+                      <div style={{ textAlign: 'left' }}>
+                        <div style={{ fontSize: '1.4rem', fontWeight: 'bold' }}>{achievementText(a.id).title}</div>
+                        <div style={{ fontSize: '1rem', color: 'var(--text-secondary)' }}>{achievementText(a.id).description}</div>
+                      </div>
+                    </div>
+                  ))}
+                </div>
+              )}
+
               <div style={{ display: 'flex', flexDirection: 'column', gap: '30px', width: '100%', maxWidth: '400px', margin: '0 auto' }}>
                 <button
                   className="primary"
@@ -623,29 +2046,40 @@ function App() {
                     }
                   }}
                 >
-                  <ScanEye size={40} /> Aussicht genießen
+                  <ScanEye size={40} /> {t('celebration.enjoyView')}
                 </button>
 
+                {progress.currentKm >= progress.totalKm && (
+                  <button
+                    className="primary"
+                    onClick={continueTour}
+                    style={{ padding: '25px', fontSize: '1.5rem' }}
+                  >
+                    {route.queue && route.queue.length > 0
+                      ? (route.queue[0].label ? t('celebration.continueTo', { place: route.queue[0].label }) : t('celebration.continueToNext'))
+                      : t('celebration.continueTour')}
+                  </button>
+                )}
                 {progress.currentKm >= progress.totalKm ? (
                   <button
                     onClick={resetRoute}
                     style={{ padding: '25px', fontSize: '1.5rem', background: 'rgba(255,255,255,0.1)', border: '1px solid rgba(255,255,255,0.5)', borderRadius: 'var(--radius-md)', color: 'white', transition: 'all 0.2s' }}
                   >
-                    Neue Route planen
+                    {t('celebration.planNew')}
                   </button>
                 ) : (
                   <button
                     onClick={() => setAppState('TRACKING')}
                     style={{ padding: '25px', fontSize: '1.5rem', background: 'transparent', border: '1px solid rgba(255,255,255,0.2)', borderRadius: 'var(--radius-md)', color: 'var(--text-secondary)', transition: 'all 0.2s' }}
                   >
-                    Zurück zur Karte
+                    {t('common.backToMap')}
                   </button>
                 )}
               </div>
             </div>
 
             <div style={{ position: 'absolute', bottom: '40px', color: 'var(--text-secondary)', fontSize: '1.2rem', opacity: 0.5 }}>
-              "Es wird nicht leichter, du wirst nur schneller."
+              {t('celebration.quote')}
             </div>
           </div>
         )}
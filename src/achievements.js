@@ -0,0 +1,69 @@
+import { sumKm, sumElevation } from './rides'
+import { longestDayStreak } from './stats'
+import { EVEREST_M } from './elevation'
+
+// Badges unlocked by looking at a rider's history. A rule gets a context of
+// { rides, finishedRouteKm, passedMilestones } and returns true once earned.
+// New badges only need a new entry here and a title and description under
+// achievements.<id> in the dictionaries (src/i18n).
+
+const isWeekend = (isoDate) => {
+    const day = new Date(`${isoDate}T12:00:00`).getDay();
+    return day === 0 || day === 6;
+};
+
+export const ACHIEVEMENTS = [
+    {
+        id: 'first-ride',
+        icon: '🚲',
+        check: ({ rides }) => rides.length > 0
+    },
+    {
+        id: 'km-100',
+        icon: '💯',
+        check: ({ rides }) => sumKm(rides) >= 100
+    },
+    {
+        id: 'km-1000',
+        icon: '🏅',
+        check: ({ rides }) => sumKm(rides) >= 1000
+    },
+    {
+        id: 'streak-7',
+        icon: '🔥',
+        check: ({ rides }) => longestDayStreak(rides) >= 7
+    },
+    {
+        id: 'weekend',
+        icon: '☀️',
+        check: ({ rides }) => rides.some(r => isWeekend(r.date))
+    },
+    {
+        id: 'long-route',
+        icon: '🗺️',
+        check: ({ finishedRouteKm }) => finishedRouteKm >= 500
+    },
+    {
+        id: 'border',
+        icon: '🛂',
+        check: ({ passedMilestones }) => passedMilestones.some(m => m.type === 'border')
+    },
+    {
+        id: 'everest',
+        icon: '🏔️',
+        check: ({ rides }) => sumElevation(rides) >= EVEREST_M
+    }
+];
+
+export const getAchievement = (id) => ACHIEVEMENTS.find(a => a.id === id);
+
+// Rules that are met now but were not unlocked before
+export const findNewAchievements = (context, unlocked = []) => {
+    const known = new Set(unlocked.map(u => u.id));
+    return ACHIEVEMENTS.filter(a => !known.has(a.id) && a.check(context));
+};
+
+export const unlockAchievements = (unlocked = [], achievements) => [
+    ...unlocked,
+    ...achievements.map(a => ({ id: a.id, unlockedAt: new Date().toISOString() }))
+];
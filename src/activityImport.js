@@ -0,0 +1,318 @@
+import { haversineDistance } from './utils'
+import { sha256 } from './sha256'
+
+// Parses GPX, TCX and FIT files recorded by bike computers and phones into
+// { km, startTime, durationMin, elevationGainM, name }. Everything runs in the
+// browser, nothing is uploaded.
+
+export const SUPPORTED_EXTENSIONS = ['gpx', 'tcx', 'fit'];
+
+// The code picks the translated text (errors.<code> in src/i18n), the
+// message is only a fallback
+const importError = (code, message, params) => Object.assign(new Error(message), { code, params });
+
+// Altitude noise of GPS devices would add up to a lot of fake climbing,
+// so only changes bigger than this count
+const ELEVATION_THRESHOLD_M = 3;
+
+const elevationGain = (altitudes) => {
+    let gain = 0;
+    let reference = null;
+    for (const alt of altitudes) {
+        if (alt === null || alt === undefined || isNaN(alt)) continue;
+        if (reference === null) {
+            reference = alt;
+        } else if (alt - reference >= ELEVATION_THRESHOLD_M) {
+            gain += alt - reference;
+            reference = alt;
+        } else if (reference - alt >= ELEVATION_THRESHOLD_M) {
+            reference = alt;
+        }
+    }
+    return gain;
+};
+
+const summarize = ({ points, times, altitudes, name, distanceKm, durationSec, startTime }) => {
+    let km = distanceKm;
+    if (!(km > 0)) {
+        km = 0;
+        for (let i = 0; i < points.length - 1; i++) {
+            km += haversineDistance(points[i], points[i + 1]);
+        }
+    }
+
+    const validTimes = times.filter(Boolean);
+    const first = startTime || validTimes[0] || null;
+    let seconds = durationSec;
+    if (!(seconds > 0) && validTimes.length > 1) {
+        seconds = (validTimes[validTimes.length - 1] - validTimes[0]) / 1000;
+    }
+
+    return {
+        km,
+        startTime: first ? first.toISOString() : null,
+        durationMin: seconds > 0 ? Math.round(seconds / 60) : null,
+        elevationGainM: Math.round(elevationGain(altitudes)),
+        name: name || ''
+    };
+};
+
+const childText = (el, tag) => {
+    const child = el.getElementsByTagName(tag)[0];
+    return child ? child.textContent.trim() : null;
+};
+
+const parseXml = (text) => {
+    const doc = new DOMParser().parseFromString(text, 'application/xml');
+    if (doc.getElementsByTagName('parsererror').length > 0) {
+        throw importError('invalidXml', 'Datei ist kein gültiges XML');
+    }
+    return doc;
+};
+
+export const parseGpx = (text) => {
+    const doc = parseXml(text);
+    const trackpoints = Array.from(doc.getElementsByTagName('trkpt'));
+    const pts = trackpoints.length > 0 ? trackpoints : Array.from(doc.getElementsByTagName('rtept'));
+    if (pts.length === 0) throw importError('noTrackpoints', 'Keine Trackpunkte gefunden');
+
+    const nameEl = doc.getElementsByTagName('trk')[0] || doc.getElementsByTagName('metadata')[0];
+    return summarize({
+        points: pts.map(p => ({ lat: parseFloat(p.getAttribute('lat')), lng: parseFloat(p.getAttribute('lon')) })),
+        times: pts.map(p => {
+            const time = childText(p, 'time');
+            return time ? new Date(time) : null;
+        }),
+        altitudes: pts.map(p => {
+            const ele = childText(p, 'ele');
+            return ele !== null ? parseFloat(ele) : null;
+        }),
+        name: nameEl ? childText(nameEl, 'name') : null
+    });
+};
+
+export const parseTcx = (text) => {
+    const doc = parseXml(text);
+    const laps = Array.from(doc.getElementsByTagName('Lap'));
+    const trackpoints = Array.from(doc.getElementsByTagName('Trackpoint'));
+    if (laps.length === 0 && trackpoints.length === 0) throw importError('noActivity', 'Keine Aktivität gefunden');
+
+    // Lap totals are what the device itself reports, prefer them over the track
+    const lapMeters = laps.reduce((sum, lap) => sum + (parseFloat(childText(lap, 'DistanceMeters')) || 0), 0);
+    const lapSeconds = laps.reduce((sum, lap) => sum + (parseFloat(childText(lap, 'TotalTimeSeconds')) || 0), 0);
+    const withPosition = trackpoints.filter(tp => tp.getElementsByTagName('Position').length > 0);
+
+    return summarize({
+        points: withPosition.map(tp => ({
+            lat: parseFloat(childText(tp, 'LatitudeDegrees')),
+            lng: parseFloat(childText(tp, 'LongitudeDegrees'))
+        })),
+        times: trackpoints.map(tp => {
+            const time = childText(tp, 'Time');
+            return time ? new Date(time) : null;
+        }),
+        altitudes: trackpoints.map(tp => {
+            const alt = childText(tp, 'AltitudeMeters');
+            return alt !== null ? parseFloat(alt) : null;
+        }),
+        name: childText(doc, 'Notes') || childText(doc, 'Name'),
+        distanceKm: lapMeters / 1000,
+        durationSec: lapSeconds,
+        startTime: laps[0] && laps[0].getAttribute('StartTime') ? new Date(laps[0].getAttribute('StartTime')) : null
+    });
+};
+
+// --- FIT (Garmin Flexible and Interoperable Data Transfer) ---
+
+const FIT_EPOCH_OFFSET = 631065600; // seconds between 1970-01-01 and 1989-12-31
+const FIT_MESG_SESSION = 18;
+const FIT_MESG_RECORD = 20;
+
+// Base type number -> [byte size, signed, invalid value]
+const FIT_BASE_TYPES = {
+    0: [1, false, 0xFF], 1: [1, true, 0x7F], 2: [1, false, 0xFF],
+    3: [2, true, 0x7FFF], 4: [2, false, 0xFFFF],
+    5: [4, true, 0x7FFFFFFF], 6: [4, false, 0xFFFFFFFF],
+    10: [1, false, 0x00], 11: [2, false, 0x0000], 12: [4, false, 0x00000000]
+};
+
+const readFitValue = (view, offset, size, baseType, littleEndian) => {
+    const type = FIT_BASE_TYPES[baseType & 0x1F];
+    if (!type || type[0] !== size) return null; // strings, floats and arrays are not needed
+    const [bytes, signed, invalid] = type;
+    let value;
+    if (bytes === 1) value = signed ? view.getInt8(offset) : view.getUint8(offset);
+    else if (bytes === 2) value = signed ? view.getInt16(offset, littleEndian) : view.getUint16(offset, littleEndian);
+    else value = signed ? view.getInt32(offset, littleEndian) : view.getUint32(offset, littleEndian);
+    return value === invalid ? null : value;
+};
+
+const fitDate = (timestamp) => new Date((timestamp + FIT_EPOCH_OFFSET) * 1000);
+
+export const parseFit = (buffer) => {
+    const view = new DataView(buffer);
+    if (view.byteLength < 12) throw importError('fitTooShort', 'FIT-Datei ist zu kurz');
+
+    const headerSize = view.getUint8(0);
+    const dataSize = view.getUint32(4, true);
+    const signature = String.fromCharCode(view.getUint8(8), view.getUint8(9), view.getUint8(10), view.getUint8(11));
+    if (signature !== '.FIT') throw importError('notFit', 'Keine gültige FIT-Datei');
+
+    const definitions = {};
+    const sessions = [];
+    const records = [];
+    let lastTimestamp = null;
+    let offset = headerSize;
+    const end = Math.min(headerSize + dataSize, view.byteLength);
+
+    while (offset < end) {
+        const header = view.getUint8(offset++);
+        let localType;
+        let compressedTimestamp = null;
+
+        if (header & 0x80) {
+            // Compressed timestamp header: 5 bit offset on top of the last full timestamp
+            localType = (header >> 5) & 0x03;
+            if (lastTimestamp !== null) {
+                const timeOffset = header & 0x1F;
+                compressedTimestamp = (lastTimestamp & ~0x1F) + timeOffset;
+                if (timeOffset < (lastTimestamp & 0x1F)) compressedTimestamp += 0x20;
+            }
+        } else if (header & 0x40) {
+            localType = header & 0x0F;
+            const hasDeveloperData = (header & 0x20) !== 0;
+            const littleEndian = view.getUint8(offset + 1) === 0;
+            const globalNum = view.getUint16(offset + 2, littleEndian);
+            const fieldCount = view.getUint8(offset + 4);
+            offset += 5;
+
+            const fields = [];
+            for (let i = 0; i < fieldCount; i++) {
+                fields.push({ num: view.getUint8(offset), size: view.getUint8(offset + 1), baseType: view.getUint8(offset + 2) });
+                offset += 3;
+            }
+
+            let developerSize = 0;
+            if (hasDeveloperData) {
+                const devCount = view.getUint8(offset++);
+                for (let i = 0; i < devCount; i++) {
+                    developerSize += view.getUint8(offset + 1);
+                    offset += 3;
+                }
+            }
+
+            definitions[localType] = { globalNum, littleEndian, fields, developerSize };
+            continue;
+        } else {
+            localType = header & 0x0F;
+        }
+
+        const def = definitions[localType];
+        if (!def) throw importError('fitCorrupt', 'FIT-Datei ist beschädigt');
+
+        const message = {};
+        for (const field of def.fields) {
+            message[field.num] = readFitValue(view, offset, field.size, field.baseType, def.littleEndian);
+            offset += field.size;
+        }
+        offset += def.developerSize;
+
+        if (message[253] !== undefined && message[253] !== null) lastTimestamp = message[253];
+        if (compressedTimestamp !== null) {
+            message[253] = compressedTimestamp;
+            lastTimestamp = compressedTimestamp;
+        }
+
+        if (def.globalNum === FIT_MESG_SESSION) sessions.push(message);
+        if (def.globalNum === FIT_MESG_RECORD) records.push(message);
+    }
+
+    if (sessions.length === 0 && records.length === 0) throw importError('noActivity', 'Keine Aktivität gefunden');
+
+    const altitudeOf = (r) => {
+        const raw = r[78] !== undefined && r[78] !== null ? r[78] : r[2];
+        return raw !== undefined && raw !== null ? raw / 5 - 500 : null;
+    };
+
+    // Session totals (field 9 distance in cm, 7/8 time in ms, 22 ascent in m)
+    const sessionMeters = sessions.reduce((sum, s) => sum + (s[9] || 0) / 100, 0);
+    const sessionSeconds = sessions.reduce((sum, s) => sum + ((s[8] || s[7] || 0) / 1000), 0);
+    const sessionAscent = sessions.reduce((sum, s) => sum + (s[22] || 0), 0);
+    const recordMeters = records.reduce((max, r) => Math.max(max, (r[5] || 0) / 100), 0);
+    const firstStart = sessions.find(s => s[2] !== null && s[2] !== undefined);
+
+    const summary = summarize({
+        points: records
+            .filter(r => r[0] !== null && r[0] !== undefined && r[1] !== null && r[1] !== undefined)
+            .map(r => ({ lat: r[0] * (180 / 2 ** 31), lng: r[1] * (180 / 2 ** 31) })),
+        times: records.map(r => (r[253] !== null && r[253] !== undefined ? fitDate(r[253]) : null)),
+        altitudes: records.map(altitudeOf),
+        distanceKm: (sessionMeters || recordMeters) / 1000,
+        durationSec: sessionSeconds,
+        startTime: firstStart ? fitDate(firstStart[2]) : null
+    });
+
+    if (sessionAscent > 0) summary.elevationGainM = sessionAscent;
+    return summary;
+};
+
+// --- File handling ---
+
+export const getExtension = (fileName) => (fileName.split('.').pop() || '').toLowerCase();
+
+// Reads and parses a File. Returns the summary plus the data needed to
+// recognise the same activity again (content hash and start/distance fingerprint).
+export const importActivityFile = async (file) => {
+    const format = getExtension(file.name);
+    if (!SUPPORTED_EXTENSIONS.includes(format)) {
+        throw importError('unsupportedType', `Dateityp .${format} wird nicht unterstützt`, { format });
+    }
+
+    const buffer = await file.arrayBuffer();
+    const hash = await sha256(buffer);
+
+    let summary;
+    if (format === 'fit') {
+        summary = parseFit(buffer);
+    } else {
+        const text = new TextDecoder().decode(buffer);
+        summary = format === 'gpx' ? parseGpx(text) : parseTcx(text);
+    }
+
+    if (!(summary.km > 0)) throw importError('noDistance', 'Keine Distanz in der Datei gefunden');
+
+    return {
+        ...summary,
+        source: {
+            format,
+            fileName: file.name,
+            hash,
+            fingerprint: summary.startTime ? `${summary.startTime}|${summary.km.toFixed(2)}` : null
+        }
+    };
+};
+
+// Formats measure the distance differently (track points vs. the device's
+// total), so the same recording only matches within these tolerances
+const START_TOLERANCE_MS = 60 * 1000;
+const DISTANCE_TOLERANCE = 0.02;
+
+const parseFingerprint = (fingerprint) => {
+    const [startTime, km] = (fingerprint || '').split('|');
+    return { start: Date.parse(startTime), km: Number(km) };
+};
+
+const isSameRecording = (a, b) => {
+    const first = parseFingerprint(a);
+    const second = parseFingerprint(b);
+    if (isNaN(first.start) || isNaN(second.start) || !(first.km > 0) || !(second.km > 0)) return false;
+    return Math.abs(first.start - second.start) <= START_TOLERANCE_MS &&
+        Math.abs(first.km - second.km) <= DISTANCE_TOLERANCE * Math.max(first.km, second.km);
+};
+
+// The same file, or the same recording exported in another format
+export const isAlreadyImported = (rides, source) =>
+    (rides || []).some(r => r.source && (
+        r.source.hash === source.hash ||
+        (source.fingerprint && isSameRecording(r.source.fingerprint, source.fingerprint))
+    ));
@@ -0,0 +1,43 @@
+import { useI18n } from '../i18n/context'
+
+const WIDTH = 600;
+
+// Elevation profile as an SVG area chart, the ridden part highlighted and
+// the rider's position marked
+const ElevationChart = ({ profile, currentKm, height = 120 }) => {
+    const { altitude } = useI18n();
+    if (!profile || profile.length < 2) return null;
+
+    const maxKm = profile[profile.length - 1].km || 1;
+    const heights = profile.map(p => p.ele);
+    const minEle = Math.min(...heights);
+    const maxEle = Math.max(...heights);
+    const range = Math.max(maxEle - minEle, 10);
+
+    const x = (km) => (km / maxKm) * WIDTH;
+    const y = (ele) => height - ((ele - minEle) / range) * (height - 10) - 2;
+
+    const line = profile.map((p, i) => `${i === 0 ? 'M' : 'L'}${x(p.km).toFixed(1)},${y(p.ele).toFixed(1)}`).join(' ');
+    const area = `${line} L${WIDTH},${height} L0,${height} Z`;
+    const positionX = x(Math.min(currentKm, maxKm));
+
+    return (
+        <div style={{ position: 'relative' }}>
+            <svg viewBox={`0 0 ${WIDTH} ${height}`} preserveAspectRatio="none" style={{ width: '100%', height: `${height}px`, display: 'block' }}>
+                <defs>
+                    <clipPath id="elevation-ridden">
+                        <rect x="0" y="0" width={positionX} height={height} />
+                    </clipPath>
+                </defs>
+                <path d={area} fill="rgba(148, 163, 184, 0.25)" />
+                <path d={area} fill="rgba(34, 211, 238, 0.45)" clipPath="url(#elevation-ridden)" />
+                <path d={line} fill="none" stroke="#94a3b8" strokeWidth="1.5" vectorEffect="non-scaling-stroke" />
+                <line x1={positionX} x2={positionX} y1="0" y2={height} stroke="#22d3ee" strokeWidth="2" vectorEffect="non-scaling-stroke" />
+            </svg>
+            <div style={{ position: 'absolute', top: 0, left: 4, fontSize: '0.8rem', color: 'var(--text-secondary)' }}>{altitude(maxEle)}</div>
+            <div style={{ position: 'absolute', bottom: 0, left: 4, fontSize: '0.8rem', color: 'var(--text-secondary)' }}>{altitude(minEle)}</div>
+        </div>
+    );
+};
+
+export default ElevationChart
@@ -0,0 +1,179 @@
+import { useState, useEffect, useMemo, Fragment } from 'react'
+import { MapContainer, TileLayer, CircleMarker, Tooltip, useMap } from 'react-leaflet'
+import L from 'leaflet'
+import { ArrowLeft, Library, Play, Trash2, Trophy, Clapperboard } from 'lucide-react'
+import { TILE_LAYERS } from '../mapTiles'
+import RoutePolyline from './RoutePolyline'
+import { journeysWithStatus, journeyDistance, journeyPaths, journeyStats, finishDate } from '../journeys'
+import { useI18n } from '../i18n/context'
+
+const cardStyle = { background: 'var(--bg-surface)', border: 'var(--glass-border)', borderRadius: 'var(--radius-lg)', padding: '20px' };
+
+// Zooms to the given paths whenever they change
+const FitPaths = ({ paths }) => {
+    const map = useMap();
+    useEffect(() => {
+        const points = paths.flat().map(p => [p.lat, p.lng]);
+        if (points.length > 0) map.fitBounds(L.latLngBounds(points), { padding: [40, 40] });
+    }, [map, paths]);
+    return null;
+};
+
+const StatLine = ({ stats }) => {
+    const { t, elevation, date } = useI18n();
+    return (
+        <div style={{ fontSize: '0.95rem', color: 'var(--text-secondary)' }}>
+            {t('journeys.ridesOnDays', { rides: t('common.rides', { count: stats.rides }), days: t('journeys.days', { count: stats.days }) })}
+            {stats.elevationGainM > 0 && ` · ${elevation(stats.elevationGainM)}`}
+            {stats.firstRide && ` · ${t('journeys.since', { date: date(stats.firstRide) })}`}
+        </div>
+    );
+};
+
+// All completed journeys on one map, the selected one highlighted
+const TrophyWall = ({ trophies, selectedId, onSelect, color }) => {
+    const fitted = useMemo(() => {
+        const selected = trophies.find(t => t.id === selectedId);
+        return (selected ? [selected] : trophies).flatMap(t => journeyPaths(t.route));
+    }, [trophies, selectedId]);
+
+    return (
+        <div style={{ height: '420px', borderRadius: 'var(--radius-md)', overflow: 'hidden' }}>
+            <MapContainer center={[48.20967, 13.48831]} zoom={6} style={{ height: '100%', width: '100%' }}>
+                <TileLayer attribution={TILE_LAYERS.dark.attribution} url={TILE_LAYERS.dark.url} />
+                {trophies.map(trophy => {
+                    const isDimmed = selectedId && trophy.id !== selectedId;
+                    const paths = journeyPaths(trophy.route);
+                    const finish = paths.length > 0 ? paths[paths.length - 1][paths[paths.length - 1].length - 1] : null;
+                    return (
+                        <Fragment key={trophy.id}>
+                            {paths.map((path, i) => (
+                                <RoutePolyline
+                                    key={i}
+                                    positions={path}
+                                    pathOptions={{ color, weight: trophy.id === selectedId ? 6 : 4, opacity: isDimmed ? 0.25 : 0.9 }}
+                                    eventHandlers={{ click: () => onSelect(trophy.id) }}
+                                />
+                            ))}
+                            {finish && (
+                                <CircleMarker center={finish} radius={7} pathOptions={{ color: '#facc15', fillColor: '#facc15', fillOpacity: isDimmed ? 0.3 : 1 }}>
+                                    <Tooltip>{trophy.title}</Tooltip>
+                                </CircleMarker>
+                            )}
+                        </Fragment>
+                    );
+                })}
+                <FitPaths paths={fitted} />
+            </MapContainer>
+        </div>
+    );
+};
+
+// "Meine Reisen": paused journeys to resume and the trophy wall of the
+// completed ones. Stats come from the ride log, see journeys.js.
+const JourneyLibrary = ({ profile, journeys, rides, onResume, onDelete, onReplay, onBack }) => {
+    const { t, number, distance, distanceValue, date } = useI18n();
+    const [selectedId, setSelectedId] = useState(null);
+    const color = profile.color || 'var(--brand-color)';
+    const paused = journeysWithStatus(journeys, 'paused');
+    // Stable while the library does not change, the map only refits on selection
+    const trophies = useMemo(() => journeysWithStatus(journeys, 'completed'), [journeys]);
+
+    const remove = (entry) => {
+        if (!window.confirm(t('journeys.confirmDelete', { title: entry.title }))) return;
+        if (selectedId === entry.id) setSelectedId(null);
+        onDelete(entry.id);
+    };
+
+    return (
+        <div style={{ height: '100vh', width: '100vw', background: 'var(--bg-app)', display: 'flex', flexDirection: 'column', alignItems: 'center', padding: '40px 20px', overflowY: 'auto' }}>
+            <div style={{ width: '100%', maxWidth: '900px', display: 'flex', flexDirection: 'column', gap: '24px' }}>
+                <div style={{ display: 'flex', alignItems: 'center', gap: '20px' }}>
+                    <button onClick={onBack} style={{ background: 'transparent', padding: '10px' }} title={t('common.back')}>
+                        <ArrowLeft size={32} />
+                    </button>
+                    <h1 style={{ fontSize: '2.5rem', display: 'flex', alignItems: 'center', gap: '16px', margin: 0 }}>
+                        <Library size={40} color={color} /> {t('journeys.title', { name: profile.name })}
+                    </h1>
+                </div>
+
+                <div style={cardStyle}>
+                    <div style={{ fontSize: '1.3rem', fontWeight: 'bold', marginBottom: '16px' }}>{t('journeys.paused')}</div>
+                    {paused.length === 0 && (
+                        <div style={{ color: 'var(--text-secondary)' }}>{t('journeys.noPaused')}</div>
+                    )}
+                    <div style={{ display: 'flex', flexDirection: 'column', gap: '12px' }}>
+                        {paused.map(entry => {
+                            const stats = journeyStats(rides, entry.id);
+                            const ridden = Math.max(0, Math.min(stats.km - (entry.route.offsetKm || 0), entry.totalKm));
+                            const share = entry.totalKm > 0 ? ridden / entry.totalKm : 0;
+                            return (
+                                <div key={entry.id} style={{ display: 'flex', alignItems: 'center', gap: '16px', padding: '12px', background: 'rgba(255,255,255,0.04)', borderRadius: 'var(--radius-md)' }}>
+                                    <div style={{ flex: 1, minWidth: 0, display: 'flex', flexDirection: 'column', gap: '6px' }}>
+                                        <div style={{ fontSize: '1.2rem', fontWeight: 'bold' }}>{entry.title}</div>
+                                        <div style={{ height: '8px', background: 'rgba(255,255,255,0.1)', borderRadius: '4px', overflow: 'hidden' }}>
+                                            <div style={{ width: `${share * 100}%`, height: '100%', background: color }} />
+                                        </div>
+                                        <div style={{ fontSize: '0.95rem', color: 'var(--text-secondary)' }}>
+                                            {t('journeys.riddenOf', { ridden: number(distanceValue(ridden), 1), total: distance(entry.totalKm) })}
+                                            {(entry.route.completedLegs || []).length > 0 && ` · ${t('tracking.stage', { number: entry.route.completedLegs.length + 1 })}`}
+                                            {` · ${t('journeys.pausedOn', { date: date(entry.archivedAt) })}`}
+                                        </div>
+                                    </div>
+                                    <button className="primary" onClick={() => onResume(entry)} style={{ display: 'flex', alignItems: 'center', gap: '8px' }}>
+                                        <Play size={20} /> {t('journeys.resume')}
+                                    </button>
+                                    <button onClick={() => onReplay(entry)} style={{ background: 'transparent', padding: '8px' }} title={t('journeys.replay')}>
+                                        <Clapperboard size={20} />
+                                    </button>
+                                    <button onClick={() => remove(entry)} style={{ background: 'transparent', padding: '8px' }} title={t('common.delete')}>
+                                        <Trash2 size={20} />
+                                    </button>
+                                </div>
+                            );
+                        })}
+                    </div>
+                </div>
+
+                <div style={cardStyle}>
+                    <div style={{ fontSize: '1.3rem', fontWeight: 'bold', marginBottom: '16px', display: 'flex', alignItems: 'center', gap: '10px' }}>
+                        <Trophy size={24} color="#facc15" /> {t('journeys.trophyWall')}
+                    </div>
+                    {trophies.length === 0 ? (
+                        <div style={{ color: 'var(--text-secondary)' }}>{t('journeys.noTrophies')}</div>
+                    ) : (
+                        <>
+                            <TrophyWall trophies={trophies} selectedId={selectedId} onSelect={setSelectedId} color={color} />
+                            <div style={{ display: 'grid', gridTemplateColumns: 'repeat(auto-fill, minmax(260px, 1fr))', gap: '12px', marginTop: '16px' }}>
+                                {trophies.map(entry => (
+                                    <div
+                                        key={entry.id}
+                                        onClick={() => setSelectedId(selectedId === entry.id ? null : entry.id)}
+                                        style={{ padding: '14px', borderRadius: 'var(--radius-md)', cursor: 'pointer', background: selectedId === entry.id ? 'rgba(250, 204, 21, 0.12)' : 'rgba(255,255,255,0.04)', border: `1px solid ${selectedId === entry.id ? 'rgba(250, 204, 21, 0.5)' : 'transparent'}`, display: 'flex', flexDirection: 'column', gap: '4px' }}
+                                    >
+                                        <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'start', gap: '8px' }}>
+                                            <span style={{ fontSize: '1.15rem', fontWeight: 'bold' }}>{entry.title}</span>
+                                            <div style={{ display: 'flex' }}>
+                                                <button onClick={(e) => { e.stopPropagation(); onReplay(entry); }} style={{ background: 'transparent', padding: '4px' }} title={t('journeys.replay')}>
+                                                    <Clapperboard size={16} />
+                                                </button>
+                                                <button onClick={(e) => { e.stopPropagation(); remove(entry); }} style={{ background: 'transparent', padding: '4px' }} title={t('common.delete')}>
+                                                    <Trash2 size={16} />
+                                                </button>
+                                            </div>
+                                        </div>
+                                        <div style={{ fontSize: '1.4rem', fontWeight: 'bold', color }}>{distance(journeyDistance(entry), 0)}</div>
+                                        <div style={{ fontSize: '0.95rem' }}>{t('journeys.finishedOn', { date: date(finishDate(rides, entry)) })}</div>
+                                        <StatLine stats={journeyStats(rides, entry.id)} />
+                                    </div>
+                                ))}
+                            </div>
+                        </>
+                    )}
+                </div>
+            </div>
+        </div>
+    );
+};
+
+export default JourneyLibrary
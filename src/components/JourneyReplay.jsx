@@ -0,0 +1,198 @@
+import { useState, useEffect, useMemo, useRef } from 'react'
+import { MapContainer, TileLayer, Marker, CircleMarker, Tooltip, useMap } from 'react-leaflet'
+import L from 'leaflet'
+import { ArrowLeft, Play, Pause, RotateCcw, Crosshair } from 'lucide-react'
+import { TILE_LAYERS } from '../mapTiles'
+import { CyclistIcon, FinishIcon } from './mapIcons'
+import RoutePolyline from './RoutePolyline'
+import { journeyParts, positionAt, riddenPartsAt, replaySteps, kmAtTime } from '../replay'
+import { useI18n } from '../i18n/context'
+
+const SECONDS_PER_RIDE = 2; // at 1×
+const SPEEDS = [0.5, 1, 2, 4, 8];
+
+const LONG_DATE = { weekday: 'long', day: 'numeric', month: 'long', year: 'numeric' };
+
+const panelStyle = { background: 'var(--bg-surface)', backdropFilter: 'blur(12px)', border: 'var(--glass-border)', borderRadius: 'var(--radius-lg)', boxShadow: 'var(--shadow-lg)' };
+
+// Shows the whole journey once, then optionally keeps the cyclist centered
+const Camera = ({ parts, position, follow }) => {
+    const map = useMap();
+    useEffect(() => {
+        const points = parts.flatMap(part => part.path).map(p => [p.lat, p.lng]);
+        if (points.length > 0) map.fitBounds(L.latLngBounds(points), { padding: [60, 60] });
+    }, [map, parts]);
+    useEffect(() => {
+        if (follow && position) map.panTo(position, { animate: false });
+    }, [map, position, follow]);
+    return null;
+};
+
+// Replays the rides of a journey: the cyclist rides along the route ride by
+// ride, each one takes SECONDS_PER_RIDE. Made for the big screen, so it has
+// its own map and keyboard controls (space, arrow keys).
+const JourneyReplay = ({ profile, route, totalKm, rides, title, onBack }) => {
+    const { t, number, distance, distanceValue, date } = useI18n();
+    const color = profile.color || '#22d3ee';
+    const parts = useMemo(() => journeyParts(route, totalKm), [route, totalKm]);
+    const lengthKm = parts.reduce((sum, part) => sum + part.km, 0);
+    const steps = useMemo(() => replaySteps(rides, route.id, lengthKm), [rides, route.id, lengthKm]);
+    const stepEnds = useMemo(() => steps.map(step => positionAt(parts, step.toKm)), [steps, parts]);
+
+    const [time, setTime] = useState(0); // 0 … steps.length, one unit per ride
+    const [isPlaying, setIsPlaying] = useState(false);
+    const [speed, setSpeed] = useState(1);
+    const [follow, setFollow] = useState(false);
+    const timeRef = useRef(0); // the animation loop reads the time from here
+
+    const seek = (value) => {
+        const clamped = Math.max(0, Math.min(steps.length, value));
+        timeRef.current = clamped;
+        setTime(clamped);
+    };
+
+    const togglePlay = () => {
+        if (!isPlaying && timeRef.current >= steps.length) seek(0);
+        setIsPlaying(!isPlaying);
+    };
+
+    useEffect(() => {
+        if (!isPlaying) return;
+        let frame;
+        let last = performance.now();
+        const tick = (now) => {
+            const next = Math.min(steps.length, timeRef.current + (now - last) / 1000 * speed / SECONDS_PER_RIDE);
+            last = now;
+            timeRef.current = next;
+            setTime(next);
+            if (next >= steps.length) setIsPlaying(false);
+            else frame = requestAnimationFrame(tick);
+        };
+        frame = requestAnimationFrame(tick);
+        return () => cancelAnimationFrame(frame);
+    }, [isPlaying, speed, steps.length]);
+
+    // Space plays and pauses, the arrow keys jump from ride to ride
+    useEffect(() => {
+        const handleKey = (e) => {
+            if (e.key === ' ') {
+                e.preventDefault();
+                togglePlay();
+            } else if (e.key === 'ArrowRight') {
+                seek(Math.floor(timeRef.current) + 1);
+            } else if (e.key === 'ArrowLeft') {
+                seek(Math.ceil(timeRef.current) - 1);
+            } else if (e.key === 'Escape') {
+                onBack();
+            }
+        };
+        window.addEventListener('keydown', handleKey);
+        return () => window.removeEventListener('keydown', handleKey);
+    });
+
+    const km = kmAtTime(steps, time);
+    const position = positionAt(parts, km);
+    const ridden = riddenPartsAt(parts, km);
+    const passedCount = steps.filter(step => step.toKm <= km + 1e-9 && time > 0).length;
+    const current = steps[Math.min(Math.floor(time), steps.length - 1)];
+    const index = current ? steps.indexOf(current) : -1;
+    const finish = parts.length > 0 ? parts[parts.length - 1].path[parts[parts.length - 1].path.length - 1] : null;
+
+    return (
+        <div style={{ height: '100vh', width: '100vw', position: 'relative', background: 'var(--bg-app)' }}>
+            <MapContainer center={[48.20967, 13.48831]} zoom={8} style={{ height: '100%', width: '100%' }} zoomControl={false}>
+                <TileLayer attribution={TILE_LAYERS.light.attribution} url={TILE_LAYERS.light.url} />
+                {parts.map((part, i) => (
+                    <RoutePolyline key={`route-${i}`} positions={part.path} color="#334155" weight={6} opacity={0.5} />
+                ))}
+                {ridden.map((part, i) => (
+                    <RoutePolyline key={`ridden-${i}`} positions={part.path} untilKm={part.km} color={color} weight={6} />
+                ))}
+                {stepEnds.slice(0, passedCount).map((point, i) => point && (
+                    // Remounted when it stops being the latest, permanent is only read on creation
+                    <CircleMarker key={`${i}-${i === passedCount - 1}`} center={point} radius={6} pathOptions={{ color: 'white', weight: 2, fillColor: color, fillOpacity: 1 }}>
+                        <Tooltip permanent={i === passedCount - 1} direction="top" offset={[0, -8]}>
+                            {date(steps[i].ride.date)} · {distance(steps[i].ride.km)}
+                        </Tooltip>
+                    </CircleMarker>
+                ))}
+                {finish && <Marker position={finish} icon={FinishIcon} />}
+                {position && <Marker position={position} icon={CyclistIcon} zIndexOffset={100} />}
+                <Camera parts={parts} position={position} follow={follow} />
+            </MapContainer>
+
+            {/* Title */}
+            <div style={{ ...panelStyle, position: 'absolute', top: 20, left: 20, zIndex: 1000, padding: '14px 20px', display: 'flex', alignItems: 'center', gap: '16px' }}>
+                <button onClick={onBack} style={{ background: 'transparent', padding: '6px' }} title={t('replay.back')}>
+                    <ArrowLeft size={28} />
+                </button>
+                <div>
+                    <div style={{ fontSize: '1.6rem', fontWeight: 'bold' }}>{title}</div>
+                    <div style={{ color: 'var(--text-secondary)' }}>{profile.name} · {distance(lengthKm, 0)}</div>
+                </div>
+            </div>
+
+            {/* Current ride */}
+            {current && time > 0 && (
+                <div style={{ ...panelStyle, position: 'absolute', top: 20, right: 20, zIndex: 1000, padding: '20px 28px', textAlign: 'right', minWidth: '280px' }}>
+                    <div style={{ color: 'var(--text-secondary)', fontSize: '1rem' }}>{t('replay.rideOf', { number: index + 1, count: steps.length })}</div>
+                    <div style={{ fontSize: '1.6rem', fontWeight: 'bold', margin: '4px 0' }}>{date(current.ride.date, LONG_DATE)}</div>
+                    <div style={{ fontSize: '2.4rem', fontWeight: 800, color }}>{distance(current.ride.km)}</div>
+                    {current.ride.note && <div style={{ color: 'var(--text-secondary)', fontStyle: 'italic', marginTop: '6px' }}>{t('common.quoted', { text: current.ride.note })}</div>}
+                    <div style={{ color: 'var(--text-secondary)', marginTop: '8px' }}>{t('journeys.riddenOf', { ridden: number(distanceValue(km), 1), total: distance(lengthKm) })}</div>
+                </div>
+            )}
+
+            {/* Controls */}
+            <div style={{ ...panelStyle, position: 'absolute', bottom: 30, left: '50%', transform: 'translateX(-50%)', zIndex: 1000, width: 'min(900px, calc(100% - 40px))', padding: '18px 24px', display: 'flex', flexDirection: 'column', gap: '12px' }}>
+                {steps.length === 0 ? (
+                    <div style={{ textAlign: 'center', color: 'var(--text-secondary)', fontSize: '1.2rem' }}>{t('replay.noRides')}</div>
+                ) : (
+                    <>
+                        <div style={{ display: 'flex', alignItems: 'center', gap: '16px' }}>
+                            <button className="primary" onClick={togglePlay} style={{ padding: '12px', display: 'flex' }} title={isPlaying ? t('replay.pause') : t('replay.play')}>
+                                {isPlaying ? <Pause size={28} /> : time >= steps.length ? <RotateCcw size={28} /> : <Play size={28} />}
+                            </button>
+                            <input
+                                type="range"
+                                min={0}
+                                max={steps.length}
+                                step={0.01}
+                                value={time}
+                                onChange={(e) => seek(Number(e.target.value))}
+                                style={{ flex: 1 }}
+                                aria-label={t('replay.timeline')}
+                            />
+                            <div style={{ display: 'flex', gap: '4px' }}>
+                                {SPEEDS.map(s => (
+                                    <button
+                                        key={s}
+                                        onClick={() => setSpeed(s)}
+                                        className={s === speed ? 'primary' : undefined}
+                                        style={{ padding: '8px 10px', fontSize: '0.95rem' }}
+                                    >
+                                        {s === 0.5 ? '½' : s}×
+                                    </button>
+                                ))}
+                            </div>
+                            <button
+                                onClick={() => setFollow(!follow)}
+                                style={{ padding: '8px', display: 'flex', background: follow ? 'rgba(34, 211, 238, 0.2)' : 'transparent' }}
+                                title={t('replay.follow')}
+                            >
+                                <Crosshair size={24} />
+                            </button>
+                        </div>
+                        <div style={{ display: 'flex', justifyContent: 'space-between', fontSize: '0.95rem', color: 'var(--text-secondary)' }}>
+                            <span>{date(steps[0].ride.date)}</span>
+                            <span>{current && time > 0 ? date(current.ride.date) : ''}</span>
+                            <span>{date(steps[steps.length - 1].ride.date)}</span>
+                        </div>
+                    </>
+                )}
+            </div>
+        </div>
+    );
+};
+
+export default JourneyReplay
@@ -0,0 +1,106 @@
+import { useState, useEffect } from 'react'
+import { ArrowLeft, Trophy, Users } from 'lucide-react'
+import { sumKm } from '../rides'
+import { kmThisWeek, kmThisMonth, dayStreak } from '../stats'
+import { storage, batchChanges } from '../storage'
+import { thumbnailUrl } from '../photos'
+import { useI18n } from '../i18n/context'
+
+// Labels are under leaderboard.<id> in the dictionaries, format gets the i18n helpers
+const CATEGORIES = [
+    { id: 'week', value: (s) => kmThisWeek(s.rides), format: (v, { distance }) => distance(v) },
+    { id: 'month', value: (s) => kmThisMonth(s.rides), format: (v, { distance }) => distance(v) },
+    { id: 'total', value: (s) => sumKm(s.rides), format: (v, { distance }) => distance(v) },
+    { id: 'route', value: (s) => (s.progress && s.progress.percentage) || 0, format: (v) => `${Math.round(v * 100)}%` },
+    { id: 'streak', value: (s) => dayStreak(s.rides), format: (v, { t }) => t('common.days', { count: v }) }
+];
+
+const MEDALS = ['🥇', '🥈', '🥉'];
+
+// Ranking of all profiles, reachable from the profile picker
+const Leaderboard = ({ profiles, onBack }) => {
+    const i18n = useI18n();
+    const { t } = i18n;
+    const [states, setStates] = useState([]);
+    const [categoryId, setCategoryId] = useState('week');
+
+    useEffect(() => {
+        // userIds: only reload these riders, null for all
+        const loadStates = async (userIds = null) => {
+            const { data, error } = await storage.listUserStates(userIds, ['user_id', 'rides', 'progress']);
+            if (error) console.error('Error loading leaderboard:', error);
+            else if (!userIds) setStates(data || []);
+            else setStates(prev => [...prev.filter(s => !userIds.includes(s.user_id)), ...(data || [])]);
+        };
+        loadStates();
+        const changes = batchChanges(loadStates);
+        const unsubscribe = storage.subscribe(({ table, id }) => table === 'user_state' && changes(id));
+        return () => {
+            changes.cancel();
+            unsubscribe();
+        };
+    }, []);
+
+    const category = CATEGORIES.find(c => c.id === categoryId);
+    const ranking = profiles
+        .map(profile => {
+            const state = states.find(s => s.user_id === profile.id) || { rides: [], progress: null };
+            return { profile, value: category.value({ rides: state.rides || [], progress: state.progress }) };
+        })
+        .sort((a, b) => b.value - a.value);
+    const best = ranking.length > 0 ? ranking[0].value : 0;
+
+    return (
+        <div style={{ height: '100vh', width: '100vw', background: 'var(--bg-app)', display: 'flex', flexDirection: 'column', alignItems: 'center', padding: '40px 20px', overflowY: 'auto' }}>
+            <div style={{ width: '100%', maxWidth: '800px' }}>
+                <div style={{ display: 'flex', alignItems: 'center', gap: '20px', marginBottom: '30px' }}>
+                    <button onClick={onBack} style={{ background: 'transparent', padding: '10px' }} title={t('common.back')}>
+                        <ArrowLeft size={32} />
+                    </button>
+                    <h1 style={{ fontSize: '2.5rem', display: 'flex', alignItems: 'center', gap: '16px' }}>
+                        <Trophy size={40} color="#facc15" /> {t('profiles.leaderboard')}
+                    </h1>
+                </div>
+
+                <div style={{ display: 'flex', gap: '10px', flexWrap: 'wrap', marginBottom: '30px' }}>
+                    {CATEGORIES.map(c => (
+                        <button
+                            key={c.id}
+                            onClick={() => setCategoryId(c.id)}
+                            className={c.id === categoryId ? 'primary' : undefined}
+                            style={{ fontSize: '1.1rem' }}
+                        >
+                            {t(`leaderboard.${c.id}`)}
+                        </button>
+                    ))}
+                </div>
+
+                <div style={{ display: 'flex', flexDirection: 'column', gap: '14px' }}>
+                    {ranking.map(({ profile, value }, index) => (
+                        <div key={profile.id} style={{ display: 'flex', alignItems: 'center', gap: '20px', padding: '16px 20px', background: 'var(--bg-surface)', border: 'var(--glass-border)', borderRadius: 'var(--radius-lg)' }}>
+                            <span style={{ width: '40px', fontSize: '1.8rem', fontWeight: 'bold', textAlign: 'center', color: 'var(--text-secondary)' }}>
+                                {value > 0 && MEDALS[index] ? MEDALS[index] : index + 1}
+                            </span>
+                            <div style={{ width: '60px', height: '60px', borderRadius: '50%', overflow: 'hidden', flexShrink: 0, background: profile.photo ? 'transparent' : profile.color, border: `3px solid ${profile.color}`, display: 'flex', alignItems: 'center', justifyContent: 'center' }}>
+                                {profile.photo
+                                    ? <img src={thumbnailUrl(profile)} alt={profile.name} style={{ width: '100%', height: '100%', objectFit: 'cover' }} />
+                                    : <Users size={30} color="#0f172a" />}
+                            </div>
+                            <div style={{ flex: 1, minWidth: 0 }}>
+                                <div style={{ display: 'flex', justifyContent: 'space-between', marginBottom: '8px' }}>
+                                    <span style={{ fontSize: '1.4rem', fontWeight: 'bold' }}>{profile.name}</span>
+                                    <span style={{ fontSize: '1.4rem', fontWeight: 'bold' }}>{category.format(value, i18n)}</span>
+                                </div>
+                                <div style={{ height: '10px', background: 'rgba(255,255,255,0.1)', borderRadius: '5px', overflow: 'hidden' }}>
+                                    <div style={{ height: '100%', width: `${best > 0 ? (value / best) * 100 : 0}%`, background: profile.color, transition: 'width 0.5s ease-out' }} />
+                                </div>
+                            </div>
+                        </div>
+                    ))}
+                </div>
+            </div>
+        </div>
+    );
+};
+
+export default Leaderboard
@@ -1,12 +1,16 @@
-import { MapContainer, TileLayer, Marker, Popup, useMapEvents, Polyline, LayersControl, useMap } from 'react-leaflet'
-import { useState, useEffect } from 'react'
+import { MapContainer, TileLayer, Marker, Popup, useMapEvents, Polyline, LayersControl, LayerGroup, Tooltip, useMap } from 'react-leaflet'
+import { useState, useEffect, useMemo } from 'react'
 import L from 'leaflet'
 import icon from 'leaflet/dist/images/marker-icon.png'
 import iconShadow from 'leaflet/dist/images/marker-shadow.png'
 
 import { renderToStaticMarkup } from 'react-dom/server';
-import { Flag, Bike } from 'lucide-react';
 import { GeoSearchControl, OpenStreetMapProvider } from 'leaflet-geosearch'
+import { TILE_LAYERS } from '../mapTiles'
+import { FinishIcon, CyclistIcon } from './mapIcons'
+import RoutePolyline from './RoutePolyline'
+import { slicePathAtDistance, slicePathBetween } from '../utils'
+import { useI18n } from '../i18n/context'
 
 // Fix for default marker icon in React Leaflet
 let DefaultIcon = L.icon({
@@ -18,51 +22,30 @@ let DefaultIcon = L.icon({
 
 L.Marker.prototype.options.icon = DefaultIcon;
 
-// Custom Icons (Double Size for Accessibility)
-const FinishIcon = L.divIcon({
+// Numbered marker for intermediate stops
+const createStopIcon = (number) => L.divIcon({
     html: renderToStaticMarkup(
         <div style={{
-            color: '#ef4444',
-            background: 'white',
+            color: '#0f172a',
+            background: '#22d3ee',
             borderRadius: '50%',
-            width: '64px',
-            height: '64px',
+            width: '36px',
+            height: '36px',
             display: 'flex',
             alignItems: 'center',
             justifyContent: 'center',
-            boxShadow: '0 8px 12px -2px rgba(0, 0, 0, 0.5)',
-            border: '4px solid #ef4444'
+            fontWeight: 'bold',
+            fontSize: '18px',
+            boxShadow: '0 4px 8px rgba(0, 0, 0, 0.5)',
+            border: '3px solid white'
         }}>
-            <Flag size={40} fill="#ef4444" />
+            {number}
         </div>
     ),
     className: 'custom-div-icon',
-    iconSize: [64, 64],
-    iconAnchor: [32, 64],
-    popupAnchor: [0, -64]
-});
-
-const CyclistIcon = L.divIcon({
-    html: renderToStaticMarkup(
-        <div style={{
-            color: '#22d3ee',
-            background: 'var(--bg-surface-solid)',
-            borderRadius: '50%',
-            width: '80px',
-            height: '80px',
-            display: 'flex',
-            alignItems: 'center',
-            justifyContent: 'center',
-            boxShadow: '0 0 30px rgba(34, 211, 238, 0.6)',
-            border: '4px solid #22d3ee'
-        }}>
-            <Bike size={48} />
-        </div>
-    ),
-    className: 'custom-div-icon',
-    iconSize: [80, 80],
-    iconAnchor: [40, 40],
-    popupAnchor: [0, -40]
+    iconSize: [36, 36],
+    iconAnchor: [18, 18],
+    popupAnchor: [0, -18]
 });
 
 function MapEvents({ onMapClick }) {
@@ -74,8 +57,10 @@ function MapEvents({ onMapClick }) {
     return null;
 }
 
-const SearchControl = () => {
+const SearchControl = ({ onSearchSelect }) => {
     const map = useMap();
+    const { t } = useI18n();
+    const searchLabel = t('map.search');
     useEffect(() => {
         const provider = new OpenStreetMapProvider();
         const searchControl = new GeoSearchControl({
@@ -87,75 +72,171 @@ const SearchControl = () => {
             retainZoomLevel: false,
             animateZoom: true,
             keepResult: true,
-            searchLabel: 'Suche nach Orten...'
+            searchLabel
         });
         map.addControl(searchControl);
         return () => map.removeControl(searchControl);
-    }, [map]);
+    }, [map, searchLabel]);
+
+    useEffect(() => {
+        const handleShowLocation = (e) => {
+            if (onSearchSelect) onSearchSelect({ lat: e.location.y, lng: e.location.x, label: e.location.label });
+        };
+        map.on('geosearch/showlocation', handleShowLocation);
+        return () => map.off('geosearch/showlocation', handleShowLocation);
+    }, [map, onSearchSelect]);
     return null;
 }
 
-const MapContainerComponent = ({ start, end, path, currentPosition, onMapClick, onMarkerClick }) => {
+// Keeps the given points (cyclist and next milestone) in view. Only refits
+// when one of them moves, so panning around by hand is left alone.
+const FitPoints = ({ points }) => {
+    const map = useMap();
+    const key = points.map(p => `${p.lat.toFixed(5)},${p.lng.toFixed(5)}`).join('|');
+    useEffect(() => {
+        if (!key) return;
+        const latLngs = key.split('|').map(pair => pair.split(',').map(Number));
+        // Room for the header and the panels at the bottom
+        map.fitBounds(L.latLngBounds(latLngs), { paddingTopLeft: [60, 160], paddingBottomRight: [60, 240], maxZoom: 13 });
+    }, [map, key]);
+    return null;
+};
+
+// With riddenKm set (while tracking) the path is split at the current position:
+// ridden in riddenColor, the rest muted. rideSections ({ ride, fromKm, toKm }
+// on this path) can shade the ridden part by ride through the layer control.
+const MapContainerComponent = ({ start, end, waypoints = [], path, previewPath, completedLegs = [], queue = [], currentPosition, riddenKm = null, riddenColor = '#22d3ee', rideSections = [], focusPoints = [], editable, lockStart, onMapClick, onMarkerClick, onMarkerDrag, onSearchSelect }) => {
     const [position, setPosition] = useState([48.20967, 13.48831]) // Default: Ried im Innkreis
+    const { t, language, distance, date } = useI18n();
+    const hasPath = path && path.length > 0;
+    const isSplit = hasPath && riddenKm !== null;
+    const ridden = useMemo(() => isSplit ? slicePathAtDistance(path, riddenKm) : [], [isSplit, path, riddenKm]);
+    const remaining = useMemo(() => isSplit ? slicePathBetween(path, riddenKm, Infinity) : [], [isSplit, path, riddenKm]);
+    const sectionPaths = useMemo(
+        () => isSplit ? rideSections.map(section => slicePathBetween(path, section.fromKm, section.toKm)) : [],
+        [isSplit, path, rideSections]
+    );
 
     return (
         <MapContainer center={position} zoom={13} style={{ height: '100%', width: '100%' }} zoomControl={false}>
-            <LayersControl position="bottomright">
-                <LayersControl.BaseLayer checked name="Light">
+            {/* Layer names are only read on creation, a new language rebuilds the control */}
+            <LayersControl key={language} position="bottomright">
+                <LayersControl.BaseLayer checked name={t('map.layers.light')}>
                     <TileLayer
-                        attribution='&copy; <a href="https://www.openstreetmap.org/copyright">OpenStreetMap</a> contributors &copy; <a href="https://carto.com/attributions">CARTO</a>'
-                        url="https://{s}.basemaps.cartocdn.com/light_all/{z}/{x}/{y}{r}.png"
+                        attribution={TILE_LAYERS.light.attribution}
+                        url={TILE_LAYERS.light.url}
                     />
                 </LayersControl.BaseLayer>
-                <LayersControl.BaseLayer name="Satellite">
+                <LayersControl.BaseLayer name={t('map.layers.satellite')}>
                     <TileLayer
-                        attribution='Tiles &copy; Esri &mdash; Source: Esri, i-cubed, USDA, USGS, AEX, GeoEye, Getmapping, Aerogrid, IGN, IGP, UPR-EGP, and the GIS User Community'
-                        url="https://server.arcgisonline.com/ArcGIS/rest/services/World_Imagery/MapServer/tile/{z}/{y}/{x}"
+                        attribution={TILE_LAYERS.satellite.attribution}
+                        url={TILE_LAYERS.satellite.url}
                     />
                 </LayersControl.BaseLayer>
-                <LayersControl.BaseLayer name="Dark">
+                <LayersControl.BaseLayer name={t('map.layers.dark')}>
                     <TileLayer
-                        attribution='&copy; <a href="https://www.openstreetmap.org/copyright">OpenStreetMap</a> contributors &copy; <a href="https://carto.com/attributions">CARTO</a>'
-                        url="https://{s}.basemaps.cartocdn.com/dark_all/{z}/{x}/{y}{r}.png"
+                        attribution={TILE_LAYERS.dark.attribution}
+                        url={TILE_LAYERS.dark.url}
                     />
                 </LayersControl.BaseLayer>
+                {sectionPaths.length > 0 && (
+                    <LayersControl.Overlay name={t('map.layers.rides')}>
+                        <LayerGroup>
+                            {/* Every other ride lighter, so neighbouring rides stand apart */}
+                            {sectionPaths.map((sectionPath, index) => (
+                                <RoutePolyline key={rideSections[index].ride.id} positions={sectionPath} color={riddenColor} weight={6} opacity={index % 2 === 0 ? 1 : 0.5}>
+                                    <Tooltip sticky>{date(rideSections[index].ride.date)} · {distance(rideSections[index].ride.km)}</Tooltip>
+                                </RoutePolyline>
+                            ))}
+                        </LayerGroup>
+                    </LayersControl.Overlay>
+                )}
             </LayersControl>
-            <SearchControl />
+            <SearchControl onSearchSelect={onSearchSelect} />
             <MapEvents onMapClick={onMapClick} />
             {start && (
                 <Marker
                     position={start}
-                    eventHandlers={{ click: () => onMarkerClick && onMarkerClick('start') }}
+                    draggable={editable && !lockStart}
+                    eventHandlers={{
+                        click: () => onMarkerClick && onMarkerClick('start'),
+                        dragend: (e) => onMarkerDrag && onMarkerDrag('start', null, e.target.getLatLng())
+                    }}
                 >
-                    <Popup>Start (Zum Entfernen klicken)</Popup>
+                    <Popup>{t('map.startPopup')}</Popup>
                 </Marker>
             )}
+            {waypoints.map((point, index) => (
+                <Marker
+                    key={`waypoint-${index}`}
+                    position={point}
+                    icon={createStopIcon(index + 1)}
+                    draggable={editable}
+                    eventHandlers={{
+                        click: () => onMarkerClick && onMarkerClick('waypoint', index),
+                        dragend: (e) => onMarkerDrag && onMarkerDrag('waypoint', index, e.target.getLatLng())
+                    }}
+                >
+                    <Popup>{t('map.stopPopup', { name: point.label || t('map.stop', { number: index + 1 }) })}</Popup>
+                </Marker>
+            ))}
             {end && (
                 <Marker
                     position={end}
                     icon={FinishIcon}
-                    eventHandlers={{ click: () => onMarkerClick && onMarkerClick('end') }}
+                    draggable={editable}
+                    eventHandlers={{
+                        click: () => onMarkerClick && onMarkerClick('end'),
+                        dragend: (e) => onMarkerDrag && onMarkerDrag('end', null, e.target.getLatLng())
+                    }}
                 >
-                    <Popup>Ziel (Zum Entfernen klicken)</Popup>
+                    <Popup>{t('map.finishPopup')}</Popup>
                 </Marker>
             )}
 
+            {/* Finished legs of a tour, all ridden */}
+            {completedLegs.map((leg, index) => (
+                <RoutePolyline key={`leg-${index}`} positions={leg.path && leg.path.length > 0 ? leg.path : [leg.start, leg.end]} color={riddenColor} weight={4} opacity={0.6} />
+            ))}
+
+            {/* Queued destinations of a tour */}
+            {end && queue.length > 0 && (
+                <Polyline positions={[end, ...queue]} color="#94a3b8" weight={3} dashArray="4, 12" />
+            )}
+            {queue.map((point, index) => (
+                <Marker key={`queue-${index}`} position={point} opacity={0.6}>
+                    <Popup>{point.label || t('map.queued', { number: index + 1 })}</Popup>
+                </Marker>
+            ))}
+
             {/* Draw Path */}
-            {path && path.length > 0 ? (
+            {isSplit ? (
                 <>
-                    <Polyline positions={path} color="#334155" weight={6} opacity={0.5} />
-                    <Polyline positions={path} color="#22d3ee" weight={4} />
+                    <RoutePolyline positions={path} color="#334155" weight={7} opacity={0.5} />
+                    <RoutePolyline positions={remaining} color="#94a3b8" weight={4} opacity={0.7} />
+                    <RoutePolyline positions={ridden} color={riddenColor} weight={5} />
+                </>
+            ) : hasPath ? (
+                <>
+                    <RoutePolyline positions={path} color="#334155" weight={6} opacity={0.5} />
+                    <RoutePolyline positions={path} color="#22d3ee" weight={4} />
                 </>
             ) : (
-                start && end && <Polyline positions={[start, end]} color="#22d3ee" dashArray="10, 10" />
+                start && end && <Polyline positions={[start, ...waypoints, end]} color="#22d3ee" dashArray="10, 10" />
+            )}
+
+            {/* Planned change of the remaining route (straight lines until it is routed) */}
+            {previewPath && previewPath.length > 1 && (
+                <Polyline positions={previewPath} color="#facc15" weight={4} dashArray="10, 10" />
             )}
 
             {/* Visual enhancement: Cyclist Marker */}
             {currentPosition && (
                 <Marker position={currentPosition} icon={CyclistIcon} zIndexOffset={100}>
-                    <Popup>Du bist hier!</Popup>
+                    <Popup>{t('map.youAreHere')}</Popup>
                 </Marker>
             )}
+            <FitPoints points={focusPoints} />
         </MapContainer>
     )
 }
@@ -0,0 +1,108 @@
+import { useState, useRef } from 'react'
+import { Check, X, ZoomIn } from 'lucide-react'
+import { defaultCrop } from '../photos'
+import { useI18n } from '../i18n/context'
+
+const FRAME = 300; // px on screen
+const MAX_ZOOM = 4;
+
+// Shows the picked image in a square frame; dragging moves it, the slider
+// zooms. onConfirm gets the visible square as { x, y, size } in image pixels.
+const PhotoCropper = ({ image, onConfirm, onCancel }) => {
+    const { t } = useI18n();
+    const [crop, setCrop] = useState(() => defaultCrop(image));
+    const drag = useRef(null); // { x, y, crop } where the pointer went down
+
+    const fullSize = defaultCrop(image).size;
+    const zoom = fullSize / crop.size;
+    const scale = FRAME / crop.size; // screen px per image px
+
+    // The square always stays inside the image
+    const clamp = ({ x, y, size }) => ({
+        size,
+        x: Math.max(0, Math.min(image.naturalWidth - size, x)),
+        y: Math.max(0, Math.min(image.naturalHeight - size, y))
+    });
+
+    const setZoom = (value) => {
+        const size = fullSize / value;
+        // Zoom around the center of the frame
+        setCrop(clamp({ x: crop.x + (crop.size - size) / 2, y: crop.y + (crop.size - size) / 2, size }));
+    };
+
+    const startDrag = (e) => {
+        e.currentTarget.setPointerCapture(e.pointerId);
+        drag.current = { x: e.clientX, y: e.clientY, crop };
+    };
+
+    const moveDrag = (e) => {
+        if (!drag.current) return;
+        const start = drag.current;
+        setCrop(clamp({
+            size: start.crop.size,
+            x: start.crop.x - (e.clientX - start.x) / scale,
+            y: start.crop.y - (e.clientY - start.y) / scale
+        }));
+    };
+
+    const endDrag = () => {
+        drag.current = null;
+    };
+
+    return (
+        <div style={{ position: 'fixed', inset: 0, zIndex: 4000, background: 'rgba(15, 23, 42, 0.85)', backdropFilter: 'blur(8px)', display: 'flex', alignItems: 'center', justifyContent: 'center', padding: '20px' }}>
+            <div style={{ background: 'var(--bg-surface-solid)', padding: '30px', borderRadius: 'var(--radius-lg)', border: 'var(--glass-border)', display: 'flex', flexDirection: 'column', gap: '20px', alignItems: 'center' }}>
+                <h2 style={{ fontSize: '1.6rem', margin: 0 }}>{t('photo.title')}</h2>
+
+                <div
+                    onPointerDown={startDrag}
+                    onPointerMove={moveDrag}
+                    onPointerUp={endDrag}
+                    onPointerCancel={endDrag}
+                    style={{ position: 'relative', width: FRAME, height: FRAME, overflow: 'hidden', borderRadius: 'var(--radius-md)', cursor: 'grab', touchAction: 'none', background: '#0f172a' }}
+                >
+                    <img
+                        src={image.src}
+                        alt="Ausschnitt"
+                        draggable={false}
+                        style={{
+                            position: 'absolute',
+                            left: -crop.x * scale,
+                            top: -crop.y * scale,
+                            width: image.naturalWidth * scale,
+                            height: image.naturalHeight * scale,
+                            maxWidth: 'none',
+                            userSelect: 'none'
+                        }}
+                    />
+                    {/* Round preview like on the profile cards */}
+                    <div style={{ position: 'absolute', inset: 0, borderRadius: '50%', boxShadow: '0 0 0 999px rgba(15, 23, 42, 0.55)', pointerEvents: 'none' }} />
+                </div>
+
+                <label style={{ display: 'flex', alignItems: 'center', gap: '12px', width: FRAME, color: 'var(--text-secondary)' }}>
+                    <ZoomIn size={22} />
+                    <input
+                        type="range"
+                        min={1}
+                        max={MAX_ZOOM}
+                        step={0.01}
+                        value={zoom}
+                        onChange={(e) => setZoom(Number(e.target.value))}
+                        style={{ flex: 1 }}
+                    />
+                </label>
+
+                <div style={{ display: 'flex', gap: '12px', width: FRAME }}>
+                    <button onClick={onCancel} style={{ flex: 1, display: 'flex', alignItems: 'center', justifyContent: 'center', gap: '8px' }}>
+                        <X size={20} /> {t('common.cancel')}
+                    </button>
+                    <button className="primary" onClick={() => onConfirm(crop)} style={{ flex: 1, display: 'flex', alignItems: 'center', justifyContent: 'center', gap: '8px' }}>
+                        <Check size={20} /> {t('common.apply')}
+                    </button>
+                </div>
+            </div>
+        </div>
+    );
+};
+
+export default PhotoCropper
@@ -0,0 +1,72 @@
+import { useState } from 'react'
+import { Lock, Delete, X } from 'lucide-react'
+import { isValidPin } from '../pin'
+import { useI18n } from '../i18n/context'
+
+const KEYS = ['1', '2', '3', '4', '5', '6', '7', '8', '9', 'delete', '0', 'ok'];
+
+const keyStyle = { padding: '20px', fontSize: '1.8rem', display: 'flex', alignItems: 'center', justifyContent: 'center' };
+
+// Number pad asking for a PIN. onSubmit resolves to false when the PIN is wrong.
+const PinPrompt = ({ title, onSubmit, onCancel }) => {
+    const { t } = useI18n();
+    const [pin, setPin] = useState('');
+    const [problem, setProblem] = useState(null); // 'wrong' or 'failed', see pin.* in the dictionaries
+
+    const press = async (key) => {
+        if (key === 'delete') {
+            setPin(pin.slice(0, -1));
+        } else if (key === 'ok') {
+            if (!isValidPin(pin)) return;
+            let accepted;
+            try {
+                accepted = await onSubmit(pin);
+            } catch (error) {
+                console.error('PIN check failed:', error);
+                setProblem('failed');
+                setPin('');
+                return;
+            }
+            if (!accepted) {
+                setProblem('wrong');
+                setPin('');
+            }
+        } else if (pin.length < 8) {
+            setPin(pin + key);
+            setProblem(null);
+        }
+    };
+
+    return (
+        <div style={{ position: 'fixed', inset: 0, zIndex: 4000, background: 'rgba(15, 23, 42, 0.85)', backdropFilter: 'blur(8px)', display: 'flex', alignItems: 'center', justifyContent: 'center', padding: '20px' }}>
+            <div style={{ background: 'var(--bg-surface-solid)', padding: '30px', borderRadius: 'var(--radius-lg)', border: 'var(--glass-border)', width: '100%', maxWidth: '380px', display: 'flex', flexDirection: 'column', gap: '20px' }}>
+                <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center' }}>
+                    <h2 style={{ fontSize: '1.6rem', margin: 0, display: 'flex', alignItems: 'center', gap: '12px' }}>
+                        <Lock size={26} /> {title}
+                    </h2>
+                    <button onClick={onCancel} style={{ background: 'transparent', padding: '8px' }}><X size={28} /></button>
+                </div>
+
+                <div style={{ height: '50px', display: 'flex', alignItems: 'center', justifyContent: 'center', gap: '14px', fontSize: '2rem', color: problem ? '#ef4444' : 'white' }}>
+                    {problem ? t(`pin.${problem}`) : pin.length === 0 ? <span style={{ fontSize: '1.1rem', color: 'var(--text-secondary)' }}>{t('pin.digits')}</span> : '•'.repeat(pin.length)}
+                </div>
+
+                <div style={{ display: 'grid', gridTemplateColumns: 'repeat(3, 1fr)', gap: '12px' }}>
+                    {KEYS.map(key => (
+                        <button
+                            key={key}
+                            onClick={() => press(key)}
+                            className={key === 'ok' ? 'primary' : undefined}
+                            disabled={key === 'ok' && !isValidPin(pin)}
+                            style={keyStyle}
+                        >
+                            {key === 'delete' ? <Delete size={28} /> : key === 'ok' ? 'OK' : key}
+                        </button>
+                    ))}
+                </div>
+            </div>
+        </div>
+    );
+};
+
+export default PinPrompt
@@ -0,0 +1,134 @@
+import { useState } from 'react'
+import { Edit2, Trash2, Check, X, Target } from 'lucide-react'
+import { sortRides, MAX_NOTE_LENGTH } from '../rides'
+import { useI18n } from '../i18n/context'
+
+const inputStyle = {
+    padding: '10px',
+    fontSize: '1rem',
+    borderRadius: 'var(--radius-sm)',
+    border: '1px solid rgba(255,255,255,0.1)',
+    background: 'rgba(0,0,0,0.2)',
+    color: 'white',
+    minWidth: 0
+};
+
+const iconButtonStyle = {
+    padding: '8px',
+    background: 'transparent',
+    border: '1px solid rgba(255,255,255,0.1)',
+    display: 'flex',
+    alignItems: 'center'
+};
+
+const RideRow = ({ ride, onUpdate, onDelete }) => {
+    const { t, distance, distanceUnit, distanceValue, toKm, elevation, elevationUnit, elevationValue, toMeters, date } = useI18n();
+    const [isEditing, setIsEditing] = useState(false);
+    const [draft, setDraft] = useState(ride);
+
+    // The draft is in the rider's units, the ride stays in km and m
+    const startEdit = () => {
+        setDraft({
+            ...ride,
+            km: Math.round(distanceValue(ride.km) * 100) / 100,
+            elevationGainM: ride.elevationGainM ? Math.round(elevationValue(ride.elevationGainM)) : ''
+        });
+        setIsEditing(true);
+    };
+
+    const save = () => {
+        const value = parseFloat(draft.km);
+        if (isNaN(value) || value <= 0) return;
+        onUpdate({
+            ...ride,
+            date: draft.date || ride.date,
+            km: toKm(value),
+            durationMin: draft.durationMin ? Number(draft.durationMin) : null,
+            elevationGainM: draft.elevationGainM ? Math.round(toMeters(Number(draft.elevationGainM))) : null,
+            note: (draft.note || '').trim().slice(0, MAX_NOTE_LENGTH)
+        });
+        setIsEditing(false);
+    };
+
+    if (isEditing) {
+        return (
+            <div style={{ display: 'grid', gridTemplateColumns: '1.4fr 1fr 1fr 1fr 2fr auto auto', gap: '8px', alignItems: 'center' }}>
+                <input type="date" value={draft.date} onChange={(e) => setDraft({ ...draft, date: e.target.value })} style={inputStyle} />
+                <input type="number" value={draft.km} onChange={(e) => setDraft({ ...draft, km: e.target.value })} placeholder={distanceUnit} style={inputStyle} />
+                <input type="number" value={draft.durationMin || ''} onChange={(e) => setDraft({ ...draft, durationMin: e.target.value })} placeholder="min" style={inputStyle} />
+                <input type="number" value={draft.elevationGainM || ''} onChange={(e) => setDraft({ ...draft, elevationGainM: e.target.value })} placeholder={elevationUnit} style={inputStyle} />
+                <input type="text" value={draft.note || ''} onChange={(e) => setDraft({ ...draft, note: e.target.value })} maxLength={MAX_NOTE_LENGTH} placeholder={t('rideLog.note')} style={inputStyle} />
+                <button onClick={save} style={iconButtonStyle} title={t('common.save')}><Check size={20} color="#4ade80" /></button>
+                <button onClick={() => setIsEditing(false)} style={iconButtonStyle} title={t('common.cancel')}><X size={20} /></button>
+            </div>
+        );
+    }
+
+    return (
+        <div style={{ display: 'flex', gap: '12px', alignItems: 'center', padding: '8px 0', borderBottom: '1px solid rgba(255,255,255,0.05)' }}>
+            <div style={{ flex: 1, minWidth: 0 }}>
+                <div style={{ fontSize: '1.1rem' }}>
+                    <span style={{ fontWeight: 'bold' }}>{distance(ride.km)}</span>
+                    <span style={{ color: 'var(--text-secondary)', marginLeft: '10px' }}>
+                        {date(ride.date)}
+                        {ride.durationMin ? ` · ${ride.durationMin} min` : ''}
+                        {ride.elevationGainM ? ` · ${elevation(ride.elevationGainM)}` : ''}
+                        {ride.source ? ` · ${ride.source.format.toUpperCase()}` : ''}
+                    </span>
+                </div>
+                {ride.note && (
+                    <div style={{ color: 'var(--text-secondary)', fontSize: '0.95rem', overflow: 'hidden', textOverflow: 'ellipsis', whiteSpace: 'nowrap' }}>{ride.note}</div>
+                )}
+            </div>
+            <button onClick={startEdit} style={iconButtonStyle} title={t('common.edit')}><Edit2 size={20} color="#3b82f6" /></button>
+            <button
+                onClick={() => window.confirm(t('rideLog.confirmDelete')) && onDelete(ride.id)}
+                style={iconButtonStyle}
+                title={t('common.delete')}
+            >
+                <Trash2 size={20} color="#ef4444" />
+            </button>
+        </div>
+    );
+};
+
+const GoalRow = ({ goal, period }) => {
+    const { t, number, distance, distanceValue, date } = useI18n();
+    const label = goal.period === 'month'
+        ? date(period.start, { month: 'long', year: 'numeric' })
+        : t('rideLog.weekFrom', { date: date(period.start) });
+    return (
+        <div style={{ display: 'flex', gap: '10px', alignItems: 'center', padding: '6px 10px', marginTop: '6px', borderRadius: 'var(--radius-sm)', background: period.met ? 'rgba(74, 222, 128, 0.1)' : 'rgba(239, 68, 68, 0.12)', color: period.met ? '#4ade80' : '#f87171' }}>
+            <Target size={18} />
+            <span style={{ flex: 1 }}>{label}</span>
+            <span>{t(period.met ? 'rideLog.goalMet' : 'rideLog.goalMissed', { done: number(distanceValue(period.km), 1), goal: distance(goal.km, 0) })}</span>
+        </div>
+    );
+};
+
+// Rides newest first. With a km goal, every finished period gets a summary
+// row above its rides, so missed weeks or months stay visible.
+const RideLog = ({ rides, onUpdate, onDelete, goal, goalPeriods = [] }) => {
+    const { t } = useI18n();
+    const finishedPeriods = goalPeriods.filter(p => !p.isCurrent);
+    if ((!rides || rides.length === 0) && finishedPeriods.length === 0) {
+        return <div style={{ color: 'var(--text-secondary)', padding: '10px 0' }}>{t('rideLog.empty')}</div>;
+    }
+
+    // A ride on the first day of the next period sorts above that period's summary
+    const entries = [
+        ...sortRides(rides || []).map(ride => ({ key: `${ride.date}~`, ride })),
+        ...finishedPeriods.map(period => ({ key: period.end, period }))
+    ].sort((a, b) => b.key.localeCompare(a.key));
+
+    return (
+        <div style={{ maxHeight: '240px', overflowY: 'auto', display: 'flex', flexDirection: 'column', gap: '4px', textAlign: 'left' }}>
+            {entries.map(entry => entry.ride
+                ? <RideRow key={entry.ride.id} ride={entry.ride} onUpdate={onUpdate} onDelete={onDelete} />
+                : <GoalRow key={`goal-${entry.period.start}`} goal={goal} period={entry.period} />
+            )}
+        </div>
+    );
+};
+
+export default RideLog
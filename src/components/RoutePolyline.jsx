@@ -0,0 +1,21 @@
+import { useState } from 'react'
+import { Polyline, useMapEvents } from 'react-leaflet'
+import { simplifyForZoom, sliceSimplifiedPath } from '../utils'
+
+// Polyline for long route paths: draws only as many points as the current
+// zoom can show, so Leaflet doesn't project the whole path on every zoom.
+// With untilKm only the path up to that distance is drawn (the replay moves
+// it every frame); the simplified path is cut, not simplified again.
+const RoutePolyline = ({ positions, untilKm, ...props }) => {
+    const map = useMapEvents({
+        zoomend: () => setZoom(map.getZoom())
+    });
+    // Fractional while zooming with a touchpad, the cache wants whole levels
+    const [zoom, setZoom] = useState(() => map.getZoom());
+
+    const simplified = simplifyForZoom(positions, Math.round(zoom));
+    const drawn = untilKm === undefined ? simplified : sliceSimplifiedPath(positions, simplified, untilKm);
+    return <Polyline positions={drawn} {...props} />;
+};
+
+export default RoutePolyline
@@ -0,0 +1,169 @@
+import { useState } from 'react'
+import { ArrowLeft, BarChart3 } from 'lucide-react'
+import { sumKm } from '../rides'
+import { kmPerPeriod, cumulativeKm, averageRideKm, bestWeek, recentPace, projectedArrival } from '../stats'
+import { useI18n } from '../i18n/context'
+
+// Labels are under stats.periods.<id>, dates are written with dateFormat
+const PERIODS = [
+    { id: 'day', count: 30, dateFormat: { day: '2-digit', month: '2-digit' } },
+    { id: 'week', count: 12, dateFormat: { day: '2-digit', month: '2-digit' } },
+    { id: 'month', count: 12, dateFormat: { month: 'short' } }
+];
+
+const LINE_WIDTH = 600;
+const LINE_HEIGHT = 160;
+
+const cardStyle = { background: 'var(--bg-surface)', border: 'var(--glass-border)', borderRadius: 'var(--radius-lg)', padding: '20px' };
+
+const StatCard = ({ label, value, detail }) => (
+    <div style={{ ...cardStyle, flex: '1 1 160px' }}>
+        <div style={{ fontSize: '1rem', color: 'var(--text-secondary)', marginBottom: '6px' }}>{label}</div>
+        <div style={{ fontSize: '1.8rem', fontWeight: 'bold' }}>{value}</div>
+        {detail && <div style={{ fontSize: '0.9rem', color: 'var(--text-secondary)', marginTop: '4px' }}>{detail}</div>}
+    </div>
+);
+
+// One bar per bucket, only every few labels are written to keep them readable
+const BarChart = ({ buckets, dateFormat, color }) => {
+    const { distance, date } = useI18n();
+    const max = Math.max(...buckets.map(b => b.km), 1);
+    const labelEvery = Math.ceil(buckets.length / 8);
+    return (
+        <div>
+            <div style={{ display: 'flex', alignItems: 'flex-end', gap: '3px', height: '180px' }}>
+                {buckets.map(b => (
+                    <div
+                        key={b.start}
+                        title={`${date(b.start, dateFormat)}: ${distance(b.km)}`}
+                        style={{ flex: 1, height: `${(b.km / max) * 100}%`, minHeight: b.km > 0 ? '3px' : 0, background: color, borderRadius: '3px 3px 0 0', transition: 'height 0.5s ease-out' }}
+                    />
+                ))}
+            </div>
+            <div style={{ display: 'flex', gap: '3px', marginTop: '6px', fontSize: '0.8rem', color: 'var(--text-secondary)' }}>
+                {buckets.map((b, i) => (
+                    <span key={b.start} style={{ flex: 1, textAlign: 'center', whiteSpace: 'nowrap', overflow: 'visible' }}>
+                        {i % labelEvery === 0 ? date(b.start, dateFormat) : ''}
+                    </span>
+                ))}
+            </div>
+        </div>
+    );
+};
+
+// Running total over time, x axis is the calendar and not the ride count
+const CumulativeChart = ({ points, color }) => {
+    const { t, distance, date } = useI18n();
+    if (points.length < 2) {
+        return <div style={{ color: 'var(--text-secondary)' }}>{t('stats.noCurve')}</div>;
+    }
+
+    const time = (isoDate) => new Date(`${isoDate}T12:00:00`).getTime();
+    const first = time(points[0].date);
+    const span = Math.max(time(points[points.length - 1].date) - first, 1);
+    const max = points[points.length - 1].km;
+    const x = (isoDate) => ((time(isoDate) - first) / span) * LINE_WIDTH;
+    const y = (km) => LINE_HEIGHT - (km / max) * (LINE_HEIGHT - 10);
+
+    // Steps: the total only changes on riding days
+    let line = `M0,${LINE_HEIGHT}`;
+    let previousKm = 0;
+    points.forEach(p => {
+        line += ` L${x(p.date).toFixed(1)},${y(previousKm).toFixed(1)} L${x(p.date).toFixed(1)},${y(p.km).toFixed(1)}`;
+        previousKm = p.km;
+    });
+    const area = `${line} L${LINE_WIDTH},${y(max).toFixed(1)} L${LINE_WIDTH},${LINE_HEIGHT} Z`;
+
+    return (
+        <div style={{ position: 'relative' }}>
+            <svg viewBox={`0 0 ${LINE_WIDTH} ${LINE_HEIGHT}`} preserveAspectRatio="none" style={{ width: '100%', height: `${LINE_HEIGHT}px`, display: 'block' }}>
+                <path d={area} fill={color} fillOpacity="0.25" />
+                <path d={line} fill="none" stroke={color} strokeWidth="2" vectorEffect="non-scaling-stroke" />
+            </svg>
+            <div style={{ position: 'absolute', top: 0, left: 4, fontSize: '0.8rem', color: 'var(--text-secondary)' }}>{distance(max, 0)}</div>
+            <div style={{ display: 'flex', justifyContent: 'space-between', marginTop: '6px', fontSize: '0.8rem', color: 'var(--text-secondary)' }}>
+                <span>{date(points[0].date)}</span>
+                <span>{date(points[points.length - 1].date)}</span>
+            </div>
+        </div>
+    );
+};
+
+// Statistics of one rider over the whole ride log
+const StatsView = ({ profile, rides, route, progress, onBack }) => {
+    const { t, distance, date } = useI18n();
+    const [periodId, setPeriodId] = useState('week');
+    const period = PERIODS.find(p => p.id === periodId);
+    const color = profile.color || '#22d3ee';
+
+    const best = bestWeek(rides);
+    const pace = recentPace(rides);
+    const remainingKm = progress.totalKm - progress.currentKm;
+    const arrival = route.end ? projectedArrival(rides, remainingKm) : null;
+
+    let arrivalValue = '–';
+    let arrivalDetail = t('stats.noRoute');
+    if (route.end && progress.totalKm > 0) {
+        if (!(remainingKm > 0)) {
+            arrivalValue = t('stats.arrived');
+            arrivalDetail = null;
+        } else if (arrival) {
+            arrivalValue = date(arrival);
+            arrivalDetail = t('stats.arrivalDetail', { place: route.end.label || t('common.finish'), distance: distance(pace) });
+        } else {
+            arrivalDetail = t('stats.noRecentRides');
+        }
+    }
+
+    return (
+        <div style={{ height: '100vh', width: '100vw', background: 'var(--bg-app)', display: 'flex', flexDirection: 'column', alignItems: 'center', padding: '40px 20px', overflowY: 'auto' }}>
+            <div style={{ width: '100%', maxWidth: '900px', display: 'flex', flexDirection: 'column', gap: '24px' }}>
+                <div style={{ display: 'flex', alignItems: 'center', gap: '20px' }}>
+                    <button onClick={onBack} style={{ background: 'transparent', padding: '10px' }} title={t('common.back')}>
+                        <ArrowLeft size={32} />
+                    </button>
+                    <h1 style={{ fontSize: '2.5rem', display: 'flex', alignItems: 'center', gap: '16px', margin: 0 }}>
+                        <BarChart3 size={40} color={color} /> {t('stats.title', { name: profile.name })}
+                    </h1>
+                </div>
+
+                <div style={{ display: 'flex', flexWrap: 'wrap', gap: '16px' }}>
+                    <StatCard label={t('stats.total')} value={distance(sumKm(rides))} detail={t('common.rides', { count: rides.length })} />
+                    <StatCard label={t('stats.perRide')} value={distance(averageRideKm(rides))} />
+                    <StatCard
+                        label={t('stats.bestWeek')}
+                        value={distance(best.km)}
+                        detail={best.start ? t('stats.from', { date: date(best.start) }) : null}
+                    />
+                    <StatCard label={t('stats.arrival')} value={arrivalValue} detail={arrivalDetail} />
+                </div>
+
+                <div style={cardStyle}>
+                    <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', marginBottom: '16px' }}>
+                        <span style={{ fontSize: '1.3rem', fontWeight: 'bold' }}>{t(`stats.distancePer.${period.id}`)}</span>
+                        <div style={{ display: 'flex', gap: '8px' }}>
+                            {PERIODS.map(p => (
+                                <button
+                                    key={p.id}
+                                    onClick={() => setPeriodId(p.id)}
+                                    className={p.id === periodId ? 'primary' : undefined}
+                                    style={{ padding: '8px 14px' }}
+                                >
+                                    {t(`stats.periods.${p.id}`)}
+                                </button>
+                            ))}
+                        </div>
+                    </div>
+                    <BarChart buckets={kmPerPeriod(rides, period.id, period.count)} dateFormat={period.dateFormat} color={color} />
+                </div>
+
+                <div style={cardStyle}>
+                    <div style={{ fontSize: '1.3rem', fontWeight: 'bold', marginBottom: '16px' }}>{t('stats.cumulative')}</div>
+                    <CumulativeChart points={cumulativeKm(rides)} color={color} />
+                </div>
+            </div>
+        </div>
+    );
+};
+
+export default StatsView
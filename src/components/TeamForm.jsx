@@ -0,0 +1,72 @@
+import { useState } from 'react'
+import { X, Check, Users } from 'lucide-react'
+import { thumbnailUrl } from '../photos'
+import { useI18n } from '../i18n/context'
+
+// Create or edit a team: a name and the profiles riding along
+const TeamForm = ({ team, profiles, onSave, onCancel }) => {
+    const { t } = useI18n();
+    const [name, setName] = useState(team ? team.name : '');
+    const [memberIds, setMemberIds] = useState(team ? team.member_ids : []);
+
+    const toggleMember = (id) => {
+        setMemberIds(memberIds.includes(id) ? memberIds.filter(m => m !== id) : [...memberIds, id]);
+    };
+
+    return (
+        <div style={{ height: '100vh', width: '100vw', background: 'var(--bg-app)', display: 'flex', flexDirection: 'column', alignItems: 'center', justifyContent: 'center', padding: '20px' }}>
+            <div style={{ background: 'var(--bg-surface)', padding: '40px', borderRadius: 'var(--radius-lg)', border: 'var(--glass-border)', width: '100%', maxWidth: '500px', display: 'flex', flexDirection: 'column', gap: '30px' }}>
+                <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center' }}>
+                    <h2 style={{ fontSize: '2rem', margin: 0 }}>{team ? t('teams.editTitle') : t('teams.new')}</h2>
+                    <button onClick={onCancel} style={{ background: 'transparent', padding: '10px' }}><X size={32} /></button>
+                </div>
+
+                <div style={{ display: 'flex', flexDirection: 'column', gap: '10px' }}>
+                    <label style={{ fontSize: '1.2rem', color: 'var(--text-secondary)' }}>{t('teams.name')}</label>
+                    <input
+                        type="text"
+                        value={name}
+                        onChange={(e) => setName(e.target.value)}
+                        placeholder={t('teams.namePlaceholder')}
+                        style={{ padding: '20px', fontSize: '1.5rem', borderRadius: 'var(--radius-sm)', border: '1px solid rgba(255,255,255,0.1)', background: 'rgba(0,0,0,0.2)', color: 'white' }}
+                    />
+                </div>
+
+                <div style={{ display: 'flex', flexDirection: 'column', gap: '10px' }}>
+                    <label style={{ fontSize: '1.2rem', color: 'var(--text-secondary)' }}>{t('teams.members')}</label>
+                    <div style={{ display: 'flex', flexDirection: 'column', gap: '8px', maxHeight: '300px', overflowY: 'auto' }}>
+                        {profiles.map(profile => {
+                            const isMember = memberIds.includes(profile.id);
+                            return (
+                                <button
+                                    key={profile.id}
+                                    onClick={() => toggleMember(profile.id)}
+                                    style={{ display: 'flex', alignItems: 'center', gap: '16px', padding: '12px 16px', background: isMember ? 'rgba(34, 211, 238, 0.15)' : 'rgba(255,255,255,0.05)', border: isMember ? `1px solid ${profile.color}` : 'var(--glass-border)' }}
+                                >
+                                    <div style={{ width: '40px', height: '40px', borderRadius: '50%', overflow: 'hidden', background: profile.color, display: 'flex', alignItems: 'center', justifyContent: 'center', flexShrink: 0 }}>
+                                        {profile.photo
+                                            ? <img src={thumbnailUrl(profile)} alt={profile.name} style={{ width: '100%', height: '100%', objectFit: 'cover' }} />
+                                            : <Users size={20} color="#0f172a" />}
+                                    </div>
+                                    <span style={{ flex: 1, textAlign: 'left', fontSize: '1.2rem' }}>{profile.name}</span>
+                                    {isMember && <Check size={24} color="#4ade80" />}
+                                </button>
+                            );
+                        })}
+                    </div>
+                </div>
+
+                <button
+                    className="primary"
+                    onClick={() => onSave({ name, memberIds })}
+                    style={{ padding: '20px', fontSize: '1.5rem' }}
+                    disabled={!name.trim() || memberIds.length === 0}
+                >
+                    {team ? t('common.save') : t('common.create')}
+                </button>
+            </div>
+        </div>
+    );
+};
+
+export default TeamForm
@@ -0,0 +1,247 @@
+import { useState, useEffect } from 'react'
+import { ArrowLeft, Flag, Trophy, Users } from 'lucide-react'
+import MapContainerComponent from './MapContainer'
+import { fetchRoute } from '../routing'
+import { getPositionAlongPath, interpolatePosition, getRoutePoints, pathDistance } from '../utils'
+import { collectTeamRides, computeTeamProgress } from '../teams'
+import { storage } from '../storage'
+import { thumbnailUrl } from '../photos'
+import { useI18n } from '../i18n/context'
+
+const DEFAULT_START = { lat: 48.20967, lng: 13.48831 }; // Ried im Innkreis
+
+// Shared journey of a team. Members log km in their own profiles; every ride
+// logged after the start moves the team cyclist.
+const TeamView = ({ team, profiles, onUpdate, onBack }) => {
+    const { t, number, distance, distanceValue } = useI18n();
+    const [draft, setDraft] = useState({ start: DEFAULT_START, end: null, waypoints: [] });
+    const [memberStates, setMemberStates] = useState([]);
+    const [isLoading, setIsLoading] = useState(false);
+    const [isCelebrationOpen, setIsCelebrationOpen] = useState(false);
+
+    const isTracking = team.app_state === 'TRACKING' && team.route;
+    const route = isTracking ? team.route : draft;
+
+    // Reloaded whenever a member logs a ride, on any device
+    useEffect(() => {
+        const loadMemberStates = async () => {
+            const { data, error } = await storage.listUserStates(team.member_ids, ['user_id', 'rides']);
+
+            if (error) console.error('Error loading team rides:', error);
+            else setMemberStates(data || []);
+        };
+        loadMemberStates();
+        return storage.subscribe(({ table, id }) => {
+            if (table === 'user_state' && (!id || team.member_ids.includes(id))) loadMemberStates();
+        });
+    }, [team.member_ids]);
+
+    const teamRides = collectTeamRides(team, memberStates);
+    const progress = computeTeamProgress(team, teamRides);
+    const isFinished = isTracking && progress.totalKm > 0 && progress.currentKm >= progress.totalKm;
+
+    const currentPosition = !isTracking ? null
+        : route.path && route.path.length > 0
+            ? getPositionAlongPath(route.path, progress.currentKm)
+            : interpolatePosition(route.start, route.end, progress.percentage);
+
+    const handleMapClick = (latlng) => {
+        if (isTracking) return;
+        if (!draft.start) setDraft({ ...draft, start: latlng });
+        else if (!draft.end) setDraft({ ...draft, end: latlng });
+        else setDraft({ ...draft, waypoints: [...draft.waypoints, latlng] });
+    };
+
+    const handleMarkerClick = (type, index) => {
+        if (isTracking) return;
+        if (type === 'waypoint') setDraft({ ...draft, waypoints: draft.waypoints.filter((_, i) => i !== index) });
+        else setDraft({ ...draft, [type]: null });
+    };
+
+    const handleMarkerDrag = (type, index, latlng) => {
+        if (isTracking) return;
+        const point = { lat: latlng.lat, lng: latlng.lng };
+        if (type === 'waypoint') setDraft({ ...draft, waypoints: draft.waypoints.map((p, i) => i === index ? point : p) });
+        else setDraft({ ...draft, [type]: point });
+    };
+
+    const startTeamJourney = async () => {
+        const points = getRoutePoints(draft);
+        setIsLoading(true);
+        const routeData = await fetchRoute(points);
+        setIsLoading(false);
+
+        let path = points;
+        let routeKm = pathDistance(points);
+        if (routeData && !routeData.error) {
+            path = routeData.coordinates;
+            routeKm = routeData.distance;
+        } else {
+            alert(t('common.routingFailed', { error: routeData?.error }));
+        }
+
+        onUpdate({
+            app_state: 'TRACKING',
+            route: { ...draft, path, distance: routeKm, startedAt: new Date().toISOString(), celebratedAt: null }
+        });
+    };
+
+    // The celebration opens by itself until someone has seen it, later on request
+    const showCelebration = isCelebrationOpen || (isFinished && !team.route.celebratedAt);
+
+    const closeCelebration = () => {
+        setIsCelebrationOpen(false);
+        if (!team.route.celebratedAt) {
+            onUpdate({ route: { ...team.route, celebratedAt: new Date().toISOString() } });
+        }
+    };
+
+    const resetTeamJourney = () => {
+        if (!window.confirm(t('teams.confirmReset'))) return;
+        setDraft({ start: DEFAULT_START, end: null, waypoints: [] });
+        onUpdate({ app_state: 'SETUP', route: null });
+    };
+
+    const profileById = (id) => profiles.find(p => p.id === id) || { name: '?', color: '#94a3b8' };
+
+    return (
+        <div style={{ position: 'relative', height: '100vh', width: '100vw' }}>
+            <MapContainerComponent
+                start={route.start}
+                end={route.end}
+                waypoints={route.waypoints}
+                path={route.path}
+                currentPosition={currentPosition}
+                riddenKm={isTracking ? progress.currentKm : null}
+                riddenColor={team.color || '#22d3ee'}
+                editable={!isTracking}
+                onMapClick={handleMapClick}
+                onMarkerClick={handleMarkerClick}
+                onMarkerDrag={handleMarkerDrag}
+                onSearchSelect={handleMapClick}
+            />
+
+            {/* Header Overlay */}
+            <div style={{ position: 'absolute', top: 0, left: 0, right: 0, padding: '20px', background: 'linear-gradient(to bottom, rgba(15, 23, 42, 0.9) 0%, transparent 100%)', zIndex: 1000, pointerEvents: 'none', display: 'flex', justifyContent: 'space-between', alignItems: 'start' }}>
+                <div style={{ pointerEvents: 'auto' }}>
+                    <h1 style={{ fontSize: '2.5rem', textShadow: '0 2px 4px rgba(0,0,0,0.5)', display: 'flex', alignItems: 'center', gap: '16px' }}>
+                        <Users size={48} color={team.color} /> {team.name}
+                    </h1>
+                    <p style={{ margin: 0, opacity: 0.8, fontSize: '1.2rem', color: 'var(--text-secondary)' }}>
+                        {!isTracking && !route.start && t('common.tapStart')}
+                        {!isTracking && route.start && !route.end && t('common.tapFinish')}
+                        {!isTracking && route.start && route.end && t('teams.tapStops')}
+                        {isTracking && t('teams.everyKmCounts')}
+                    </p>
+                </div>
+
+                <div style={{ pointerEvents: 'auto', display: 'flex', gap: '20px' }}>
+                    {!isTracking && route.start && route.end && (
+                        <button className="primary" onClick={startTeamJourney} disabled={isLoading} style={{ fontSize: '1.2rem', padding: '1em 2em' }}>
+                            {isLoading ? t('common.calculating') : t('teams.start')}
+                        </button>
+                    )}
+                    {isTracking && (
+                        <button onClick={resetTeamJourney} style={{ fontSize: '1rem', padding: '0.8em 1.2em', opacity: 0.7 }}>
+                            {t('teams.reset')}
+                        </button>
+                    )}
+                    <button
+                        onClick={onBack}
+                        style={{ fontSize: '1rem', padding: '0.8em', background: 'transparent', border: '1px solid rgba(255,255,255,0.1)', color: 'var(--text-secondary)' }}
+                        title={t('common.back')}
+                    >
+                        <ArrowLeft size={24} />
+                    </button>
+                </div>
+            </div>
+
+            {/* Team Progress Overlay */}
+            {isTracking && (
+                <div style={{ position: 'absolute', bottom: 60, left: 20, right: 20, zIndex: 1000, pointerEvents: 'none', display: 'flex', justifyContent: 'center' }}>
+                    <div style={{ pointerEvents: 'auto', background: 'var(--bg-surface)', backdropFilter: 'blur(12px)', padding: '30px', borderRadius: 'var(--radius-lg)', border: 'var(--glass-border)', width: '100%', maxWidth: '600px', boxShadow: 'var(--shadow-lg)' }}>
+                        <div style={{ display: 'flex', justifyContent: 'space-between', marginBottom: '16px', alignItems: 'center' }}>
+                            <div style={{ fontSize: '2.5rem', fontWeight: 'bold' }}>{Math.round(progress.percentage * 100)}%</div>
+                            <div style={{ fontSize: '2rem', fontWeight: 'bold' }}>
+                                {number(distanceValue(progress.currentKm), 1)} <span style={{ fontSize: '1.3rem' }}>/ {distance(progress.totalKm)}</span>
+                            </div>
+                        </div>
+                        <div style={{ height: '16px', background: 'rgba(255,255,255,0.1)', borderRadius: '8px', marginBottom: '24px', overflow: 'hidden', display: 'flex' }}>
+                            {/* Each member's share in their colour */}
+                            {progress.totalKm > 0 && progress.contributions.map(c => (
+                                <div key={c.profileId} style={{ height: '100%', width: `${Math.min(c.km, progress.totalKm) / progress.totalKm * 100}%`, background: profileById(c.profileId).color }} />
+                            ))}
+                        </div>
+
+                        <div style={{ display: 'flex', flexDirection: 'column', gap: '10px' }}>
+                            {progress.contributions.map(c => {
+                                const profile = profileById(c.profileId);
+                                const share = progress.currentKm > 0 ? c.km / Math.max(progress.currentKm, 1e-9) : 0;
+                                return (
+                                    <div key={c.profileId} style={{ display: 'flex', alignItems: 'center', gap: '12px' }}>
+                                        <div style={{ width: '36px', height: '36px', borderRadius: '50%', overflow: 'hidden', background: profile.color, flexShrink: 0 }}>
+                                            {profile.photo && <img src={thumbnailUrl(profile)} alt={profile.name} style={{ width: '100%', height: '100%', objectFit: 'cover' }} />}
+                                        </div>
+                                        <span style={{ flex: 1, textAlign: 'left', fontSize: '1.2rem' }}>{profile.name}</span>
+                                        <span style={{ fontSize: '1.2rem', fontWeight: 'bold' }}>{distance(c.km)}</span>
+                                        <span style={{ width: '50px', textAlign: 'right', color: 'var(--text-secondary)' }}>{Math.round(Math.min(share, 1) * 100)}%</span>
+                                    </div>
+                                );
+                            })}
+                        </div>
+
+                        {isFinished && (
+                            <button className="primary" onClick={() => setIsCelebrationOpen(true)} style={{ marginTop: '20px', width: '100%', display: 'flex', alignItems: 'center', justifyContent: 'center', gap: '10px' }}>
+                                <Trophy size={24} /> {t('teams.goalReached')}
+                            </button>
+                        )}
+                    </div>
+                </div>
+            )}
+
+            {/* Team Celebration */}
+            {showCelebration && (
+                <div style={{ position: 'fixed', top: 0, left: 0, right: 0, bottom: 0, zIndex: 3000, background: 'linear-gradient(135deg, #0f172a 0%, #1e293b 100%)', display: 'flex', flexDirection: 'column', alignItems: 'center', justifyContent: 'center', animation: 'fadeIn 0.5s ease' }}>
+                    <div style={{ position: 'absolute', top: 0, left: 0, width: '100%', height: '100%', overflow: 'hidden', pointerEvents: 'none' }}>
+                        <div style={{ position: 'absolute', top: '10%', left: '20%', fontSize: '4rem', animation: 'float 3s ease-in-out infinite' }}>🎉</div>
+                        <div style={{ position: 'absolute', top: '20%', right: '20%', fontSize: '5rem', animation: 'float 4s ease-in-out infinite reverse' }}>🎊</div>
+                        <div style={{ position: 'absolute', bottom: '30%', left: '10%', fontSize: '4rem', animation: 'float 5s ease-in-out infinite' }}>🤝</div>
+                        <div style={{ position: 'absolute', top: '15%', right: '10%', fontSize: '3rem', animation: 'float 3.5s ease-in-out infinite reverse' }}>🥳</div>
+                    </div>
+
+                    <div style={{ textAlign: 'center', maxWidth: '800px', padding: '40px', zIndex: 2 }}>
+                        <Flag size={120} style={{ marginBottom: '30px', filter: 'drop-shadow(0 0 15px rgba(239, 68, 68, 0.5))', color: '#ef4444' }} />
+                        <h1 style={{ fontSize: '4.5rem', margin: '0 0 20px 0', background: 'var(--brand-gradient)', WebkitBackgroundClip: 'text', WebkitTextFillColor: 'transparent', fontWeight: '800' }}>
+                            {t('teams.celebrationTitle')}
+                        </h1>
+                        <p style={{ fontSize: '1.8rem', color: 'var(--text-secondary)', marginBottom: '40px' }}>
+                            {t('teams.celebrationText', { team: team.name, distance: <span style={{ color: 'white' }}>{distance(progress.totalKm)}</span> })}
+                        </p>
+                        <div style={{ display: 'flex', justifyContent: 'center', gap: '30px', flexWrap: 'wrap', marginBottom: '50px' }}>
+                            {progress.contributions.map(c => {
+                                const profile = profileById(c.profileId);
+                                return (
+                                    <div key={c.profileId} style={{ display: 'flex', flexDirection: 'column', alignItems: 'center', gap: '8px' }}>
+                                        <div style={{ width: '80px', height: '80px', borderRadius: '50%', overflow: 'hidden', background: profile.color, border: `3px solid ${profile.color}`, boxShadow: `0 0 20px ${profile.color}60` }}>
+                                            {profile.photo && <img src={thumbnailUrl(profile)} alt={profile.name} style={{ width: '100%', height: '100%', objectFit: 'cover' }} />}
+                                        </div>
+                                        <span style={{ fontSize: '1.2rem', fontWeight: 'bold' }}>{profile.name}</span>
+                                        <span style={{ color: 'var(--text-secondary)' }}>{distance(c.km)}</span>
+                                    </div>
+                                );
+                            })}
+                        </div>
+                        <button
+                            onClick={closeCelebration}
+                            style={{ padding: '25px 40px', fontSize: '1.5rem', background: 'transparent', border: '1px solid rgba(255,255,255,0.2)', borderRadius: 'var(--radius-md)', color: 'var(--text-secondary)' }}
+                        >
+                            {t('common.backToMap')}
+                        </button>
+                    </div>
+                </div>
+            )}
+        </div>
+    );
+};
+
+export default TeamView
@@ -0,0 +1,55 @@
+import { ChevronUp, ChevronDown, X, MapPin, Flag } from 'lucide-react'
+import { useI18n } from '../i18n/context'
+
+const iconButtonStyle = {
+    padding: '6px',
+    background: 'transparent',
+    border: '1px solid rgba(255,255,255,0.1)',
+    display: 'flex',
+    alignItems: 'center'
+};
+
+const describePoint = (point) =>
+    point.label || `${point.lat.toFixed(4)}, ${point.lng.toFixed(4)}`;
+
+// Ordered list of start, stops and finish. Moving an entry past the first or
+// last position turns it into the new start or finish. With lockFirst the
+// first entry (e.g. the current position mid-journey) cannot be changed.
+const WaypointList = ({ points, legs, lockFirst, onMove, onRemove }) => {
+    const { t, distance } = useI18n();
+    return (
+        <div style={{ display: 'flex', flexDirection: 'column', gap: '6px', textAlign: 'left' }}>
+            {points.map((point, index) => {
+                const isStart = index === 0;
+                const isEnd = index === points.length - 1 && points.length > 1;
+                const isLocked = lockFirst && index === 0;
+                const canMoveUp = !isStart && !(lockFirst && index === 1);
+                const canMoveDown = !isLocked && index < points.length - 1;
+                return (
+                    <div key={`${point.lat},${point.lng},${index}`} style={{ display: 'flex', alignItems: 'center', gap: '10px' }}>
+                        <div style={{ width: '28px', display: 'flex', justifyContent: 'center', color: isEnd ? '#ef4444' : '#22d3ee' }}>
+                            {isStart ? <MapPin size={22} /> : isEnd ? <Flag size={22} /> : <span style={{ fontWeight: 'bold' }}>{index}</span>}
+                        </div>
+                        <div style={{ flex: 1, minWidth: 0 }}>
+                            <div style={{ overflow: 'hidden', textOverflow: 'ellipsis', whiteSpace: 'nowrap' }}>{describePoint(point)}</div>
+                            {index > 0 && legs && legs[index - 1] !== undefined && (
+                                <div style={{ fontSize: '0.85rem', color: 'var(--text-secondary)' }}>+{distance(legs[index - 1])}</div>
+                            )}
+                        </div>
+                        <button onClick={() => onMove(index, index - 1)} disabled={!canMoveUp} style={{ ...iconButtonStyle, opacity: canMoveUp ? 1 : 0.3 }} title={t('waypoints.up')}>
+                            <ChevronUp size={18} />
+                        </button>
+                        <button onClick={() => onMove(index, index + 1)} disabled={!canMoveDown} style={{ ...iconButtonStyle, opacity: canMoveDown ? 1 : 0.3 }} title={t('waypoints.down')}>
+                            <ChevronDown size={18} />
+                        </button>
+                        <button onClick={() => onRemove(index)} disabled={isLocked} style={{ ...iconButtonStyle, opacity: isLocked ? 0.3 : 1 }} title={t('common.remove')}>
+                            <X size={18} />
+                        </button>
+                    </div>
+                );
+            })}
+        </div>
+    );
+};
+
+export default WaypointList
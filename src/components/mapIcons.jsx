@@ -0,0 +1,50 @@
+import L from 'leaflet'
+import { renderToStaticMarkup } from 'react-dom/server'
+import { Flag, Bike } from 'lucide-react'
+
+// Custom Icons (Double Size for Accessibility)
+export const FinishIcon = L.divIcon({
+    html: renderToStaticMarkup(
+        <div style={{
+            color: '#ef4444',
+            background: 'white',
+            borderRadius: '50%',
+            width: '64px',
+            height: '64px',
+            display: 'flex',
+            alignItems: 'center',
+            justifyContent: 'center',
+            boxShadow: '0 8px 12px -2px rgba(0, 0, 0, 0.5)',
+            border: '4px solid #ef4444'
+        }}>
+            <Flag size={40} fill="#ef4444" />
+        </div>
+    ),
+    className: 'custom-div-icon',
+    iconSize: [64, 64],
+    iconAnchor: [32, 64],
+    popupAnchor: [0, -64]
+});
+
+export const CyclistIcon = L.divIcon({
+    html: renderToStaticMarkup(
+        <div style={{
+            color: '#22d3ee',
+            background: 'var(--bg-surface-solid)',
+            borderRadius: '50%',
+            width: '80px',
+            height: '80px',
+            display: 'flex',
+            alignItems: 'center',
+            justifyContent: 'center',
+            boxShadow: '0 0 30px rgba(34, 211, 238, 0.6)',
+            border: '4px solid #22d3ee'
+        }}>
+            <Bike size={48} />
+        </div>
+    ),
+    className: 'custom-div-icon',
+    iconSize: [80, 80],
+    iconAnchor: [40, 40],
+    popupAnchor: [0, -40]
+});
@@ -0,0 +1,145 @@
+import { haversineDistance, getPositionAlongPath } from './utils'
+
+// Elevation profile along a route: [{ km, ele }] samples, taken from the
+// routing provider when it returns heights, otherwise read from DEM tiles.
+//   VITE_DEM_TILES_URL  Terrarium encoded PNG tiles, e.g. a local tile server.
+//                       Defaults to the public AWS terrain tiles.
+const DEM_TILES_URL = import.meta.env.VITE_DEM_TILES_URL ||
+    'https://s3.amazonaws.com/elevation-tiles-prod/terrarium/{z}/{x}/{y}.png';
+const DEM_ZOOM = 11;
+const TILE_SIZE = 256;
+
+const MAX_SAMPLES = 400;
+const MIN_STEP_KM = 0.1;
+
+// Small ups and downs are mostly noise of the elevation data
+const ASCENT_THRESHOLD_M = 3;
+
+export const EVEREST_M = 8849;
+
+const sampleStep = (distanceKm) => Math.max(MIN_STEP_KM, distanceKm / MAX_SAMPLES);
+
+const cumulativeDistances = (path) => {
+    const distances = [0];
+    for (let i = 1; i < path.length; i++) {
+        distances.push(distances[i - 1] + haversineDistance(path[i - 1], path[i]));
+    }
+    return distances;
+};
+
+// Interpolates per-vertex heights at regular km steps
+export const sampleProviderElevations = (path, elevations) => {
+    const distances = cumulativeDistances(path);
+    const total = distances[distances.length - 1];
+    const step = sampleStep(total);
+    const samples = [];
+    let i = 0;
+
+    for (let km = 0; km <= total + 1e-9; km += step) {
+        while (i < distances.length - 2 && distances[i + 1] < km) i++;
+        const span = distances[i + 1] - distances[i];
+        const ratio = span > 0 ? (km - distances[i]) / span : 0;
+        samples.push({ km, ele: elevations[i] + (elevations[i + 1] - elevations[i]) * Math.min(1, ratio) });
+    }
+    if (samples[samples.length - 1].km < total) {
+        samples.push({ km: total, ele: elevations[elevations.length - 1] });
+    }
+    return samples;
+};
+
+// --- DEM tiles ---
+
+const tileCache = new Map();
+
+const loadTile = (z, x, y) => {
+    const key = `${z}/${x}/${y}`;
+    if (!tileCache.has(key)) {
+        const url = DEM_TILES_URL.replace('{z}', z).replace('{x}', x).replace('{y}', y);
+        tileCache.set(key, new Promise((resolve, reject) => {
+            const img = new Image();
+            img.crossOrigin = 'anonymous';
+            const fail = (error) => {
+                tileCache.delete(key);
+                reject(error);
+            };
+            img.onload = () => {
+                // getImageData throws on a tainted canvas, e.g. when the tile
+                // host stops sending CORS headers
+                try {
+                    const canvas = document.createElement('canvas');
+                    canvas.width = TILE_SIZE;
+                    canvas.height = TILE_SIZE;
+                    const ctx = canvas.getContext('2d');
+                    ctx.drawImage(img, 0, 0);
+                    resolve(ctx.getImageData(0, 0, TILE_SIZE, TILE_SIZE).data);
+                } catch (error) {
+                    fail(error);
+                }
+            };
+            img.onerror = () => fail(new Error(`DEM tile ${key} could not be loaded`));
+            img.src = url;
+        }));
+    }
+    return tileCache.get(key);
+};
+
+const readDemElevation = async ({ lat, lng }) => {
+    const scale = 2 ** DEM_ZOOM;
+    const x = (lng + 180) / 360 * scale;
+    const latRad = lat * Math.PI / 180;
+    const y = (1 - Math.log(Math.tan(latRad) + 1 / Math.cos(latRad)) / Math.PI) / 2 * scale;
+
+    const pixels = await loadTile(DEM_ZOOM, Math.floor(x), Math.floor(y));
+    const px = Math.min(TILE_SIZE - 1, Math.floor((x % 1) * TILE_SIZE));
+    const py = Math.min(TILE_SIZE - 1, Math.floor((y % 1) * TILE_SIZE));
+    const idx = (py * TILE_SIZE + px) * 4;
+
+    // Terrarium encoding
+    return pixels[idx] * 256 + pixels[idx + 1] + pixels[idx + 2] / 256 - 32768;
+};
+
+export const sampleDemElevations = async (path, distanceKm) => {
+    const step = sampleStep(distanceKm);
+    const kms = [];
+    for (let km = 0; km <= distanceKm + 1e-9; km += step) kms.push(km);
+
+    const heights = await Promise.all(kms.map(km => readDemElevation(getPositionAlongPath(path, km))));
+    return kms.map((km, i) => ({ km, ele: heights[i] }));
+};
+
+export const buildElevationProfile = async (path, elevations) => {
+    if (!path || path.length < 2) return [];
+    if (elevations && elevations.length === path.length && elevations.every(e => typeof e === 'number')) {
+        return sampleProviderElevations(path, elevations);
+    }
+    const distances = cumulativeDistances(path);
+    return sampleDemElevations(path, distances[distances.length - 1]);
+};
+
+// --- Climbing ---
+
+// Ascent in metres between two km positions of the profile
+export const ascentBetween = (profile, fromKm, toKm) => {
+    let gain = 0;
+    let reference = null;
+    for (const { km, ele } of profile || []) {
+        if (km < fromKm || km > toKm) continue;
+        if (reference === null) {
+            reference = ele;
+        } else if (ele - reference >= ASCENT_THRESHOLD_M) {
+            gain += ele - reference;
+            reference = ele;
+        } else if (reference - ele >= ASCENT_THRESHOLD_M) {
+            reference = ele;
+        }
+    }
+    return gain;
+};
+
+export const climbingProgress = (profile, currentKm) => {
+    if (!profile || profile.length === 0) return null;
+    const lastKm = profile[profile.length - 1].km;
+    const done = ascentBetween(profile, 0, currentKm);
+    const total = ascentBetween(profile, 0, lastKm);
+    return { done, total, remaining: Math.max(0, total - done) };
+};
@@ -0,0 +1,54 @@
+import { sumKm, toLocalIsoDate } from './rides'
+import { startOfWeek, startOfMonth } from './stats'
+
+// Weekly or monthly km target of a profile: { period: 'week' | 'month', km, since }.
+// since is the first period the goal counts for, earlier ones are not judged.
+
+// Labels are under goals.<period> in the dictionaries (src/i18n)
+export const GOAL_PERIODS = ['week', 'month'];
+
+export const periodStart = (period, date = new Date()) =>
+    period === 'month' ? startOfMonth(date) : startOfWeek(date);
+
+const nextPeriodStart = (period, isoDate) => {
+    const date = new Date(`${isoDate}T12:00:00`);
+    if (period === 'month') return toLocalIsoDate(new Date(date.getFullYear(), date.getMonth() + 1, 1));
+    date.setDate(date.getDate() + 7);
+    return toLocalIsoDate(date);
+};
+
+// Changing only the km keeps the history, a new period starts over
+export const createGoal = ({ period, km }, previous) => ({
+    period,
+    km: Number(km),
+    since: previous && previous.period === period ? previous.since : periodStart(period)
+});
+
+// Every period since the goal was set, oldest first
+export const goalPeriods = (rides, goal, now = new Date()) => {
+    if (!goal || !(goal.km > 0)) return [];
+    const current = periodStart(goal.period, now);
+    const periods = [];
+    for (let start = goal.since; start <= current; start = nextPeriodStart(goal.period, start)) {
+        const end = nextPeriodStart(goal.period, start);
+        const km = sumKm((rides || []).filter(r => r.date >= start && r.date < end));
+        periods.push({ start, end, km, met: km >= goal.km, isCurrent: start === current });
+    }
+    return periods;
+};
+
+// Streaks of periods with the goal met. The running period only breaks the
+// streak once it is over.
+export const goalStreaks = (periods) => {
+    let current = 0;
+    let longest = 0;
+    for (const period of periods) {
+        if (period.met) {
+            current++;
+            longest = Math.max(longest, current);
+        } else if (!period.isCurrent) {
+            current = 0;
+        }
+    }
+    return { current, longest };
+};
@@ -0,0 +1,40 @@
+import { useState, useEffect, useMemo } from 'react'
+import { I18nContext } from './context'
+import { createI18n, detectLanguage, LANGUAGES } from './index'
+
+const STORAGE_KEY = 'cyclingMotivator.language';
+
+const storedLanguage = () => {
+    const stored = localStorage.getItem(STORAGE_KEY);
+    return LANGUAGES[stored] ? stored : detectLanguage();
+};
+
+// The device language applies until a profile is picked, then the profile's
+// own language (if it chose one) and units take over
+const I18nProvider = ({ children }) => {
+    const [deviceLanguage, setDeviceLanguageState] = useState(storedLanguage);
+    const [profile, setProfile] = useState(null);
+
+    const language = (profile && profile.language) || deviceLanguage;
+    const units = profile && profile.units;
+    const value = useMemo(
+        () => ({
+            ...createI18n({ language, units }),
+            deviceLanguage,
+            setDeviceLanguage: (code) => {
+                localStorage.setItem(STORAGE_KEY, code);
+                setDeviceLanguageState(code);
+            },
+            setProfile
+        }),
+        [language, units, deviceLanguage]
+    );
+
+    useEffect(() => {
+        document.documentElement.lang = value.language;
+    }, [value.language]);
+
+    return <I18nContext.Provider value={value}>{children}</I18nContext.Provider>;
+};
+
+export default I18nProvider
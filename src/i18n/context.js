@@ -0,0 +1,7 @@
+import { createContext, useContext } from 'react'
+import { createI18n } from './index'
+
+// Falls back to German and km outside of the provider
+export const I18nContext = createContext(createI18n());
+
+export const useI18n = () => useContext(I18nContext);
@@ -0,0 +1,306 @@
+// German texts, also the fallback for keys missing in other languages
+export default {
+    units: {
+        climb: 'hm'
+    },
+    common: {
+        apply: 'Übernehmen',
+        back: 'Zurück',
+        backToMap: 'Zurück zur Karte',
+        calculating: 'Berechne...',
+        cancel: 'Abbrechen',
+        create: 'Erstellen',
+        currentPosition: 'Aktuelle Position',
+        days: { one: '{count} Tag', other: '{count} Tage' },
+        delete: 'Löschen',
+        edit: 'Bearbeiten',
+        finish: 'Ziel',
+        quoted: '„{text}“',
+        remove: 'Entfernen',
+        rides: { one: '{count} Fahrt', other: '{count} Fahrten' },
+        routingFailed: 'Routenberechnung fehlgeschlagen ({error}). Nutze Luftlinie.',
+        save: 'Speichern',
+        tapFinish: 'Tippe auf die Karte, um das ZIEL zu setzen',
+        tapStart: 'Tippe auf die Karte, um den START zu setzen'
+    },
+    errors: {
+        alreadyImported: '{file}: wurde bereits importiert',
+        fitCorrupt: 'FIT-Datei ist beschädigt',
+        fitTooShort: 'FIT-Datei ist zu kurz',
+        invalidXml: 'Datei ist kein gültiges XML',
+        noActivity: 'Keine Aktivität gefunden',
+        noDistance: 'Keine Distanz in der Datei gefunden',
+        notFit: 'Keine gültige FIT-Datei',
+        noTrackpoints: 'Keine Trackpunkte gefunden',
+        photoResize: 'Das Bild konnte nicht verkleinert werden',
+        photoUnreadable: 'Das Bild konnte nicht gelesen werden',
+        unsupportedType: 'Dateityp .{format} wird nicht unterstützt'
+    },
+    profiles: {
+        adminPin: 'Admin-PIN',
+        changeAdminPin: 'Admin-PIN ändern',
+        confirmDelete: 'Wirklich löschen? Alle Daten gehen verloren.',
+        confirmRemoveAdminPin: 'Admin-PIN wirklich entfernen?',
+        editTitle: 'Profil bearbeiten',
+        language: 'Sprache',
+        languageDevice: 'Wie das Gerät',
+        leaderboard: 'Bestenliste',
+        name: 'Name',
+        namePlaceholder: 'Name eingeben...',
+        new: 'Neu',
+        newAdminPin: 'Neue Admin-PIN',
+        newTitle: 'Neuer Fahrer',
+        photo: 'Foto (Optional)',
+        pin: 'PIN (Optional, 4 bis 8 Ziffern)',
+        pinKeep: 'Leer lassen, um die PIN zu behalten',
+        pinNone: 'Keine PIN',
+        pinRemove: 'PIN entfernen',
+        removeAdminPin: 'Admin-PIN entfernen',
+        setAdminPin: 'Admin-PIN festlegen',
+        subtitle: 'Wähle dein Profil',
+        title: 'Wer fährt heute?',
+        unitNames: {
+            metric: 'Kilometer',
+            imperial: 'Meilen'
+        },
+        units: 'Einheiten',
+        uploadPhoto: 'Bild hochladen'
+    },
+    teams: {
+        celebrationText: '{team} hat gemeinsam {distance} geschafft!',
+        celebrationTitle: 'TEAM-ZIEL ERREICHT!',
+        confirmDelete: 'Team wirklich löschen? Die Fahrten der Mitglieder bleiben erhalten.',
+        confirmReset: 'Team-Route wirklich beenden?',
+        editTitle: 'Team bearbeiten',
+        everyKmCounts: {
+            metric: 'Jeder Kilometer aus dem Team zählt!',
+            imperial: 'Jede Meile aus dem Team zählt!'
+        },
+        goalReached: 'Team-Ziel erreicht!',
+        heading: 'Gemeinsam fahren',
+        journey: '{distance} Team-Reise',
+        members: 'Mitglieder',
+        name: 'Teamname',
+        namePlaceholder: 'z.B. Familie, Büro...',
+        new: 'Neues Team',
+        noRoute: 'Noch keine Team-Route',
+        reset: 'Beenden / Reset',
+        start: 'Team-Reise starten',
+        tapStops: 'Weitere Klicks fügen Zwischenstopps hinzu'
+    },
+    leaderboard: {
+        week: 'Diese Woche',
+        month: 'Dieser Monat',
+        total: 'Gesamt',
+        route: 'Route',
+        streak: 'Serie'
+    },
+    main: {
+        calculatingRoute: 'Route wird berechnet...',
+        changeRoute: 'Route ändern',
+        done: 'Fertig',
+        export: 'Reise exportieren',
+        journeys: 'Meine Reisen',
+        keepGoing: {
+            metric: 'Bleib dran! Jeder Kilometer zählt.',
+            imperial: 'Bleib dran! Jede Meile zählt.'
+        },
+        offline: 'Offline – Fahrten werden gespeichert, sobald wieder eine Verbindung besteht',
+        pause: 'Pausieren',
+        pauseHint: 'Die Reise wird in „Meine Reisen“ aufgehoben',
+        queueStages: 'Etappen vormerken',
+        ready: 'Bereit! Gesamtstrecke: {distance}',
+        replay: 'Reise abspielen',
+        reset: 'Zurücksetzen',
+        startTracking: 'Eintragung starten',
+        stats: 'Statistik',
+        switchRider: 'Benutzer wechseln',
+        syncing: 'Änderungen werden gespeichert...',
+        tapDetour: 'Tippe auf die Karte, um einen Umweg hinzuzufügen',
+        tapNewFinish: 'Tippe auf die Karte, um das neue ZIEL zu setzen',
+        tapQueue: 'Tippe auf die Karte, um weitere ETAPPENZIELE vorzumerken'
+    },
+    queue: {
+        empty: 'Noch keine Etappenziele vorgemerkt.',
+        hint: 'Nach dem Ziel geht es von dort zum nächsten vorgemerkten Ort weiter. Übrige Kilometer werden mitgenommen.',
+        title: 'Nächste Etappen'
+    },
+    route: {
+        climb: '{elevation} Anstieg',
+        elevationGoalPlaceholder: 'Höhenmeter-Ziel (optional)',
+        hint: 'Tippe auf die Karte oder suche einen Ort, um Zwischenstopps hinzuzufügen. Marker lassen sich verschieben.',
+        title: 'Route'
+    },
+    bikeProfiles: {
+        road: 'Rennrad',
+        trekking: 'Trekking',
+        mtb: 'MTB'
+    },
+    reroute: {
+        apply: 'Übernehmen',
+        hint: 'Deine {distance} bleiben erhalten. Es geht von deiner aktuellen Position aus weiter.'
+    },
+    tracking: {
+        distance: 'Distanz',
+        progress: 'Fortschritt',
+        stage: 'Etappe {number}',
+        streetView: 'Umgebung ansehen (Street View)',
+        totalRidden: 'Insgesamt gefahren: {distance}'
+    },
+    goals: {
+        edit: 'Ziel ändern',
+        emptyRemoves: 'Leer lassen, um das Ziel zu entfernen',
+        month: {
+            label: 'Monatsziel',
+            unit: { one: '{count} Monat', other: '{count} Monate' }
+        },
+        record: 'Rekord: {value}',
+        set: 'Wochen- oder Monatsziel setzen',
+        streak: 'Serie: {value}',
+        week: {
+            label: 'Wochenziel',
+            unit: { one: '{count} Woche', other: '{count} Wochen' }
+        }
+    },
+    elevationGoal: {
+        title: 'Höhenmeter-Ziel'
+    },
+    elevationProfile: {
+        climbed: 'Anstieg geschafft: {elevation}',
+        remaining: 'noch {elevation}'
+    },
+    milestones: {
+        add: 'Eigenen Meilenstein hinzufügen',
+        border: 'Grenze {from} → {to}',
+        in: 'in {distance}',
+        kmPlaceholder: 'bei {unit}',
+        namePlaceholder: 'Name, z.B. Bei Oma',
+        next: 'Nächste Meilensteine',
+        none: 'Keine Orte mehr bis zum Ziel',
+        remove: 'Meilenstein entfernen'
+    },
+    input: {
+        add: '{unit} hinzufügen...',
+        duration: 'Dauer (min)',
+        elevationProfile: 'Höhenprofil anzeigen',
+        import: 'GPX-, TCX- oder FIT-Datei importieren (oder hierher ziehen)',
+        note: 'Notiz (optional)',
+        rideLog: 'Fahrten anzeigen',
+        submit: 'Dazu'
+    },
+    celebration: {
+        carryOver: '{distance} nimmst du in die nächste Etappe mit.',
+        closer: 'Du kommst deinem Ziel näher.',
+        continueTo: 'Weiter nach {place}',
+        continueToNext: 'Weiter nach nächstem Etappenziel',
+        continueTour: 'Tour fortsetzen',
+        crossed: '{name} überquert!',
+        doneRemaining: '{done} geschafft, {remaining} verbleibend!',
+        elevationGoal: 'Höhenmeter-Ziel erreicht: {elevation} geklettert!',
+        enjoyView: 'Aussicht genießen',
+        fantastic: 'Eine fantastische Leistung.',
+        finished: 'ZIEL ERREICHT!',
+        newBadge: 'Neues Abzeichen!',
+        onTheWay: 'Unterwegs: {places}',
+        planNew: 'Neue Route planen',
+        quote: '"Es wird nicht leichter, du wirst nur schneller."',
+        reached: 'Du hast {name} erreicht!',
+        toFinish: '{distance} bis zum Ziel.',
+        wellDone: 'Gut gemacht!',
+        wholeRoute: 'Du hast die gesamte Strecke von {distance} gemeistert!'
+    },
+    achievements: {
+        'first-ride': { title: 'Losgefahren', description: 'Die erste Fahrt eingetragen' },
+        'km-100': { title: '100 km', description: 'Insgesamt 100 km gefahren' },
+        'km-1000': { title: '1000 km', description: 'Insgesamt 1000 km gefahren' },
+        'streak-7': { title: '7-Tage-Serie', description: 'Sieben Tage hintereinander gefahren' },
+        weekend: { title: 'Wochenendausflug', description: 'An einem Samstag oder Sonntag gefahren' },
+        'long-route': { title: 'Langstrecke', description: 'Eine Route über 500 km beendet' },
+        border: { title: 'Grenzgänger', description: 'Eine Landesgrenze überquert' },
+        everest: { title: 'Everest', description: '{elevation} gesammelt' }
+    },
+    map: {
+        finishPopup: 'Ziel (Zum Entfernen klicken)',
+        layers: {
+            dark: 'Dunkel',
+            light: 'Hell',
+            rides: 'Fahrten einzeln',
+            satellite: 'Satellit'
+        },
+        queued: 'Etappenziel {number}',
+        search: 'Suche nach Orten...',
+        startPopup: 'Start (Zum Entfernen klicken)',
+        stop: 'Zwischenstopp {number}',
+        stopPopup: '{name} (Zum Entfernen klicken)',
+        youAreHere: 'Du bist hier!'
+    },
+    waypoints: {
+        down: 'Nach unten',
+        up: 'Nach oben'
+    },
+    rideLog: {
+        confirmDelete: 'Fahrt wirklich löschen?',
+        empty: 'Noch keine Fahrten eingetragen.',
+        goalMet: 'Ziel erreicht: {done} / {goal}',
+        goalMissed: 'Ziel verfehlt: {done} / {goal}',
+        note: 'Notiz',
+        weekFrom: 'Woche ab {date}'
+    },
+    stats: {
+        arrival: 'Voraussichtliche Ankunft',
+        arrivalDetail: '{place} bei {distance} pro Tag (letzte 4 Wochen)',
+        arrived: 'Angekommen',
+        bestWeek: 'Beste Woche',
+        cumulative: 'Gesamtstrecke im Verlauf',
+        distancePer: {
+            day: { metric: 'Kilometer pro Tag', imperial: 'Meilen pro Tag' },
+            week: { metric: 'Kilometer pro Woche', imperial: 'Meilen pro Woche' },
+            month: { metric: 'Kilometer pro Monat', imperial: 'Meilen pro Monat' }
+        },
+        from: 'ab {date}',
+        noCurve: 'Ab zwei Fahrtagen gibt es hier eine Kurve.',
+        noRecentRides: 'In den letzten 4 Wochen keine Fahrten',
+        noRoute: 'Keine aktive Route',
+        perRide: 'Ø pro Fahrt',
+        periods: {
+            day: 'Tage',
+            week: 'Wochen',
+            month: 'Monate'
+        },
+        title: 'Statistik – {name}',
+        total: 'Gesamt'
+    },
+    journeys: {
+        confirmDelete: '„{title}“ wirklich aus der Bibliothek löschen? Die Fahrten bleiben im Fahrtenbuch.',
+        days: { one: '{count} Tag', other: '{count} Tagen' },
+        finishedOn: 'Ziel erreicht am {date}',
+        noPaused: 'Keine pausierten Reisen. Mit „Pausieren“ auf der Karte landet die aktive Reise hier.',
+        noTrophies: 'Noch keine abgeschlossene Reise. Jede Route, die du ins Ziel bringst, bekommt hier ihren Platz.',
+        paused: 'Pausiert',
+        pausedOn: 'pausiert am {date}',
+        replay: 'Abspielen',
+        resume: 'Fortsetzen',
+        riddenOf: '{ridden} von {total}',
+        ridesOnDays: '{rides} an {days}',
+        since: 'seit {date}',
+        title: 'Meine Reisen – {name}',
+        trophyWall: 'Trophäenwand'
+    },
+    replay: {
+        back: 'Zurück (Esc)',
+        follow: 'Kamera folgt dem Radler',
+        noRides: 'Für diese Reise gibt es noch keine Fahrten.',
+        pause: 'Pause (Leertaste)',
+        play: 'Abspielen (Leertaste)',
+        rideOf: 'Fahrt {number} von {count}',
+        timeline: 'Zeitleiste'
+    },
+    photo: {
+        title: 'Bildausschnitt wählen'
+    },
+    pin: {
+        digits: '4 bis 8 Ziffern',
+        failed: 'PIN konnte nicht geprüft werden',
+        wrong: 'Falsche PIN'
+    }
+};
@@ -0,0 +1,305 @@
+export default {
+    units: {
+        climb: 'm'
+    },
+    common: {
+        apply: 'Apply',
+        back: 'Back',
+        backToMap: 'Back to the map',
+        calculating: 'Calculating...',
+        cancel: 'Cancel',
+        create: 'Create',
+        currentPosition: 'Current position',
+        days: { one: '{count} day', other: '{count} days' },
+        delete: 'Delete',
+        edit: 'Edit',
+        finish: 'Finish',
+        quoted: '“{text}”',
+        remove: 'Remove',
+        rides: { one: '{count} ride', other: '{count} rides' },
+        routingFailed: 'Route calculation failed ({error}). Using a straight line.',
+        save: 'Save',
+        tapFinish: 'Tap the map to set the FINISH',
+        tapStart: 'Tap the map to set the START'
+    },
+    errors: {
+        alreadyImported: '{file}: has already been imported',
+        fitCorrupt: 'FIT file is corrupt',
+        fitTooShort: 'FIT file is too short',
+        invalidXml: 'File is not valid XML',
+        noActivity: 'No activity found',
+        noDistance: 'No distance found in the file',
+        notFit: 'Not a valid FIT file',
+        noTrackpoints: 'No track points found',
+        photoResize: 'The picture could not be resized',
+        photoUnreadable: 'The picture could not be read',
+        unsupportedType: 'File type .{format} is not supported'
+    },
+    profiles: {
+        adminPin: 'Admin PIN',
+        changeAdminPin: 'Change admin PIN',
+        confirmDelete: 'Really delete? All data will be lost.',
+        confirmRemoveAdminPin: 'Really remove the admin PIN?',
+        editTitle: 'Edit profile',
+        language: 'Language',
+        languageDevice: 'Same as device',
+        leaderboard: 'Leaderboard',
+        name: 'Name',
+        namePlaceholder: 'Enter a name...',
+        new: 'New',
+        newAdminPin: 'New admin PIN',
+        newTitle: 'New rider',
+        photo: 'Photo (optional)',
+        pin: 'PIN (optional, 4 to 8 digits)',
+        pinKeep: 'Leave empty to keep the PIN',
+        pinNone: 'No PIN',
+        pinRemove: 'Remove PIN',
+        removeAdminPin: 'Remove admin PIN',
+        setAdminPin: 'Set admin PIN',
+        subtitle: 'Choose your profile',
+        title: 'Who is riding today?',
+        unitNames: {
+            metric: 'Kilometres',
+            imperial: 'Miles'
+        },
+        units: 'Units',
+        uploadPhoto: 'Upload picture'
+    },
+    teams: {
+        celebrationText: '{team} made {distance} together!',
+        celebrationTitle: 'TEAM GOAL REACHED!',
+        confirmDelete: 'Really delete the team? The members keep their rides.',
+        confirmReset: 'Really end the team route?',
+        editTitle: 'Edit team',
+        everyKmCounts: {
+            metric: 'Every kilometre from the team counts!',
+            imperial: 'Every mile from the team counts!'
+        },
+        goalReached: 'Team goal reached!',
+        heading: 'Ride together',
+        journey: '{distance} team journey',
+        members: 'Members',
+        name: 'Team name',
+        namePlaceholder: 'e.g. family, office...',
+        new: 'New team',
+        noRoute: 'No team route yet',
+        reset: 'End / reset',
+        start: 'Start team journey',
+        tapStops: 'Further taps add stops'
+    },
+    leaderboard: {
+        week: 'This week',
+        month: 'This month',
+        total: 'Total',
+        route: 'Route',
+        streak: 'Streak'
+    },
+    main: {
+        calculatingRoute: 'Calculating route...',
+        changeRoute: 'Change route',
+        done: 'Done',
+        export: 'Export journey',
+        journeys: 'My journeys',
+        keepGoing: {
+            metric: 'Keep going! Every kilometre counts.',
+            imperial: 'Keep going! Every mile counts.'
+        },
+        offline: 'Offline – rides will be saved as soon as there is a connection again',
+        pause: 'Pause',
+        pauseHint: 'The journey is kept in “My journeys”',
+        queueStages: 'Plan next stages',
+        ready: 'Ready! Total distance: {distance}',
+        replay: 'Replay journey',
+        reset: 'Reset',
+        startTracking: 'Start logging',
+        stats: 'Statistics',
+        switchRider: 'Switch rider',
+        syncing: 'Saving changes...',
+        tapDetour: 'Tap the map to add a detour',
+        tapNewFinish: 'Tap the map to set the new FINISH',
+        tapQueue: 'Tap the map to plan further STAGE FINISHES'
+    },
+    queue: {
+        empty: 'No stage finishes planned yet.',
+        hint: 'After the finish the journey continues from there to the next planned place. Leftover distance is carried over.',
+        title: 'Next stages'
+    },
+    route: {
+        climb: '{elevation} of climbing',
+        elevationGoalPlaceholder: 'Climbing goal (optional)',
+        hint: 'Tap the map or search for a place to add stops. Markers can be dragged.',
+        title: 'Route'
+    },
+    bikeProfiles: {
+        road: 'Road bike',
+        trekking: 'Trekking',
+        mtb: 'MTB'
+    },
+    reroute: {
+        apply: 'Apply',
+        hint: 'Your {distance} are kept. The journey continues from your current position.'
+    },
+    tracking: {
+        distance: 'Distance',
+        progress: 'Progress',
+        stage: 'Stage {number}',
+        streetView: 'Look around (Street View)',
+        totalRidden: 'Ridden in total: {distance}'
+    },
+    goals: {
+        edit: 'Change goal',
+        emptyRemoves: 'Leave empty to remove the goal',
+        month: {
+            label: 'Monthly goal',
+            unit: { one: '{count} month', other: '{count} months' }
+        },
+        record: 'Record: {value}',
+        set: 'Set a weekly or monthly goal',
+        streak: 'Streak: {value}',
+        week: {
+            label: 'Weekly goal',
+            unit: { one: '{count} week', other: '{count} weeks' }
+        }
+    },
+    elevationGoal: {
+        title: 'Climbing goal'
+    },
+    elevationProfile: {
+        climbed: 'Climbed: {elevation}',
+        remaining: '{elevation} to go'
+    },
+    milestones: {
+        add: 'Add your own milestone',
+        border: 'Border {from} → {to}',
+        in: 'in {distance}',
+        kmPlaceholder: 'at {unit}',
+        namePlaceholder: 'Name, e.g. At grandma’s',
+        next: 'Next milestones',
+        none: 'No more places before the finish',
+        remove: 'Remove milestone'
+    },
+    input: {
+        add: 'Add {unit}...',
+        duration: 'Duration (min)',
+        elevationProfile: 'Show elevation profile',
+        import: 'Import a GPX, TCX or FIT file (or drop it here)',
+        note: 'Note (optional)',
+        rideLog: 'Show rides',
+        submit: 'Add'
+    },
+    celebration: {
+        carryOver: 'You take {distance} with you into the next stage.',
+        closer: 'You are getting closer to your goal.',
+        continueTo: 'On to {place}',
+        continueToNext: 'On to the next stage finish',
+        continueTour: 'Continue the tour',
+        crossed: '{name} crossed!',
+        doneRemaining: '{done} done, {remaining} to go!',
+        elevationGoal: 'Climbing goal reached: {elevation} climbed!',
+        enjoyView: 'Enjoy the view',
+        fantastic: 'A fantastic achievement.',
+        finished: 'FINISH REACHED!',
+        newBadge: 'New badge!',
+        onTheWay: 'On the way: {places}',
+        planNew: 'Plan a new route',
+        quote: '"It never gets easier, you just go faster."',
+        reached: 'You have reached {name}!',
+        toFinish: '{distance} to the finish.',
+        wellDone: 'Well done!',
+        wholeRoute: 'You have mastered the whole route of {distance}!'
+    },
+    achievements: {
+        'first-ride': { title: 'Off we go', description: 'Logged the first ride' },
+        'km-100': { title: '100 km', description: 'Rode 100 km in total' },
+        'km-1000': { title: '1000 km', description: 'Rode 1000 km in total' },
+        'streak-7': { title: '7-day streak', description: 'Rode seven days in a row' },
+        weekend: { title: 'Weekend trip', description: 'Rode on a Saturday or Sunday' },
+        'long-route': { title: 'Long distance', description: 'Finished a route of more than 500 km' },
+        border: { title: 'Border crosser', description: 'Crossed a national border' },
+        everest: { title: 'Everest', description: 'Climbed {elevation}' }
+    },
+    map: {
+        finishPopup: 'Finish (click to remove)',
+        layers: {
+            dark: 'Dark',
+            light: 'Light',
+            rides: 'Single rides',
+            satellite: 'Satellite'
+        },
+        queued: 'Stage finish {number}',
+        search: 'Search for places...',
+        startPopup: 'Start (click to remove)',
+        stop: 'Stop {number}',
+        stopPopup: '{name} (click to remove)',
+        youAreHere: 'You are here!'
+    },
+    waypoints: {
+        down: 'Move down',
+        up: 'Move up'
+    },
+    rideLog: {
+        confirmDelete: 'Really delete the ride?',
+        empty: 'No rides logged yet.',
+        goalMet: 'Goal reached: {done} / {goal}',
+        goalMissed: 'Goal missed: {done} / {goal}',
+        note: 'Note',
+        weekFrom: 'Week of {date}'
+    },
+    stats: {
+        arrival: 'Expected arrival',
+        arrivalDetail: '{place} at {distance} per day (last 4 weeks)',
+        arrived: 'Arrived',
+        bestWeek: 'Best week',
+        cumulative: 'Total distance over time',
+        distancePer: {
+            day: { metric: 'Kilometres per day', imperial: 'Miles per day' },
+            week: { metric: 'Kilometres per week', imperial: 'Miles per week' },
+            month: { metric: 'Kilometres per month', imperial: 'Miles per month' }
+        },
+        from: 'from {date}',
+        noCurve: 'A curve appears here after two days of riding.',
+        noRecentRides: 'No rides in the last 4 weeks',
+        noRoute: 'No active route',
+        perRide: 'Ø per ride',
+        periods: {
+            day: 'Days',
+            week: 'Weeks',
+            month: 'Months'
+        },
+        title: 'Statistics – {name}',
+        total: 'Total'
+    },
+    journeys: {
+        confirmDelete: 'Really delete “{title}” from the library? The rides stay in the ride log.',
+        days: { one: '{count} day', other: '{count} days' },
+        finishedOn: 'Finished on {date}',
+        noPaused: 'No paused journeys. “Pause” on the map puts the active journey here.',
+        noTrophies: 'No finished journey yet. Every route you bring home gets its place here.',
+        paused: 'Paused',
+        pausedOn: 'paused on {date}',
+        replay: 'Replay',
+        resume: 'Resume',
+        riddenOf: '{ridden} of {total}',
+        ridesOnDays: '{rides} on {days}',
+        since: 'since {date}',
+        title: 'My journeys – {name}',
+        trophyWall: 'Trophy wall'
+    },
+    replay: {
+        back: 'Back (Esc)',
+        follow: 'Camera follows the rider',
+        noRides: 'There are no rides for this journey yet.',
+        pause: 'Pause (space)',
+        play: 'Play (space)',
+        rideOf: 'Ride {number} of {count}',
+        timeline: 'Timeline'
+    },
+    photo: {
+        title: 'Choose the picture section'
+    },
+    pin: {
+        digits: '4 to 8 digits',
+        failed: 'The PIN could not be checked',
+        wrong: 'Wrong PIN'
+    }
+};
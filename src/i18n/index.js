@@ -0,0 +1,99 @@
+import { createElement, Fragment } from 'react'
+import de from './de'
+import en from './en'
+
+// Translations and units. Messages are looked up by dotted keys
+// ('main.startTracking') and may contain {placeholders}. A message can also be
+// { one, other } (picked by the count parameter) or { metric, imperial }
+// (picked by the unit setting). Distances are always stored in km and
+// elevation in m, only what is shown and typed in is converted.
+
+export const LANGUAGES = {
+    de: { name: 'Deutsch', locale: 'de-AT', messages: de },
+    en: { name: 'English', locale: 'en-GB', messages: en }
+};
+
+export const DEFAULT_LANGUAGE = 'de';
+export const UNITS = ['metric', 'imperial'];
+
+const KM_PER_MILE = 1.609344;
+const M_PER_FOOT = 0.3048;
+
+// First supported language of the browser, German otherwise
+export const detectLanguage = () => {
+    const preferred = typeof navigator === 'undefined' ? [] : navigator.languages || [navigator.language];
+    const match = preferred.map(tag => (tag || '').slice(0, 2).toLowerCase()).find(code => LANGUAGES[code]);
+    return match || DEFAULT_LANGUAGE;
+};
+
+const lookup = (messages, key) => key.split('.').reduce((node, part) => node && node[part], messages);
+
+// 'YYYY-MM-DD' at noon, so time zones can't move it to another day
+const toDate = (value) => typeof value === 'string' && value.length === 10 ? new Date(`${value}T12:00:00`) : new Date(value);
+
+export const createI18n = ({ language, units } = {}) => {
+    const code = LANGUAGES[language] ? language : DEFAULT_LANGUAGE;
+    const { locale, messages } = LANGUAGES[code];
+    const imperial = units === 'imperial';
+    const plurals = new Intl.PluralRules(locale);
+    const numberFormats = new Map();
+    const regionNames = new Intl.DisplayNames([locale], { type: 'region' });
+
+    const resolve = (key, params) => {
+        let message = lookup(messages, key);
+        if (message === undefined) message = lookup(de, key);
+        if (message && typeof message === 'object' && 'metric' in message) message = message[imperial ? 'imperial' : 'metric'];
+        if (message && typeof message === 'object') message = message[plurals.select(params.count)] ?? message.other;
+        return typeof message === 'string' ? message : key;
+    };
+
+    // Strings stay strings; elements as parameters (e.g. a highlighted
+    // number) turn the message into a fragment
+    const t = (key, params = {}) => {
+        const parts = resolve(key, params).split(/\{(\w+)\}/).map((part, i) =>
+            i % 2 === 0 ? part : params[part] ?? `{${part}}`
+        );
+        const isText = parts.every(part => typeof part === 'string' || typeof part === 'number');
+        return isText ? parts.join('') : createElement(Fragment, null, ...parts);
+    };
+
+    const number = (value, digits = 0) => {
+        if (!numberFormats.has(digits)) {
+            numberFormats.set(digits, new Intl.NumberFormat(locale, { minimumFractionDigits: digits, maximumFractionDigits: digits }));
+        }
+        return numberFormats.get(digits).format(value);
+    };
+
+    const distanceUnit = imperial ? 'mi' : 'km';
+    const distanceValue = (km) => imperial ? km / KM_PER_MILE : km;
+    const toKm = (value) => imperial ? value * KM_PER_MILE : value;
+
+    // Climbing ("Höhenmeter") and heights above sea level share the conversion
+    const elevationUnit = imperial ? 'ft' : messages.units.climb;
+    const altitudeUnit = imperial ? 'ft' : 'm';
+    const elevationValue = (m) => imperial ? m / M_PER_FOOT : m;
+    const toMeters = (value) => imperial ? value * M_PER_FOOT : value;
+
+    return {
+        language: code,
+        locale,
+        units: imperial ? 'imperial' : 'metric',
+        t,
+        number,
+        distanceUnit,
+        distanceValue,
+        toKm,
+        distance: (km, digits = 1) => `${number(distanceValue(km), digits)} ${distanceUnit}`,
+        elevationUnit,
+        elevationValue,
+        toMeters,
+        elevation: (m) => `${number(elevationValue(m))} ${elevationUnit}`,
+        altitude: (m) => `${number(elevationValue(m))} ${altitudeUnit}`,
+        country: (code) => regionNames.of(code),
+        // Border crossings are named after the countries in the rider's language
+        milestoneName: (milestone) => milestone.type === 'border' && milestone.from
+            ? t('milestones.border', { from: regionNames.of(milestone.from), to: regionNames.of(milestone.to) })
+            : milestone.name,
+        date: (value, options = { day: '2-digit', month: '2-digit', year: 'numeric' }) => toDate(value).toLocaleDateString(locale, options)
+    };
+};
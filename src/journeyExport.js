@@ -0,0 +1,94 @@
+import { getRoutePoints, slicePathAtDistance } from './utils'
+
+// Export of the virtual journey for other mapping tools: planned route,
+// the part ridden so far and the route points.
+
+const escapeXml = (text) =>
+    String(text)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;');
+
+const plannedPath = (route) =>
+    route.path && route.path.length > 0 ? route.path : getRoutePoints(route);
+
+const riddenPath = (route, progress) =>
+    slicePathAtDistance(plannedPath(route), progress.currentKm);
+
+// Named points: start, stops, finish and where the cyclist is now
+const namedPoints = (route, currentPosition) => {
+    const points = [];
+    if (route.start) points.push({ ...route.start, name: route.start.label || 'Start', type: 'start' });
+    (route.waypoints || []).forEach((p, i) => points.push({ ...p, name: p.label || `Zwischenstopp ${i + 1}`, type: 'waypoint' }));
+    if (route.end) points.push({ ...route.end, name: route.end.label || 'Ziel', type: 'end' });
+    if (currentPosition) points.push({ ...currentPosition, name: 'Aktuelle Position', type: 'position' });
+    return points;
+};
+
+const gpxTrack = (name, path) => [
+    '  <trk>',
+    `    <name>${escapeXml(name)}</name>`,
+    '    <trkseg>',
+    ...path.map(p => `      <trkpt lat="${p.lat.toFixed(6)}" lon="${p.lng.toFixed(6)}"/>`),
+    '    </trkseg>',
+    '  </trk>'
+].join('\n');
+
+export const buildGpx = ({ route, progress, currentPosition, name }) => {
+    const tracks = [
+        ...(route.completedLegs || []).map((leg, i) =>
+            gpxTrack(`Etappe ${i + 1}`, leg.path && leg.path.length > 0 ? leg.path : [leg.start, leg.end])),
+        gpxTrack('Geplante Route', plannedPath(route))
+    ];
+    if (progress.currentKm > 0) tracks.push(gpxTrack('Gefahren', riddenPath(route, progress)));
+
+    return [
+        '<?xml version="1.0" encoding="UTF-8"?>',
+        '<gpx version="1.1" creator="Cycling Motivator" xmlns="http://www.topografix.com/GPX/1/1">',
+        '  <metadata>',
+        `    <name>${escapeXml(name)}</name>`,
+        `    <time>${new Date().toISOString()}</time>`,
+        '  </metadata>',
+        ...namedPoints(route, currentPosition).map(p =>
+            `  <wpt lat="${p.lat.toFixed(6)}" lon="${p.lng.toFixed(6)}"><name>${escapeXml(p.name)}</name><type>${p.type}</type></wpt>`),
+        ...tracks,
+        '</gpx>',
+        ''
+    ].join('\n');
+};
+
+const lineFeature = (path, properties) => ({
+    type: 'Feature',
+    properties,
+    geometry: { type: 'LineString', coordinates: path.map(p => [p.lng, p.lat]) }
+});
+
+export const buildGeoJson = ({ route, progress, currentPosition, name }) => {
+    const features = [
+        ...(route.completedLegs || []).map((leg, i) =>
+            lineFeature(leg.path && leg.path.length > 0 ? leg.path : [leg.start, leg.end], { name: `Etappe ${i + 1}`, kind: 'completed-leg', distanceKm: leg.distance })),
+        lineFeature(plannedPath(route), { name: 'Geplante Route', kind: 'planned', distanceKm: progress.totalKm || route.distance })
+    ];
+    if (progress.currentKm > 0) {
+        features.push(lineFeature(riddenPath(route, progress), { name: 'Gefahren', kind: 'ridden', distanceKm: progress.currentKm }));
+    }
+    namedPoints(route, currentPosition).forEach(p => features.push({
+        type: 'Feature',
+        properties: { name: p.name, kind: p.type },
+        geometry: { type: 'Point', coordinates: [p.lng, p.lat] }
+    }));
+
+    return JSON.stringify({ type: 'FeatureCollection', name, features }, null, 2);
+};
+
+export const downloadFile = (fileName, content, mimeType) => {
+    const url = URL.createObjectURL(new Blob([content], { type: mimeType }));
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = fileName;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    URL.revokeObjectURL(url);
+};
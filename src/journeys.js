@@ -0,0 +1,88 @@
+import { ridesForJourney, sumKm, sumElevation } from './rides'
+import { nearestPlaceName } from './milestones'
+
+// Journey library of a profile. Next to the active route every profile keeps
+// its paused journeys, which can be resumed, and the completed ones for the
+// trophy wall. Rides keep their journey id, so progress and stats are always
+// rebuilt from the log.
+// Entry: { id, status: 'paused' | 'completed', title, route, totalKm, archivedAt }
+
+const placeLabel = (point) => point && (point.label || nearestPlaceName(point));
+
+// "Linz → Salzburg". A tour runs from the start of its first leg to the
+// current finish, or the last finish reached while the next leg is planned.
+export const journeyTitle = (route) => {
+    const legs = route.completedLegs || [];
+    const from = placeLabel(legs.length > 0 ? legs[0].start : route.start) || 'Start';
+    const to = placeLabel(route.end || (legs.length > 0 ? legs[legs.length - 1].end : null)) || 'Ziel';
+    return `${from} → ${to}`;
+};
+
+export const journeyStats = (rides, journeyId) => {
+    const own = ridesForJourney(rides, journeyId);
+    const dates = own.map(r => r.date).sort();
+    return {
+        km: sumKm(own),
+        rides: own.length,
+        days: new Set(dates).size,
+        elevationGainM: sumElevation(own),
+        firstRide: dates[0] || null,
+        lastRide: dates[dates.length - 1] || null
+    };
+};
+
+// totalKm is the length of the current leg, like progress.totalKm. The
+// elevation profile is left out, it is rebuilt when the journey is resumed.
+export const archiveJourney = ({ route, totalKm, status }) => ({
+    id: route.id,
+    status,
+    title: journeyTitle(route),
+    route: { ...route, elevation: null },
+    totalKm,
+    archivedAt: new Date().toISOString()
+});
+
+// Whole distance including the finished legs of a tour
+export const journeyDistance = (entry) => (entry.route.offsetKm || 0) + entry.totalKm;
+
+// Day of the ride that reached the finish, from the log
+export const finishDate = (rides, entry) => {
+    const distance = journeyDistance(entry);
+    const own = [...ridesForJourney(rides, entry.id)]
+        .sort((a, b) => a.date.localeCompare(b.date) || (a.createdAt || '').localeCompare(b.createdAt || ''));
+    let km = 0;
+    for (const ride of own) {
+        km += Number(ride.km) || 0;
+        if (km >= distance) return ride.date;
+    }
+    return entry.archivedAt.slice(0, 10);
+};
+
+// Adds the entry or replaces the one with the same id
+export const storeJourney = (journeys, entry) => [entry, ...(journeys || []).filter(j => j.id !== entry.id)];
+
+export const removeJourney = (journeys, id) => (journeys || []).filter(j => j.id !== id);
+
+// Library saved by another device merged into this one: union by id, the more
+// recently archived entry wins. The journey that is now the active route
+// (activeId) is not in the library any more, whichever device resumed it.
+export const mergeJourneys = (local, remote, activeId) => {
+    const byId = new Map();
+    [...(local || []), ...(remote || [])].forEach(entry => {
+        const known = byId.get(entry.id);
+        if (!known || (entry.archivedAt || '') > (known.archivedAt || '')) byId.set(entry.id, entry);
+    });
+    return [...byId.values()]
+        .filter(entry => entry.id !== activeId)
+        .sort((a, b) => (b.archivedAt || '').localeCompare(a.archivedAt || ''));
+};
+
+// Newest first
+export const journeysWithStatus = (journeys, status) =>
+    (journeys || [])
+        .filter(j => j.status === status)
+        .sort((a, b) => b.archivedAt.localeCompare(a.archivedAt));
+
+// Every path of a journey to draw it, the finished legs of a tour first
+export const journeyPaths = (route) =>
+    [...(route.completedLegs || []).map(leg => leg.path), route.path].filter(path => path && path.length > 1);
@@ -0,0 +1,76 @@
+// Base layers of the map. Tiles of the light layer (the default) along the
+// active route are stored by the service worker for offline use.
+export const TILE_LAYERS = {
+    light: {
+        url: 'https://{s}.basemaps.cartocdn.com/light_all/{z}/{x}/{y}{r}.png',
+        attribution: '&copy; <a href="https://www.openstreetmap.org/copyright">OpenStreetMap</a> contributors &copy; <a href="https://carto.com/attributions">CARTO</a>'
+    },
+    satellite: {
+        url: 'https://server.arcgisonline.com/ArcGIS/rest/services/World_Imagery/MapServer/tile/{z}/{y}/{x}',
+        attribution: 'Tiles &copy; Esri &mdash; Source: Esri, i-cubed, USDA, USGS, AEX, GeoEye, Getmapping, Aerogrid, IGN, IGP, UPR-EGP, and the GIS User Community'
+    },
+    dark: {
+        url: 'https://{s}.basemaps.cartocdn.com/dark_all/{z}/{x}/{y}{r}.png',
+        attribution: '&copy; <a href="https://www.openstreetmap.org/copyright">OpenStreetMap</a> contributors &copy; <a href="https://carto.com/attributions">CARTO</a>'
+    }
+};
+
+// Leaflet's defaults for {s} and {r}
+const SUBDOMAINS = 'abc';
+
+// Up to this zoom the tiles next to the route are taken as well, above only
+// the ones the route runs through
+const NEIGHBOUR_MAX_ZOOM = 10;
+const MAX_TILES = 1500;
+
+const toTile = ({ lat, lng }, zoom) => {
+    const scale = 2 ** zoom;
+    const latRad = lat * Math.PI / 180;
+    return {
+        x: Math.floor((lng + 180) / 360 * scale),
+        y: Math.floor((1 - Math.log(Math.tan(latRad) + 1 / Math.cos(latRad)) / Math.PI) / 2 * scale)
+    };
+};
+
+const tileUrl = (template, z, x, y, retina) => template
+    .replace('{s}', SUBDOMAINS[(x + y) % SUBDOMAINS.length])
+    .replace('{z}', z)
+    .replace('{x}', x)
+    .replace('{y}', y)
+    .replace('{r}', retina ? '@2x' : '');
+
+// URLs of the tiles covering the path from minZoom to maxZoom, lower zooms
+// first so the overview is complete when MAX_TILES cuts the list short
+export const routeTileUrls = (path, { template = TILE_LAYERS.light.url, minZoom = 5, maxZoom = 12, retina = window.devicePixelRatio > 1 } = {}) => {
+    if (!path || path.length === 0) return [];
+    const urls = [];
+
+    for (let zoom = minZoom; zoom <= maxZoom && urls.length < MAX_TILES; zoom++) {
+        const tiles = new Map();
+        const add = (x, y) => tiles.set(`${x}/${y}`, { x, y });
+        // Quarter of a tile in degrees, so no tile between two points is skipped
+        const step = 360 / 2 ** zoom / 4;
+
+        path.forEach((point, i) => {
+            const next = path[i + 1] || point;
+            const count = Math.max(1, Math.ceil(Math.max(Math.abs(next.lat - point.lat), Math.abs(next.lng - point.lng)) / step));
+            for (let s = 0; s < count; s++) {
+                const { x, y } = toTile({
+                    lat: point.lat + (next.lat - point.lat) * s / count,
+                    lng: point.lng + (next.lng - point.lng) * s / count
+                }, zoom);
+                if (zoom > NEIGHBOUR_MAX_ZOOM) {
+                    add(x, y);
+                } else {
+                    for (let dx = -1; dx <= 1; dx++) for (let dy = -1; dy <= 1; dy++) add(x + dx, y + dy);
+                }
+            }
+        });
+
+        const max = 2 ** zoom;
+        tiles.forEach(({ x, y }) => {
+            if (y >= 0 && y < max) urls.push(tileUrl(template, zoom, (x + max) % max, y, retina));
+        });
+    }
+    return urls.slice(0, MAX_TILES);
+};
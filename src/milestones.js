@@ -0,0 +1,152 @@
+import { haversineDistance, pathDistance } from './utils'
+import gazetteer from './data/gazetteer.json'
+
+// Named places along the route: towns and landmarks from the bundled
+// gazetteer, border crossings and milestones the cyclist added themselves.
+// Every milestone is { km, name, type } with km measured along the path.
+
+const DEFAULT_RADIUS_KM = 3;
+const BORDER_STEP_KM = 2;
+// Further away than this from every town the country is unknown
+const MAX_COUNTRY_DISTANCE_KM = 60;
+// Start and finish have their own celebration
+const END_MARGIN_KM = 1;
+
+export const countryName = (code) => gazetteer.countries[code] || code;
+
+const cumulativeDistances = (path) => {
+    const distances = [0];
+    for (let i = 1; i < path.length; i++) {
+        distances.push(distances[i - 1] + haversineDistance(path[i - 1], path[i]));
+    }
+    return distances;
+};
+
+// Only places inside the bounding box of the path (plus some margin) are checked
+const candidatePlaces = (path, marginKm) => {
+    const margin = marginKm / 111;
+    // A loop, Math.min(...lats) exceeds Safari's argument limit on long paths
+    let minLat = Infinity;
+    let maxLat = -Infinity;
+    let minLng = Infinity;
+    let maxLng = -Infinity;
+    for (const p of path) {
+        minLat = Math.min(minLat, p.lat);
+        maxLat = Math.max(maxLat, p.lat);
+        minLng = Math.min(minLng, p.lng);
+        maxLng = Math.max(maxLng, p.lng);
+    }
+    minLat -= margin;
+    maxLat += margin;
+    minLng -= margin * 1.6;
+    maxLng += margin * 1.6;
+    return gazetteer.places.filter(p => p.lat >= minLat && p.lat <= maxLat && p.lng >= minLng && p.lng <= maxLng);
+};
+
+export const findPlacesAlongPath = (path, distances = cumulativeDistances(path)) => {
+    const places = [];
+    for (const place of candidatePlaces(path, 15)) {
+        let bestDist = Infinity;
+        let bestKm = 0;
+        for (let i = 0; i < path.length; i++) {
+            const dist = haversineDistance(path[i], place);
+            if (dist < bestDist) {
+                bestDist = dist;
+                bestKm = distances[i];
+            }
+        }
+        if (bestDist <= (place.radius || DEFAULT_RADIUS_KM)) {
+            places.push({ km: bestKm, name: place.name, type: place.type || 'town' });
+        }
+    }
+    return places;
+};
+
+// The country of a point is the one of the nearest gazetteer town. That is
+// rough, but good enough to notice that the route crossed a border.
+const countryAt = (point, towns) => {
+    let best = null;
+    let bestDist = MAX_COUNTRY_DISTANCE_KM;
+    for (const town of towns) {
+        const dist = haversineDistance(point, town);
+        if (dist < bestDist) {
+            bestDist = dist;
+            best = town.country;
+        }
+    }
+    return best;
+};
+
+export const findBorderCrossings = (path, distances = cumulativeDistances(path)) => {
+    const towns = candidatePlaces(path, MAX_COUNTRY_DISTANCE_KM).filter(p => !p.type);
+    const total = distances[distances.length - 1];
+    const crossings = [];
+    let previous = null;
+    let nextSampleKm = 0;
+
+    for (let i = 0; i < path.length; i++) {
+        if (distances[i] < nextSampleKm && i < path.length - 1) continue;
+        nextSampleKm = distances[i] + Math.max(BORDER_STEP_KM, total / 500);
+        const country = countryAt(path[i], towns);
+        if (!country) continue;
+        if (previous && previous.country !== country) {
+            crossings.push({
+                km: (previous.km + distances[i]) / 2,
+                name: `Grenze ${countryName(previous.country)} → ${countryName(country)}`,
+                from: previous.country, // country codes, for the translated name
+                to: country,
+                type: 'border'
+            });
+        }
+        previous = { country, km: distances[i] };
+    }
+    return crossings;
+};
+
+// Gazetteer lookups only depend on the path, so they are done once per path
+const cache = new WeakMap();
+
+const placesAndBorders = (path) => {
+    if (cache.has(path)) return cache.get(path);
+    const distances = cumulativeDistances(path);
+    const total = distances[distances.length - 1];
+    const found = [...findPlacesAlongPath(path, distances), ...findBorderCrossings(path, distances)]
+        .filter(m => m.km >= END_MARGIN_KM && m.km <= total - END_MARGIN_KM);
+    cache.set(path, found);
+    return found;
+};
+
+// Name of the gazetteer town closest to the point, null if none is near
+export const nearestPlaceName = (point, maxKm = 15) => {
+    let best = null;
+    let bestDist = maxKm;
+    for (const place of gazetteer.places) {
+        if (place.type) continue; // Landmarks are no start or finish names
+        const dist = haversineDistance(point, place);
+        if (dist < bestDist) {
+            bestDist = dist;
+            best = place.name;
+        }
+    }
+    return best;
+};
+
+export const createMilestone = ({ name, km }) => ({
+    id: `milestone-${Date.now()}-${Math.random().toString(36).slice(2, 8)}`,
+    name: name.trim(),
+    km: Number(km),
+    type: 'custom'
+});
+
+// All milestones of a route, sorted by their position
+export const buildMilestones = (path, customMilestones = []) => {
+    const found = path && path.length > 1 && pathDistance(path) > 0 ? placesAndBorders(path) : [];
+    return [...found, ...customMilestones].sort((a, b) => a.km - b.km);
+};
+
+// Milestones reached when progress moved from fromKm to toKm
+export const milestonesBetween = (milestones, fromKm, toKm) =>
+    milestones.filter(m => m.km > fromKm && m.km <= toKm);
+
+export const upcomingMilestones = (milestones, currentKm, count = 3) =>
+    milestones.filter(m => m.km > currentKm).slice(0, count);
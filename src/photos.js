@@ -0,0 +1,49 @@
+// Profile photos are cropped to a square and scaled down in the browser, so
+// only small JPEGs are uploaded: the avatar for the profile picker and a
+// thumbnail for lists (leaderboard, teams).
+export const PHOTO_SIZES = { avatar: 256, thumbnail: 96 };
+
+const JPEG_QUALITY = 0.85;
+
+// Translated via errors.<code> in src/i18n, like the activity import errors
+const photoError = (code, message) => Object.assign(new Error(message), { code });
+
+export const loadImage = (file) => new Promise((resolve, reject) => {
+    const url = URL.createObjectURL(file);
+    const image = new Image();
+    image.onload = () => resolve(image);
+    image.onerror = () => {
+        URL.revokeObjectURL(url);
+        reject(photoError('photoUnreadable', 'Das Bild konnte nicht gelesen werden'));
+    };
+    image.src = url;
+});
+
+// Centered square covering the whole shorter side
+export const defaultCrop = (image) => {
+    const size = Math.min(image.naturalWidth, image.naturalHeight);
+    return { x: (image.naturalWidth - size) / 2, y: (image.naturalHeight - size) / 2, size };
+};
+
+// crop: { x, y, size } in pixels of the original image
+const renderSquare = (image, crop, size) => new Promise((resolve, reject) => {
+    const canvas = document.createElement('canvas');
+    canvas.width = size;
+    canvas.height = size;
+    const context = canvas.getContext('2d');
+    // JPEG has no transparency, fill it with the app background
+    context.fillStyle = '#0f172a';
+    context.fillRect(0, 0, size, size);
+    context.imageSmoothingQuality = 'high';
+    context.drawImage(image, crop.x, crop.y, crop.size, crop.size, 0, 0, size, size);
+    canvas.toBlob(blob => blob ? resolve(blob) : reject(photoError('photoResize', 'Das Bild konnte nicht verkleinert werden')), 'image/jpeg', JPEG_QUALITY);
+});
+
+// { avatar, thumbnail } as JPEG blobs, ready for storage.uploadProfilePhoto
+export const createProfilePhotos = async (image, crop) => ({
+    avatar: await renderSquare(image, crop, PHOTO_SIZES.avatar),
+    thumbnail: await renderSquare(image, crop, PHOTO_SIZES.thumbnail)
+});
+
+// Small pictures use the thumbnail, profiles from before uploads only have a photo
+export const thumbnailUrl = (profile) => profile.photo_thumb || profile.photo;
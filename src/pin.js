@@ -0,0 +1,16 @@
+import { sha256 } from './sha256'
+
+// PINs for profiles and the admin mode. Only a SHA-256 hash salted with the
+// profile id is stored. The check runs in the browser, so this keeps family
+// members out of each other's profiles but is no protection against someone
+// talking to the database directly.
+
+export const PIN_PATTERN = /^\d{4,8}$/;
+
+export const isValidPin = (pin) => PIN_PATTERN.test(pin);
+
+export const hashPin = (pin, salt) => sha256(`${salt}:${pin}`);
+
+export const checkPin = async (pin, hash, salt) => (await hashPin(pin, salt)) === hash;
+
+export const ADMIN_PIN_SALT = 'admin';
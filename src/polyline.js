@@ -0,0 +1,57 @@
+// Encoded polyline format (as used by Google, OSRM and Valhalla) with six
+// decimals, about 10 cm. A long route shrinks to roughly a tenth of its JSON.
+const PRECISION = 6;
+
+const encodeValue = (value) => {
+    let rest = value < 0 ? ~(value << 1) : value << 1;
+    let chunk = '';
+    while (rest >= 0x20) {
+        chunk += String.fromCharCode((0x20 | (rest & 0x1f)) + 63);
+        rest >>= 5;
+    }
+    return chunk + String.fromCharCode(rest + 63);
+};
+
+// [{ lat, lng }] -> string
+export const encodePolyline = (points, precision = PRECISION) => {
+    const factor = 10 ** precision;
+    let lastLat = 0;
+    let lastLng = 0;
+    let encoded = '';
+    for (const point of points) {
+        const lat = Math.round(point.lat * factor);
+        const lng = Math.round(point.lng * factor);
+        encoded += encodeValue(lat - lastLat) + encodeValue(lng - lastLng);
+        lastLat = lat;
+        lastLng = lng;
+    }
+    return encoded;
+};
+
+// string -> [{ lat, lng }]
+export const decodePolyline = (encoded, precision = PRECISION) => {
+    const factor = 10 ** precision;
+    const points = [];
+    let index = 0;
+    let lat = 0;
+    let lng = 0;
+
+    const readValue = () => {
+        let result = 0;
+        let shift = 0;
+        let byte;
+        do {
+            byte = encoded.charCodeAt(index++) - 63;
+            result |= (byte & 0x1f) << shift;
+            shift += 5;
+        } while (byte >= 0x20);
+        return result & 1 ? ~(result >> 1) : result >> 1;
+    };
+
+    while (index < encoded.length) {
+        lat += readValue();
+        lng += readValue();
+        points.push({ lat: lat / factor, lng: lng / factor });
+    }
+    return points;
+};
@@ -0,0 +1,20 @@
+import { routeTileUrls } from './mapTiles'
+
+// Installable app: the service worker in public/sw.js keeps the app shell and
+// the map tiles it has shown, so the tablet works without a connection. Only
+// registered in production builds, in development it would cache Vite's modules.
+export const registerServiceWorker = () => {
+    if (!import.meta.env.PROD || !('serviceWorker' in navigator)) return;
+    window.addEventListener('load', () => {
+        navigator.serviceWorker.register(`${import.meta.env.BASE_URL}sw.js`)
+            .catch(error => console.warn('Service worker registration failed:', error));
+    });
+};
+
+// Asks the service worker to download the tiles along the route in the
+// background, so the map still shows the way when the connection drops
+export const cacheRouteTiles = (path) => {
+    if (!('serviceWorker' in navigator) || !navigator.serviceWorker.controller) return;
+    const urls = routeTileUrls(path);
+    if (urls.length > 0) navigator.serviceWorker.controller.postMessage({ type: 'CACHE_TILES', urls });
+};
@@ -0,0 +1,66 @@
+import { ridesForJourney } from './rides'
+import { getPositionAlongPath } from './utils'
+
+// Journey replay: the rides of a journey one after another along its route.
+// Kilometres count from the start of the journey, i.e. the first leg of a tour.
+
+// Finished legs of a tour and the current leg as { path, km }. Legs that were
+// never routed are drawn as straight lines.
+export const journeyParts = (route, totalKm) => [
+    ...(route.completedLegs || []).map(leg => ({
+        path: leg.path && leg.path.length > 1 ? leg.path : [leg.start, leg.end],
+        km: leg.distance
+    })),
+    {
+        path: route.path && route.path.length > 1 ? route.path : [route.start, route.end].filter(Boolean),
+        km: totalKm
+    }
+].filter(part => part.path.length > 1 && part.km > 0);
+
+export const positionAt = (parts, km) => {
+    let rest = km;
+    for (const part of parts) {
+        if (rest <= part.km) return getPositionAlongPath(part.path, Math.max(0, rest));
+        rest -= part.km;
+    }
+    const last = parts[parts.length - 1];
+    return last ? last.path[last.path.length - 1] : null;
+};
+
+// Everything ridden up to km as { path, km }: the parts started so far and
+// how far along each of them has been ridden
+export const riddenPartsAt = (parts, km) => {
+    const ridden = [];
+    let rest = km;
+    for (const part of parts) {
+        if (rest <= 0) break;
+        ridden.push({ path: part.path, km: rest >= part.km ? Infinity : rest });
+        rest -= part.km;
+    }
+    return ridden;
+};
+
+// One step per ride, oldest first: { ride, fromKm, toKm }. Rides after the
+// finish (carried over to a next leg) are left out.
+export const replaySteps = (rides, journeyId, lengthKm) => {
+    const own = [...ridesForJourney(rides, journeyId)]
+        .sort((a, b) => a.date.localeCompare(b.date) || (a.createdAt || '').localeCompare(b.createdAt || ''));
+    const steps = [];
+    let km = 0;
+    for (const ride of own) {
+        if (km >= lengthKm) break;
+        const toKm = Math.min(lengthKm, km + (Number(ride.km) || 0));
+        steps.push({ ride, fromKm: km, toKm });
+        km = toKm;
+    }
+    return steps;
+};
+
+// Replay time t runs from 0 to steps.length, one unit per ride
+export const kmAtTime = (steps, t) => {
+    if (steps.length === 0) return 0;
+    const index = Math.min(Math.floor(t), steps.length - 1);
+    const step = steps[index];
+    const fraction = Math.min(1, t - index);
+    return step.fromKm + (step.toKm - step.fromKm) * fraction;
+};
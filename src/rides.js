@@ -0,0 +1,86 @@
+// Ride log helpers. Every "Dazu" entry is stored as its own ride record so
+// mistakes can be corrected and progress can always be rebuilt from the log.
+
+// YYYY-MM-DD in local time (toISOString alone would shift late rides to UTC)
+export const toLocalIsoDate = (date) => {
+    const offset = date.getTimezoneOffset() * 60000;
+    return new Date(date.getTime() - offset).toISOString().slice(0, 10);
+};
+
+export const todayIso = () => toLocalIsoDate(new Date());
+
+// Same limit as the server (server/validation.js); a longer note would get
+// every later save of the profile rejected
+export const MAX_NOTE_LENGTH = 500;
+
+export const createRide = ({ km, date, durationMin, note, journeyId, elevationGainM, source }) => ({
+    id: `ride-${Date.now()}-${Math.random().toString(36).slice(2, 8)}`,
+    journeyId: journeyId || null,
+    date: date || todayIso(),
+    km: Number(km),
+    durationMin: durationMin ? Number(durationMin) : null,
+    note: note ? note.trim().slice(0, MAX_NOTE_LENGTH) : '',
+    elevationGainM: elevationGainM || null,
+    source: source || null, // set for rides imported from GPX/TCX/FIT files
+    createdAt: new Date().toISOString()
+});
+
+// Newest first, entries of the same day by creation time
+export const sortRides = (rides) =>
+    [...rides].sort((a, b) =>
+        b.date.localeCompare(a.date) || (b.createdAt || '').localeCompare(a.createdAt || '')
+    );
+
+export const ridesForJourney = (rides, journeyId) =>
+    (rides || []).filter(r => r.journeyId === journeyId);
+
+export const sumKm = (rides) =>
+    (rides || []).reduce((sum, r) => sum + (Number(r.km) || 0), 0);
+
+export const sumElevation = (rides) =>
+    (rides || []).reduce((sum, r) => sum + (Number(r.elevationGainM) || 0), 0);
+
+// Rebuild the progress object of a journey from its rides. In a tour all legs
+// share the journey id; offsetKm is the length of the legs already finished,
+// so kilometres ridden beyond a finish count towards the next leg.
+export const computeProgress = (rides, journeyId, totalKm, offsetKm = 0) => {
+    const ridden = sumKm(ridesForJourney(rides, journeyId)) - offsetKm;
+    const currentKm = totalKm > 0 ? Math.max(0, Math.min(ridden, totalKm)) : 0;
+    return {
+        currentKm,
+        totalKm,
+        percentage: totalKm > 0 ? currentKm / totalKm : 0
+    };
+};
+
+// Kilometres ridden beyond the finish of the current leg
+export const overflowKm = (rides, journeyId, totalKm, offsetKm = 0) =>
+    Math.max(0, sumKm(ridesForJourney(rides, journeyId)) - offsetKm - totalKm);
+
+// Older states only stored progress.currentKm. Turn that into a single ride
+// so the log and the progress bar agree after loading.
+export const migrateLegacyProgress = (rides, progress, journeyId) => {
+    if ((rides && rides.length > 0) || !progress || !(progress.currentKm > 0)) return rides || [];
+    return [{
+        ...createRide({ km: progress.currentKm, journeyId }),
+        note: 'Übernommen aus früherem Fortschritt'
+    }];
+};
+
+// Merge of the same ride log saved on two devices. Rides from both sides are
+// kept unless one side deleted them (deletedIds); a ride edited on both sides
+// keeps the more recent edit, with ties going to the local copy.
+export const mergeRides = (local, remote, deletedIds = []) => {
+    const deleted = new Set(deletedIds);
+    const changedAt = (ride) => ride.updatedAt || ride.createdAt || '';
+    const byId = new Map();
+    (local || []).forEach(r => {
+        if (!deleted.has(r.id)) byId.set(r.id, r);
+    });
+    (remote || []).forEach(r => {
+        if (deleted.has(r.id)) return;
+        const known = byId.get(r.id);
+        if (!known || changedAt(r) > changedAt(known)) byId.set(r.id, r);
+    });
+    return [...byId.values()];
+};
@@ -0,0 +1,36 @@
+import { legsFromPath } from './legs'
+
+const DEFAULT_URL = 'https://brouter.de';
+
+const PROFILES = {
+    road: 'fastbike',
+    trekking: 'trekking',
+    mtb: 'mtb'
+};
+
+// BRouter (brouter.de or a self-hosted server)
+export const createBRouterProvider = ({ url = DEFAULT_URL } = {}) => ({
+    name: 'brouter',
+    supportsProfiles: true,
+    route: async (points, profile) => {
+        const lonlats = points.map(p => `${p.lng},${p.lat}`).join('|');
+        const params = `lonlats=${lonlats}&profile=${PROFILES[profile] || PROFILES.trekking}&alternativeidx=0&format=geojson`;
+        const response = await fetch(`${url}/brouter?${params}`);
+
+        if (!response.ok) {
+            throw new Error((await response.text()) || 'No route found');
+        }
+
+        const data = await response.json();
+        const feature = data.features && data.features[0];
+        if (!feature) throw new Error('No route found');
+
+        const coordinates = feature.geometry.coordinates.map(coord => ({ lat: coord[1], lng: coord[0] }));
+        return {
+            coordinates,
+            distance: Number(feature.properties['track-length']) / 1000,
+            legs: legsFromPath(coordinates, points),
+            elevations: feature.geometry.coordinates.map(coord => coord[2]) // metres, one per coordinate
+        };
+    }
+});
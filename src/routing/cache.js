@@ -0,0 +1,39 @@
+// Computed routes, keyed by provider, bike profile and coordinates. Kept in
+// memory and in localStorage so reloading the page doesn't route again.
+const STORAGE_KEY = 'routeCache';
+const MAX_ENTRIES = 20; // paths are large, localStorage only holds a few MB
+
+const memory = new Map();
+
+export const routeCacheKey = (providerName, profile, points) =>
+    [providerName, profile, ...points.map(p => `${p.lat.toFixed(5)},${p.lng.toFixed(5)}`)].join('|');
+
+const readStored = () => {
+    try {
+        return JSON.parse(localStorage.getItem(STORAGE_KEY)) || [];
+    } catch {
+        return [];
+    }
+};
+
+export const getCachedRoute = (key) => {
+    if (memory.has(key)) return memory.get(key);
+    const entry = readStored().find(e => e.key === key);
+    if (entry) memory.set(key, entry.route);
+    return entry ? entry.route : null;
+};
+
+export const setCachedRoute = (key, route) => {
+    memory.set(key, route);
+    let entries = [{ key, route }, ...readStored().filter(e => e.key !== key)].slice(0, MAX_ENTRIES);
+
+    // Drop the oldest entries until it fits
+    while (entries.length > 0) {
+        try {
+            localStorage.setItem(STORAGE_KEY, JSON.stringify(entries));
+            return;
+        } catch {
+            entries = entries.slice(0, -1);
+        }
+    }
+};
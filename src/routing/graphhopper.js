@@ -0,0 +1,41 @@
+import { legsFromPath } from './legs'
+
+const DEFAULT_URL = 'https://graphhopper.com/api/1';
+
+const PROFILES = {
+    road: 'racingbike',
+    trekking: 'bike',
+    mtb: 'mtb'
+};
+
+// GraphHopper (hosted API with key, or self-hosted without)
+export const createGraphHopperProvider = ({ url = DEFAULT_URL, apiKey } = {}) => ({
+    name: 'graphhopper',
+    supportsProfiles: true,
+    route: async (points, profile) => {
+        const params = new URLSearchParams({
+            profile: PROFILES[profile] || PROFILES.trekking,
+            points_encoded: 'false',
+            elevation: 'true',
+            instructions: 'false'
+        });
+        points.forEach(p => params.append('point', `${p.lat},${p.lng}`));
+        if (apiKey) params.set('key', apiKey);
+
+        const response = await fetch(`${url}/route?${params}`);
+        const data = await response.json();
+
+        if (!response.ok || !data.paths || data.paths.length === 0) {
+            throw new Error(data.message || 'No route found');
+        }
+
+        const path = data.paths[0];
+        const coordinates = path.points.coordinates.map(coord => ({ lat: coord[1], lng: coord[0] }));
+        return {
+            coordinates,
+            distance: path.distance / 1000,
+            legs: legsFromPath(coordinates, points),
+            elevations: path.points.coordinates.map(coord => coord[2]) // metres, one per coordinate
+        };
+    }
+});
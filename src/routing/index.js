@@ -0,0 +1,59 @@
+import { createOsrmProvider } from './osrm'
+import { createGraphHopperProvider } from './graphhopper'
+import { createBRouterProvider } from './brouter'
+import { createStraightLineProvider } from './straightLine'
+import { routeCacheKey, getCachedRoute, setCachedRoute } from './cache'
+
+// Routing backend, chosen through configuration (see .env.example):
+//   VITE_ROUTING_PROVIDER  osrm (default) | graphhopper | brouter | straight
+//   VITE_ROUTING_URL       base URL of a self-hosted instance
+//   VITE_ROUTING_API_KEY   API key (hosted GraphHopper)
+const PROVIDERS = {
+    osrm: createOsrmProvider,
+    graphhopper: createGraphHopperProvider,
+    brouter: createBRouterProvider,
+    straight: createStraightLineProvider
+};
+
+// Labels are under bikeProfiles.<id> in the dictionaries (src/i18n)
+export const BIKE_PROFILES = ['road', 'trekking', 'mtb'];
+
+export const DEFAULT_BIKE_PROFILE = 'trekking';
+
+const createProvider = () => {
+    const name = import.meta.env.VITE_ROUTING_PROVIDER || 'osrm';
+    const factory = PROVIDERS[name];
+    if (!factory) {
+        console.warn(`Unknown routing provider "${name}", using OSRM`);
+        return createOsrmProvider();
+    }
+    return factory({
+        url: import.meta.env.VITE_ROUTING_URL || undefined,
+        apiKey: import.meta.env.VITE_ROUTING_API_KEY || undefined
+    });
+};
+
+const provider = createProvider();
+
+// OSRM and straight lines route every bike the same, the app then offers no choice
+export const SUPPORTS_BIKE_PROFILES = provider.supportsProfiles;
+
+// Points are visited in order and come back as one stitched path:
+// { coordinates, distance (km), legs (km per leg), elevations (m, if the provider has them) }
+export const fetchRoute = async (points, profile = DEFAULT_BIKE_PROFILE) => {
+    try {
+        if (!points || points.length < 2) throw new Error('At least two points required');
+
+        const key = routeCacheKey(provider.name, provider.supportsProfiles ? profile : null, points);
+        const cached = getCachedRoute(key);
+        if (cached) return cached;
+
+        const route = await provider.route(points, profile);
+        setCachedRoute(key, route);
+        return route;
+
+    } catch (error) {
+        console.error("Routing error:", error);
+        return { error: error.message }; // Return error info
+    }
+};
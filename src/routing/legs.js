@@ -0,0 +1,9 @@
+import { locateOnPath } from '../utils'
+
+// Leg lengths for providers that only return one geometry: the km position
+// of every requested point on the path, as differences.
+export const legsFromPath = (path, points) => {
+    const positions = points.map(p => locateOnPath(path, p));
+    positions[0] = 0;
+    return positions.slice(1).map((km, i) => Math.max(0, km - positions[i]));
+};
@@ -0,0 +1,25 @@
+// OSRM (public demo server or self-hosted). An OSRM instance serves the one
+// profile it was built with, so all bike types use the same URL segment.
+const DEFAULT_URL = 'https://router.project-osrm.org';
+
+export const createOsrmProvider = ({ url = DEFAULT_URL } = {}) => ({
+    name: 'osrm',
+    supportsProfiles: false,
+    route: async (points) => {
+        const coords = points.map(p => `${p.lng},${p.lat}`).join(';');
+        const response = await fetch(`${url}/route/v1/bicycling/${coords}?overview=full&geometries=geojson`);
+        const data = await response.json();
+
+        if (data.code !== 'Ok' || !data.routes || data.routes.length === 0) {
+            throw new Error('No route found');
+        }
+
+        const route = data.routes[0];
+        return {
+            // geometry.coordinates is [lng, lat], Leaflet wants {lat, lng}
+            coordinates: route.geometry.coordinates.map(coord => ({ lat: coord[1], lng: coord[0] })),
+            distance: route.distance / 1000, // Convert meters to km
+            legs: (route.legs || []).map(leg => leg.distance / 1000)
+        };
+    }
+});
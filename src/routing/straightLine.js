@@ -0,0 +1,13 @@
+import { pathDistance } from '../utils'
+
+// Offline stand-in for development: straight lines between the points.
+// Needs no server and is never rate-limited.
+export const createStraightLineProvider = () => ({
+    name: 'straight',
+    supportsProfiles: false,
+    route: async (points) => ({
+        coordinates: points.map(p => ({ lat: p.lat, lng: p.lng })),
+        distance: pathDistance(points),
+        legs: points.slice(1).map((p, i) => pathDistance([points[i], p]))
+    })
+});
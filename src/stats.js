@@ -0,0 +1,115 @@
+import { sumKm, toLocalIsoDate } from './rides'
+
+// Date based statistics over a ride log. Dates are local YYYY-MM-DD strings,
+// which compare correctly as plain strings.
+
+const addDays = (date, days) => {
+    const next = new Date(date);
+    next.setDate(next.getDate() + days);
+    return next;
+};
+
+// Weeks start on Monday
+export const startOfWeek = (date = new Date()) => {
+    const day = (date.getDay() + 6) % 7;
+    return toLocalIsoDate(addDays(date, -day));
+};
+
+export const startOfMonth = (date = new Date()) =>
+    toLocalIsoDate(new Date(date.getFullYear(), date.getMonth(), 1));
+
+export const ridesSince = (rides, fromIso) =>
+    (rides || []).filter(r => r.date >= fromIso);
+
+export const kmThisWeek = (rides, now = new Date()) => sumKm(ridesSince(rides, startOfWeek(now)));
+
+export const kmThisMonth = (rides, now = new Date()) => sumKm(ridesSince(rides, startOfMonth(now)));
+
+// Consecutive days with at least one ride. A streak is still alive if the
+// last ride was yesterday, today's ride may not be logged yet.
+export const dayStreak = (rides, now = new Date()) => {
+    const days = new Set((rides || []).map(r => r.date));
+    let cursor = new Date(now);
+    if (!days.has(toLocalIsoDate(cursor))) cursor = addDays(cursor, -1);
+
+    let streak = 0;
+    while (days.has(toLocalIsoDate(cursor))) {
+        streak++;
+        cursor = addDays(cursor, -1);
+    }
+    return streak;
+};
+
+// Longest run of consecutive riding days anywhere in the log
+export const longestDayStreak = (rides) => {
+    const days = [...new Set((rides || []).map(r => r.date))].sort();
+    let longest = 0;
+    let current = 0;
+    for (let i = 0; i < days.length; i++) {
+        const follows = i > 0 && toLocalIsoDate(addDays(new Date(`${days[i - 1]}T12:00:00`), 1)) === days[i];
+        current = follows ? current + 1 : 1;
+        longest = Math.max(longest, current);
+    }
+    return longest;
+};
+
+const parseIso = (isoDate) => new Date(`${isoDate}T12:00:00`);
+
+// km per bucket for the last `count` days, weeks or months, oldest first.
+// Every bucket is { start, km } with start as local ISO date.
+const bucketStarts = (unit, count, now) => {
+    const starts = [];
+    for (let i = count - 1; i >= 0; i--) {
+        if (unit === 'day') starts.push(toLocalIsoDate(addDays(now, -i)));
+        else if (unit === 'week') starts.push(startOfWeek(addDays(now, -7 * i)));
+        else starts.push(toLocalIsoDate(new Date(now.getFullYear(), now.getMonth() - i, 1)));
+    }
+    return starts;
+};
+
+export const kmPerPeriod = (rides, unit, count, now = new Date()) => {
+    const starts = bucketStarts(unit, count, now);
+    return starts.map((start, i) => {
+        const end = starts[i + 1] || '9999-12-31';
+        return { start, km: sumKm((rides || []).filter(r => r.date >= start && r.date < end)) };
+    });
+};
+
+// Running total after each riding day: [{ date, km }]
+export const cumulativeKm = (rides) => {
+    const perDay = {};
+    (rides || []).forEach(r => { perDay[r.date] = (perDay[r.date] || 0) + r.km; });
+    let total = 0;
+    return Object.keys(perDay).sort().map(date => {
+        total += perDay[date];
+        return { date, km: total };
+    });
+};
+
+export const averageRideKm = (rides) =>
+    rides && rides.length > 0 ? sumKm(rides) / rides.length : 0;
+
+export const bestWeek = (rides) => {
+    const perWeek = {};
+    (rides || []).forEach(r => {
+        const start = startOfWeek(parseIso(r.date));
+        perWeek[start] = (perWeek[start] || 0) + r.km;
+    });
+    return Object.entries(perWeek).reduce(
+        (best, [start, km]) => (km > best.km ? { start, km } : best),
+        { start: null, km: 0 }
+    );
+};
+
+// Average km per day over the last `windowDays` days
+export const recentPace = (rides, windowDays = 28, now = new Date()) =>
+    sumKm(ridesSince(rides, toLocalIsoDate(addDays(now, -(windowDays - 1))))) / windowDays;
+
+// When the remaining km are done if the rider keeps the recent pace,
+// null without rides in that window
+export const projectedArrival = (rides, remainingKm, windowDays = 28, now = new Date()) => {
+    if (!(remainingKm > 0)) return null;
+    const pace = recentPace(rides, windowDays, now);
+    if (!(pace > 0)) return null;
+    return addDays(now, Math.ceil(remainingKm / pace));
+};
@@ -0,0 +1,55 @@
+// Live updates from other devices. Backends report every change as
+// { table, id }: table is 'profiles', 'user_state' or 'teams', id the profile,
+// user or team that changed, null when it is not known (e.g. after the
+// connection was lost and changes may have been missed).
+export const TABLES = ['profiles', 'user_state', 'teams'];
+
+// subscribe(listener) for a backend: open(emit, emitAll) connects once the
+// first listener subscribes and returns a function that disconnects again
+// after the last one left; emitAll reports every table as changed.
+// subscribe returns the function to unsubscribe with.
+export const createChangeFeed = (open) => {
+    const listeners = new Set();
+    let close = null;
+
+    const emit = (change) => listeners.forEach(listener => listener(change));
+    const emitAll = () => TABLES.forEach(table => emit({ table, id: null }));
+
+    return (listener) => {
+        listeners.add(listener);
+        if (!close) close = open(emit, emitAll);
+        return () => {
+            listeners.delete(listener);
+            if (listeners.size === 0 && close) {
+                close();
+                close = null;
+            }
+        };
+    };
+};
+
+// Collects the ids reported within delayMs after the first change and hands
+// them to onChanges at once, null instead of the ids if any change was not
+// for a known id. Saves a reload per change when several devices sync at the
+// same time. cancel() drops what has not been handed over yet.
+export const batchChanges = (onChanges, delayMs = 1000) => {
+    let ids = new Set();
+    let isAll = false;
+    let timer = null;
+
+    const flush = () => {
+        const changed = isAll ? null : [...ids];
+        ids = new Set();
+        isAll = false;
+        timer = null;
+        onChanges(changed);
+    };
+
+    const add = (id) => {
+        if (id) ids.add(id);
+        else isAll = true;
+        if (!timer) timer = setTimeout(flush, delayMs);
+    };
+    add.cancel = () => clearTimeout(timer);
+    return add;
+};
@@ -0,0 +1,55 @@
+import { encodePolyline, decodePolyline } from '../polyline'
+
+// Route paths are stored as encoded polylines (see polyline.js) instead of
+// point lists: a cross-Europe path has tens of thousands of points and is
+// saved with every user state. The app only ever sees point lists, states
+// saved before still load since plain lists are passed through.
+
+// The state is saved after every ride, the path rarely changes in between
+const encoded = new WeakMap();
+
+const packPath = (path) => {
+    if (!Array.isArray(path) || path.length === 0) return path;
+    if (!encoded.has(path)) encoded.set(path, encodePolyline(path));
+    return encoded.get(path);
+};
+const unpackPath = (path) => typeof path === 'string' ? decodePolyline(path) : path;
+
+const mapPaths = (route, convert) => route && {
+    ...route,
+    path: convert(route.path),
+    ...(route.completedLegs ? { completedLegs: route.completedLegs.map(leg => ({ ...leg, path: convert(leg.path) })) } : {})
+};
+
+const mapUserState = (state, convert) => state && {
+    ...state,
+    route: mapPaths(state.route, convert),
+    ...(state.journeys ? { journeys: state.journeys.map(entry => ({ ...entry, route: mapPaths(entry.route, convert) })) } : {})
+};
+
+const mapTeam = (team, convert) => team && (team.route !== undefined ? { ...team, route: mapPaths(team.route, convert) } : team);
+
+// Result of a storage call with its data converted
+const unpacked = (unpack) => async (result) => {
+    const { data, ...rest } = await result;
+    return { ...rest, data: data && unpack(data) };
+};
+
+const unpackState = unpacked(state => mapUserState(state, unpackPath));
+const unpackTeam = unpacked(team => mapTeam(team, unpackPath));
+
+export const createCompactRouteStorage = (backend) => ({
+    ...backend,
+
+    getUserState: (userId) => unpackState(backend.getUserState(userId)),
+    saveUserState: (state) => unpackState(backend.saveUserState(mapUserState(state, packPath))),
+    listUserStates: (userIds, columns) => unpacked(states => states.map(state => mapUserState(state, unpackPath)))(backend.listUserStates(userIds, columns)),
+    flushPending: async () => (await backend.flushPending()).map(result => ({
+        ...result,
+        data: result.data && mapUserState(result.data, unpackPath)
+    })),
+
+    listTeams: () => unpacked(teams => teams.map(team => mapTeam(team, unpackPath)))(backend.listTeams()),
+    createTeam: (team) => unpackTeam(backend.createTeam(mapTeam(team, packPath))),
+    updateTeam: (id, patch) => unpackTeam(backend.updateTeam(id, mapTeam(patch, packPath)))
+});
@@ -0,0 +1,69 @@
+// Storage on top of a simple document store: whole lists of profiles and
+// teams, user states and settings keyed by id. Backends only provide:
+//   readList(name) / writeList(name, list)      'profiles' and 'teams'
+//   readUserStates() / writeUserState(id, row)  row null deletes
+//   readSettings() / writeSettings(settings)
+// Every method resolves to { data, error } like the Supabase client does.
+
+const byName = (a, b) => (a.name || '').localeCompare(b.name || '');
+
+const blobToDataUrl = (blob) => new Promise((resolve, reject) => {
+    const reader = new FileReader();
+    reader.onloadend = () => resolve(reader.result);
+    reader.onerror = () => reject(reader.error);
+    reader.readAsDataURL(blob);
+});
+
+const run = async (operation) => {
+    try {
+        return { data: (await operation()) ?? null, error: null };
+    } catch (error) {
+        return { data: null, error };
+    }
+};
+
+export const createDocumentStorage = (name, backend) => {
+    const updateList = async (listName, update) => {
+        const list = (await backend.readList(listName)) || [];
+        await backend.writeList(listName, update(list));
+    };
+
+    return {
+        name,
+
+        listProfiles: () => run(async () => ((await backend.readList('profiles')) || []).sort(byName)),
+        createProfile: (profile) => run(() => updateList('profiles', list => [...list, profile])),
+        updateProfile: (id, patch) => run(() => updateList('profiles', list => list.map(p => p.id === id ? { ...p, ...patch } : p))),
+        deleteProfile: (id) => run(async () => {
+            await backend.writeUserState(id, null);
+            await updateList('profiles', list => list.filter(p => p.id !== id));
+        }),
+        // No file storage here, the scaled down photos are kept as data URLs
+        uploadProfilePhoto: (id, { avatar, thumbnail }) => run(async () => ({
+            photo: await blobToDataUrl(avatar),
+            photo_thumb: await blobToDataUrl(thumbnail)
+        })),
+
+        getUserState: (userId) => run(async () => ((await backend.readUserStates()) || {})[userId] || null),
+        saveUserState: (state) => run(() => backend.writeUserState(state.user_id, state)),
+        listUserStates: (userIds, columns) => run(async () => {
+            const states = (await backend.readUserStates()) || {};
+            return Object.keys(states)
+                .filter(id => !userIds || userIds.includes(id))
+                .map(id => columns ? Object.fromEntries(columns.map(column => [column, states[id][column]])) : states[id]);
+        }),
+
+        listTeams: () => run(async () => ((await backend.readList('teams')) || []).sort(byName)),
+        createTeam: (team) => run(() => updateList('teams', list => [...list, team])),
+        updateTeam: (id, patch) => run(() => updateList('teams', list => list.map(t => t.id === id ? { ...t, ...patch } : t))),
+        deleteTeam: (id) => run(() => updateList('teams', list => list.filter(t => t.id !== id))),
+
+        getSetting: (key) => run(async () => ((await backend.readSettings()) || {})[key] ?? null),
+        setSetting: (key, value) => run(async () => {
+            const settings = { ...((await backend.readSettings()) || {}) };
+            if (value === null) delete settings[key];
+            else settings[key] = value;
+            await backend.writeSettings(settings);
+        })
+    };
+};
@@ -0,0 +1,31 @@
+import { createSupabaseStorage } from './supabase'
+import { createServerStorage } from './server'
+import { createLocalStorage } from './local'
+import { createOfflineStorage } from './offline'
+import { createCompactRouteStorage } from './compactRoutes'
+
+// Where profiles, ride logs and teams are kept, chosen through configuration
+// (see .env.example):
+//   VITE_STORAGE_BACKEND  supabase | server | local. Without a setting Supabase
+//                         is used when VITE_SUPABASE_URL is set, otherwise local.
+//   VITE_STORAGE_URL      base URL of the Express server, defaults to /api
+// All methods resolve to { data, error } and never throw. User states are
+// queued while offline, see offline.js, and route paths are stored encoded,
+// see compactRoutes.js. listUserStates(userIds, columns) loads only the given
+// columns, the full states with route paths are big. subscribe(listener) reports changes made on other
+// devices, see changes.js.
+const createStorage = () => {
+    const env = import.meta.env;
+    const name = env.VITE_STORAGE_BACKEND || (env.VITE_SUPABASE_URL ? 'supabase' : 'local');
+
+    if (name === 'supabase') {
+        return createSupabaseStorage({ url: env.VITE_SUPABASE_URL, anonKey: env.VITE_SUPABASE_ANON_KEY });
+    }
+    if (name === 'server') return createServerStorage({ url: env.VITE_STORAGE_URL || undefined });
+    if (name !== 'local') console.warn(`Unknown storage backend "${name}", using localStorage`);
+    return createLocalStorage();
+};
+
+export const storage = createCompactRouteStorage(createOfflineStorage(createStorage()));
+
+export { batchChanges } from './changes'
@@ -0,0 +1,49 @@
+import { createDocumentStorage } from './documentStorage'
+import { createChangeFeed } from './changes'
+
+// Everything in the browser's localStorage, no server needed. Data stays on
+// this device only, and profile photos eat into the few MB the browser allows.
+const PREFIX = 'cyclingMotivator.';
+
+const read = (key, fallback) => {
+    try {
+        const raw = localStorage.getItem(PREFIX + key);
+        return raw ? JSON.parse(raw) : fallback;
+    } catch (error) {
+        console.warn(`Ignoring unreadable ${key} in localStorage`, error);
+        return fallback;
+    }
+};
+
+// Throws when the quota is exceeded, which ends up in the { error } result
+const write = (key, value) => localStorage.setItem(PREFIX + key, JSON.stringify(value));
+
+// Other tabs of this browser are the only other "devices": the storage event
+// tells which key they wrote, the user states share one key
+const TABLE_KEYS = { profiles: 'profiles', teams: 'teams', userStates: 'user_state' };
+
+const subscribe = createChangeFeed((emit) => {
+    const handleStorage = (event) => {
+        const name = event.key && event.key.startsWith(PREFIX) ? event.key.slice(PREFIX.length) : null;
+        if (TABLE_KEYS[name]) emit({ table: TABLE_KEYS[name], id: null });
+    };
+    window.addEventListener('storage', handleStorage);
+    return () => window.removeEventListener('storage', handleStorage);
+});
+
+export const createLocalStorage = () => ({
+    ...createDocumentStorage('local', {
+        readList: async (name) => read(name, []),
+        writeList: async (name, list) => write(name, list),
+        readUserStates: async () => read('userStates', {}),
+        writeUserState: async (id, row) => {
+            const states = read('userStates', {});
+            if (row === null) delete states[id];
+            else states[id] = row;
+            write('userStates', states);
+        },
+        readSettings: async () => read('settings', {}),
+        writeSettings: async (settings) => write('settings', settings)
+    }),
+    subscribe
+});
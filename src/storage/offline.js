@@ -0,0 +1,129 @@
+import { computeProgress, mergeRides } from '../rides'
+import { mergeJourneys } from '../journeys'
+
+// Offline-first saving of the user state. Every state is first kept in
+// localStorage and then sent; if the device is offline it stays queued there
+// and flushPending() replays it once the connection is back. The last known
+// state also lets the app start without a connection.
+//
+// Before sending, the state is merged with the stored one, since another
+// tablet may have saved in the meantime: rides are merged entry by entry (see
+// mergeRides), badges are combined, journeys are merged by id (see
+// mergeJourneys), the route, goal and app state of this device win. Profiles,
+// teams and settings are not queued.
+const PREFIX = 'cyclingMotivator.offline.';
+
+// { state, pending, seq } per user; pending means not yet saved
+const readEntry = (userId) => {
+    try {
+        return JSON.parse(localStorage.getItem(PREFIX + userId)) || {};
+    } catch {
+        return {};
+    }
+};
+
+const writeEntry = (userId, entry) => {
+    try {
+        localStorage.setItem(PREFIX + userId, JSON.stringify(entry));
+    } catch (error) {
+        // Quota exceeded: saving still works while online, just without a copy
+        console.warn('Could not keep an offline copy of the user state', error);
+    }
+};
+
+const queuedUserIds = () => Object.keys(localStorage)
+    .filter(key => key.startsWith(PREFIX))
+    .map(key => key.slice(PREFIX.length))
+    .filter(userId => readEntry(userId).pending);
+
+// fetch() rejects with a TypeError without a connection; Supabase wraps that
+// into an error object whose message still mentions it
+const isOfflineError = (error) =>
+    !navigator.onLine || error instanceof TypeError || /failed to fetch|network|load failed/i.test(error.message || '');
+
+export const mergeUserStates = (local, remote) => {
+    if (!remote) return local;
+    const deletedRideIds = [...new Set([...(local.deleted_ride_ids || []), ...(remote.deleted_ride_ids || [])])];
+    const rides = mergeRides(local.rides, remote.rides, deletedRideIds);
+    const achievements = [
+        ...(local.achievements || []),
+        ...(remote.achievements || []).filter(a => !(local.achievements || []).some(b => b.id === a.id))
+    ];
+    const progress = local.progress && computeProgress(
+        rides, local.route ? local.route.id || null : null, local.progress.totalKm, local.route ? local.route.offsetKm || 0 : 0
+    );
+    const journeys = mergeJourneys(local.journeys, remote.journeys, local.route ? local.route.id : null);
+    return { ...local, rides, achievements, progress, journeys, deleted_ride_ids: deletedRideIds };
+};
+
+export const createOfflineStorage = (backend) => {
+    // Data never leaves the device, there is nothing to queue
+    if (backend.name === 'local') return { ...backend, flushPending: async () => [] };
+
+    // One save per user at a time, so an older state never lands after a newer one
+    const chains = {};
+    const serial = (userId, task) => {
+        const run = (chains[userId] || Promise.resolve()).then(task);
+        chains[userId] = run.catch(() => {});
+        return run;
+    };
+
+    // Sends the queued state of a user. Resolves to { data, error, queued }
+    // with data being the merged state as it was saved.
+    const send = async (userId, stored) => {
+        const entry = readEntry(userId);
+        if (!entry.pending) return { data: entry.state || null, error: null, queued: false };
+
+        const keep = (error) => {
+            if (isOfflineError(error)) return { data: entry.state, error: null, queued: true };
+            // Rejected by the backend, sending it again would not help
+            const latest = readEntry(userId);
+            if (latest.seq === entry.seq) writeEntry(userId, { ...latest, pending: false });
+            return { data: null, error, queued: false };
+        };
+
+        const current = stored || await backend.getUserState(userId);
+        if (current.error) return keep(current.error);
+        const merged = mergeUserStates(entry.state, current.data);
+        const { error } = await backend.saveUserState(merged);
+        if (error) return keep(error);
+
+        // A newer state queued while this one was on its way goes out next time
+        const latest = readEntry(userId);
+        if (latest.seq !== entry.seq) return { data: merged, error: null, queued: true };
+        writeEntry(userId, { ...latest, state: merged, pending: false });
+        return { data: merged, error: null, queued: false };
+    };
+
+    return {
+        ...backend,
+
+        deleteProfile: async (id) => {
+            const result = await backend.deleteProfile(id);
+            if (!result.error) localStorage.removeItem(PREFIX + id);
+            return result;
+        },
+
+        getUserState: (userId) => serial(userId, async () => {
+            const result = await backend.getUserState(userId);
+            const entry = readEntry(userId);
+            if (result.error) {
+                return isOfflineError(result.error) && entry.state ? { data: entry.state, error: null } : result;
+            }
+            if (entry.pending) return send(userId, result);
+            if (result.data) writeEntry(userId, { state: result.data, pending: false, seq: entry.seq || 0 });
+            return result;
+        }),
+
+        saveUserState: (state) => {
+            const entry = readEntry(state.user_id);
+            writeEntry(state.user_id, { state, pending: true, seq: (entry.seq || 0) + 1 });
+            return serial(state.user_id, () => send(state.user_id));
+        },
+
+        // Replays everything still queued, resolves to [{ userId, data, error, queued }]
+        flushPending: () => Promise.all(queuedUserIds().map(userId =>
+            serial(userId, async () => ({ userId, ...(await send(userId)) }))
+        ))
+    };
+};
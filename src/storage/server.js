@@ -0,0 +1,102 @@
+import { createChangeFeed } from './changes'
+
+// The bundled Express server (server/index.js) keeping everything in db.json.
+// In development Vite proxies /api to it, so the default URL works on the LAN.
+export const createServerStorage = ({ url = '/api' } = {}) => {
+    // Resolves to { data, error, status } like the other backends, never throws.
+    // Blobs (photos) are sent as they are, everything else as JSON.
+    const request = async (path, { method = 'GET', body } = {}) => {
+        const isBlob = body instanceof Blob;
+        try {
+            const response = await fetch(`${url}${path}`, {
+                method,
+                headers: body !== undefined ? { 'Content-Type': isBlob ? body.type : 'application/json' } : undefined,
+                body: body !== undefined && !isBlob ? JSON.stringify(body) : body
+            });
+            const data = response.status === 204 ? null : await response.json();
+            if (!response.ok) {
+                const message = data && data.error ? data.error : `Server error ${response.status}`;
+                const details = data && data.details ? `: ${data.details.join(', ')}` : '';
+                return { data: null, error: new Error(message + details), status: response.status };
+            }
+            return { data, error: null, status: response.status };
+        } catch (error) {
+            return { data: null, error, status: null };
+        }
+    };
+
+    // Missing entries are no error, there just is nothing yet
+    const orNull = async (promise) => {
+        const result = await promise;
+        return result.status === 404 ? { data: null, error: null } : result;
+    };
+
+    const id = (value) => encodeURIComponent(value);
+
+    // Photo URLs are stored relative to the API, see server/uploads.js
+    const withPhotoUrls = (profile) => ({
+        ...profile,
+        photo: profile.photo && profile.photo.startsWith('/uploads/') ? url + profile.photo : profile.photo,
+        photo_thumb: profile.photo_thumb && profile.photo_thumb.startsWith('/uploads/') ? url + profile.photo_thumb : profile.photo_thumb
+    });
+
+    return {
+        name: 'server',
+
+        listProfiles: async () => {
+            const result = await request('/profiles');
+            if (result.data) result.data = result.data.map(withPhotoUrls).sort((a, b) => a.name.localeCompare(b.name));
+            return result;
+        },
+        createProfile: (profile) => request('/profiles', { method: 'POST', body: profile }),
+        updateProfile: (profileId, patch) => request(`/profiles/${id(profileId)}`, { method: 'PATCH', body: patch }),
+        deleteProfile: (profileId) => request(`/profiles/${id(profileId)}`, { method: 'DELETE' }),
+        uploadProfilePhoto: async (profileId, { avatar, thumbnail }) => {
+            const saved = {};
+            for (const [size, blob] of Object.entries({ avatar, thumbnail })) {
+                const result = await request(`/profiles/${id(profileId)}/photo/${size}`, { method: 'PUT', body: blob });
+                if (result.error) return result;
+                saved[size] = result.data.url;
+            }
+            return { data: { photo: saved.avatar, photo_thumb: saved.thumbnail }, error: null };
+        },
+
+        getUserState: (userId) => orNull(request(`/users/${id(userId)}`)),
+        saveUserState: (state) => request(`/users/${id(state.user_id)}`, { method: 'PUT', body: state }),
+        listUserStates: async (userIds, columns) => {
+            const result = await request(columns ? `/users?fields=${columns.map(id).join(',')}` : '/users');
+            if (result.data && userIds) result.data = result.data.filter(s => userIds.includes(s.user_id));
+            return result;
+        },
+
+        listTeams: async () => {
+            const result = await request('/teams');
+            if (result.data) result.data.sort((a, b) => a.name.localeCompare(b.name));
+            return result;
+        },
+        createTeam: (team) => request('/teams', { method: 'POST', body: team }),
+        updateTeam: (teamId, patch) => request(`/teams/${id(teamId)}`, { method: 'PATCH', body: patch }),
+        deleteTeam: (teamId) => request(`/teams/${id(teamId)}`, { method: 'DELETE' }),
+
+        getSetting: async (key) => {
+            const result = await orNull(request(`/settings/${id(key)}`));
+            return { ...result, data: result.data ? result.data.value : null };
+        },
+        setSetting: (key, value) => value === null
+            ? orNull(request(`/settings/${id(key)}`, { method: 'DELETE' }))
+            : request(`/settings/${id(key)}`, { method: 'PUT', body: { value } }),
+
+        // Server-sent events, see server/events.js. EventSource reconnects by
+        // itself; whatever changed in between is reported as unknown.
+        subscribe: createChangeFeed((emit, emitAll) => {
+            const source = new EventSource(`${url}/events`);
+            let isReconnect = false;
+            source.onopen = () => {
+                if (isReconnect) emitAll();
+                isReconnect = true;
+            };
+            source.onmessage = (event) => emit(JSON.parse(event.data));
+            return () => source.close();
+        })
+    };
+};
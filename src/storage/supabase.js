@@ -0,0 +1,108 @@
+import { createClient } from '@supabase/supabase-js'
+import { createChangeFeed, TABLES } from './changes'
+import { loadImage, defaultCrop, createProfilePhotos } from '../photos'
+
+// Public bucket for profile photos: <profile id>/avatar.jpg and thumbnail.jpg
+const PHOTO_BUCKET = 'profile-photos';
+
+// Primary key per table, reported as the id of a change
+const KEYS = { profiles: 'id', user_state: 'user_id', teams: 'id' };
+
+// Supabase tables as described in supabase/schema.sql
+export const createSupabaseStorage = ({ url, anonKey }) => {
+    const supabase = createClient(url, anonKey);
+    const photos = supabase.storage.from(PHOTO_BUCKET);
+    const photoPath = (profileId, size) => `${profileId}/${size}.jpg`;
+
+    const uploadProfilePhoto = async (profileId, { avatar, thumbnail }) => {
+        const saved = {};
+        for (const [size, blob] of Object.entries({ avatar, thumbnail })) {
+            const path = photoPath(profileId, size);
+            const { error } = await photos.upload(path, blob, { upsert: true, contentType: blob.type, cacheControl: '31536000' });
+            if (error) return { data: null, error };
+            // Same path for every upload, the version makes browsers load the new one
+            saved[size] = `${photos.getPublicUrl(path).data.publicUrl}?v=${Date.now()}`;
+        }
+        return { data: { photo: saved.avatar, photo_thumb: saved.thumbnail }, error: null };
+    };
+
+    // Profiles from before the bucket keep their photo as data URL in the
+    // table, which makes every profile list slow to load. The first device
+    // that sees one moves it into the bucket, in the background.
+    const moving = new Set();
+    const moveInlinePhoto = async (profile) => {
+        moving.add(profile.id);
+        try {
+            const image = await loadImage(await (await fetch(profile.photo)).blob());
+            const files = await createProfilePhotos(image, defaultCrop(image));
+            URL.revokeObjectURL(image.src);
+            const uploaded = await uploadProfilePhoto(profile.id, files);
+            if (uploaded.error) throw uploaded.error;
+            const { error } = await supabase.from('profiles').update(uploaded.data).eq('id', profile.id);
+            if (error) throw error;
+        } catch (error) {
+            console.warn(`Could not move the photo of ${profile.id} to storage`, error);
+        }
+    };
+
+    return {
+        name: 'supabase',
+
+        listProfiles: async () => {
+            const result = await supabase.from('profiles').select('*').order('name');
+            (result.data || [])
+                .filter(profile => (profile.photo || '').startsWith('data:') && !moving.has(profile.id))
+                .forEach(moveInlinePhoto);
+            return result;
+        },
+        createProfile: (profile) => supabase.from('profiles').insert([profile]),
+        updateProfile: (id, patch) => supabase.from('profiles').update(patch).eq('id', id),
+        deleteProfile: async (id) => {
+            // User state first (foreign key constraint)
+            const { error } = await supabase.from('user_state').delete().eq('user_id', id);
+            if (error) return { data: null, error };
+            const result = await supabase.from('profiles').delete().eq('id', id);
+            if (!result.error) await photos.remove([photoPath(id, 'avatar'), photoPath(id, 'thumbnail')]);
+            return result;
+        },
+        uploadProfilePhoto,
+
+        getUserState: (userId) => supabase.from('user_state').select('*').eq('user_id', userId).maybeSingle(),
+        saveUserState: (state) => supabase.from('user_state').upsert(state),
+        listUserStates: (userIds, columns) => {
+            const query = supabase.from('user_state').select(columns ? columns.join(', ') : '*');
+            return userIds ? query.in('user_id', userIds) : query;
+        },
+
+        listTeams: () => supabase.from('teams').select('*').order('name'),
+        createTeam: (team) => supabase.from('teams').insert([team]),
+        updateTeam: (id, patch) => supabase.from('teams').update(patch).eq('id', id),
+        deleteTeam: (id) => supabase.from('teams').delete().eq('id', id),
+
+        getSetting: async (key) => {
+            const { data, error } = await supabase.from('app_settings').select('value').eq('key', key).maybeSingle();
+            return { data: data ? data.value : null, error };
+        },
+        setSetting: (key, value) => value === null
+            ? supabase.from('app_settings').delete().eq('key', key)
+            : supabase.from('app_settings').upsert({ key, value }),
+
+        // Realtime needs the tables in the supabase_realtime publication, see
+        // supabase/schema.sql. Deletes only carry the primary key.
+        subscribe: createChangeFeed((emit, emitAll) => {
+            const channel = supabase.channel('changes');
+            TABLES.forEach(table => channel.on('postgres_changes', { event: '*', schema: 'public', table }, (payload) => {
+                const row = { ...payload.old, ...payload.new };
+                emit({ table, id: row[KEYS[table]] ?? null });
+            }));
+            // Joined again after a lost connection: changes may have been missed
+            let isRejoin = false;
+            channel.subscribe((status) => {
+                if (status !== 'SUBSCRIBED') return;
+                if (isRejoin) emitAll();
+                isRejoin = true;
+            });
+            return () => supabase.removeChannel(channel);
+        })
+    };
+};
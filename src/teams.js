@@ -0,0 +1,42 @@
+import { sumKm } from './rides'
+
+// Team journeys: several profiles move one shared cyclist. Every ride a member
+// logs after the team journey started counts, whatever their own route is.
+
+export const createTeam = ({ name, memberIds }) => ({
+    id: `team-${Date.now()}`,
+    name: name.trim(),
+    color: `hsl(${Math.random() * 360}, 70%, 50%)`,
+    member_ids: memberIds,
+    route: null,
+    app_state: 'SETUP'
+});
+
+// memberStates: [{ user_id, rides }] as stored in user_state
+export const collectTeamRides = (team, memberStates) => {
+    const startedAt = team.route && team.route.startedAt;
+    if (!startedAt) return [];
+
+    return (memberStates || [])
+        .filter(state => team.member_ids.includes(state.user_id))
+        .flatMap(state => (state.rides || [])
+            .filter(r => (r.createdAt || '') >= startedAt)
+            .map(r => ({ ...r, userId: state.user_id })));
+};
+
+export const computeTeamProgress = (team, teamRides) => {
+    const totalKm = (team.route && team.route.distance) || 0;
+    const ridden = sumKm(teamRides);
+    const currentKm = totalKm > 0 ? Math.min(ridden, totalKm) : 0;
+
+    const contributions = team.member_ids
+        .map(id => ({ profileId: id, km: sumKm(teamRides.filter(r => r.userId === id)) }))
+        .sort((a, b) => b.km - a.km);
+
+    return {
+        currentKm,
+        totalKm,
+        percentage: totalKm > 0 ? currentKm / totalKm : 0,
+        contributions
+    };
+};
@@ -22,30 +22,56 @@ export const haversineDistance = (coords1, coords2) => {
     return R * c;
 };
 
-export const fetchRoute = async (start, end) => {
-    try {
-        const url = `https://router.project-osrm.org/route/v1/bicycling/${start.lng},${start.lat};${end.lng},${end.lat}?overview=full&geometries=geojson`;
-        const response = await fetch(url);
-        const data = await response.json();
-
-        if (data.code !== 'Ok' || !data.routes || data.routes.length === 0) {
-            throw new Error('No route found');
-        }
+// Start, intermediate stops and end in riding order
+export const getRoutePoints = (route) =>
+    [route.start, ...(route.waypoints || []), route.end].filter(Boolean);
+
+// Km from the start of the path to each of its points. Computed once per path
+// array, so lookups on long routes (tens of thousands of points) stay cheap.
+// Paths are never changed in place, a new route means a new array.
+const cumulativeCache = new WeakMap();
 
-        const route = data.routes[0];
-        // data.routes[0].geometry.coordinates is [lng, lat] array
-        // We need to convert it to {lat, lng} for Leaflet
-        const coordinates = route.geometry.coordinates.map(coord => ({ lat: coord[1], lng: coord[0] }));
+export const cumulativeDistances = (path) => {
+    let distances = cumulativeCache.get(path);
+    if (!distances) {
+        distances = new Float64Array(path.length);
+        for (let i = 1; i < path.length; i++) {
+            distances[i] = distances[i - 1] + haversineDistance(path[i - 1], path[i]);
+        }
+        cumulativeCache.set(path, distances);
+    }
+    return distances;
+};
 
-        return {
-            coordinates,
-            distance: route.distance / 1000 // Convert meters to km
-        };
+// Straight-line length of a polyline in km
+export const pathDistance = (points) => {
+    if (points.length < 2) return 0;
+    const distances = cumulativeDistances(points);
+    return distances[distances.length - 1];
+};
 
-    } catch (error) {
-        console.error("Routing error:", error);
-        return { error: error.message }; // Return error info
+// Index of the first point at or beyond distanceKm (binary search). Only
+// called with 0 < distanceKm < total, so the result is at least 1.
+const pointIndexAt = (distances, distanceKm) => {
+    let low = 1;
+    let high = distances.length - 1;
+    while (low < high) {
+        const middle = (low + high) >> 1;
+        if (distances[middle] >= distanceKm) high = middle;
+        else low = middle + 1;
     }
+    return low;
+};
+
+// Point between path[index - 1] and path[index] at distanceKm
+const interpolateAt = (path, distances, index, distanceKm) => {
+    const start = path[index - 1];
+    const end = path[index];
+    const ratio = (distanceKm - distances[index - 1]) / (distances[index] - distances[index - 1]);
+    return {
+        lat: start.lat + (end.lat - start.lat) * ratio,
+        lng: start.lng + (end.lng - start.lng) * ratio
+    };
 };
 
 // Traverse the path based on distance covered
@@ -53,27 +79,175 @@ export const getPositionAlongPath = (path, distanceKm) => {
     if (!path || path.length === 0) return null;
     if (distanceKm <= 0) return path[0];
 
-    let covered = 0;
-
-    for (let i = 0; i < path.length - 1; i++) {
-        const start = path[i];
-        const end = path[i + 1];
-        const segDist = haversineDistance(start, end);
-
-        if (covered + segDist >= distanceKm) {
-            // Target is in this segment
-            const remaining = distanceKm - covered;
-            const ratio = remaining / segDist;
-            return {
-                lat: start.lat + (end.lat - start.lat) * ratio,
-                lng: start.lng + (end.lng - start.lng) * ratio
-            };
+    const distances = cumulativeDistances(path);
+    if (distanceKm >= distances[distances.length - 1]) return path[path.length - 1]; // End of path
+
+    return interpolateAt(path, distances, pointIndexAt(distances, distanceKm), distanceKm);
+};
+
+// Part of the path from its start up to distanceKm, ending exactly at the position
+export const slicePathAtDistance = (path, distanceKm) => {
+    if (!path || path.length === 0) return [];
+    if (distanceKm <= 0) return [path[0]];
+
+    const distances = cumulativeDistances(path);
+    if (distanceKm >= distances[distances.length - 1]) return path.slice();
+
+    const index = pointIndexAt(distances, distanceKm);
+    return [...path.slice(0, index), interpolateAt(path, distances, index, distanceKm)];
+};
+
+// Part of the path between two distances, e.g. the remaining route from the
+// current position on (toKm = Infinity)
+export const slicePathBetween = (path, fromKm, toKm) => {
+    if (!path || path.length === 0) return [];
+    const distances = cumulativeDistances(path);
+    const total = distances[distances.length - 1];
+    if (fromKm <= 0) return slicePathAtDistance(path, toKm);
+    if (fromKm >= total) return [path[path.length - 1]];
+
+    const fromIndex = pointIndexAt(distances, fromKm);
+    const sliced = [interpolateAt(path, distances, fromIndex, fromKm)];
+    if (toKm >= total) return [...sliced, ...path.slice(fromIndex)];
+
+    const toIndex = pointIndexAt(distances, Math.max(fromKm, toKm));
+    return [...sliced, ...path.slice(fromIndex, toIndex), interpolateAt(path, distances, toIndex, Math.max(fromKm, toKm))];
+};
+
+// Km position of the path vertex closest to the given point
+export const locateOnPath = (path, point) => {
+    const distances = cumulativeDistances(path);
+    let bestKm = 0;
+    let bestDist = Infinity;
+
+    for (let i = 0; i < path.length; i++) {
+        const dist = haversineDistance(path[i], point);
+        if (dist < bestDist) {
+            bestDist = dist;
+            bestKm = distances[i];
+        }
+    }
+
+    return bestKm;
+};
+
+// Stops already passed at distanceKm, with the leg lengths leading up to them
+export const splitWaypointsAtDistance = (route, distanceKm) => {
+    const waypoints = route.waypoints || [];
+    const path = route.path || [];
+    if (path.length === 0) return { passed: [], upcoming: waypoints, passedLegs: [] };
+
+    const positions = waypoints.map(point => locateOnPath(path, point));
+    const firstUpcoming = positions.findIndex(km => km > distanceKm);
+    const passedCount = firstUpcoming === -1 ? positions.length : firstUpcoming;
+    const passedKm = positions.slice(0, passedCount);
+
+    return {
+        passed: waypoints.slice(0, passedCount),
+        upcoming: waypoints.slice(passedCount),
+        passedLegs: passedKm.map((km, i) => km - (i > 0 ? passedKm[i - 1] : 0))
+    };
+};
+
+// Douglas-Peucker on a plane where one unit is a degree of latitude; longitude
+// is shrunk by the cosine of the middle latitude. Keeps the first and last
+// point and every point further than tolerance from the simplified line.
+export const simplifyPath = (path, tolerance) => {
+    if (path.length <= 2) return path;
+    const scale = Math.cos((path[path.length >> 1].lat * Math.PI) / 180);
+    const keep = new Uint8Array(path.length);
+    keep[0] = 1;
+    keep[path.length - 1] = 1;
+
+    // Explicit stack, a recursion over 50 000 points can overflow
+    const stack = [[0, path.length - 1]];
+    while (stack.length > 0) {
+        const [first, last] = stack.pop();
+        const ax = path[first].lng * scale;
+        const ay = path[first].lat;
+        const dx = path[last].lng * scale - ax;
+        const dy = path[last].lat - ay;
+        const lengthSq = dx * dx + dy * dy;
+
+        let farthest = -1;
+        let maxDistSq = tolerance * tolerance;
+        for (let i = first + 1; i < last; i++) {
+            const px = path[i].lng * scale - ax;
+            const py = path[i].lat - ay;
+            const t = lengthSq > 0 ? Math.max(0, Math.min(1, (px * dx + py * dy) / lengthSq)) : 0;
+            const ex = px - t * dx;
+            const ey = py - t * dy;
+            const distSq = ex * ex + ey * ey;
+            if (distSq > maxDistSq) {
+                maxDistSq = distSq;
+                farthest = i;
+            }
+        }
+
+        if (farthest !== -1) {
+            keep[farthest] = 1;
+            stack.push([first, farthest], [farthest, last]);
         }
+    }
+
+    return path.filter((_, i) => keep[i]);
+};
 
-        covered += segDist;
+// Path with about one point per screen pixel at the given map zoom, cached
+// per path and zoom level. At zoom z a 256 px tile spans 360 / 2^z degrees of
+// longitude, which on the plane of simplifyPath is cos(lat) times as many units.
+const simplifiedCache = new WeakMap();
+
+export const simplifyForZoom = (path, zoom) => {
+    if (!path || path.length <= 2) return path;
+    let byZoom = simplifiedCache.get(path);
+    if (!byZoom) {
+        byZoom = new Map();
+        simplifiedCache.set(path, byZoom);
+    }
+    if (!byZoom.has(zoom)) {
+        const pixelDeg = 360 / (256 * 2 ** zoom);
+        const scale = Math.cos((path[path.length >> 1].lat * Math.PI) / 180);
+        byZoom.set(zoom, simplifyPath(path, pixelDeg * scale));
     }
+    return byZoom.get(zoom);
+};
+
+// Simplified version of path (from simplifyForZoom) cut at distanceKm along
+// the full path. The simplified path keeps a subset of the original points,
+// so their distances are looked up once; cutting then is a binary search
+// instead of simplifying the cut path again for every animation frame.
+const keptDistancesCache = new WeakMap();
+
+export const sliceSimplifiedPath = (path, simplified, distanceKm) => {
+    if (!path || path.length === 0) return [];
+    if (distanceKm <= 0) return [path[0]];
+    const distances = cumulativeDistances(path);
+    if (distanceKm >= distances[distances.length - 1]) return simplified;
+
+    let kept = keptDistancesCache.get(simplified);
+    if (!kept) {
+        kept = new Float64Array(simplified.length);
+        let i = 0;
+        simplified.forEach((point, k) => {
+            while (path[i] !== point) i++;
+            kept[k] = distances[i];
+        });
+        keptDistancesCache.set(simplified, kept);
+    }
+    const index = pointIndexAt(kept, distanceKm);
+    return [...simplified.slice(0, index), getPositionAlongPath(path, distanceKm)];
+};
 
-    return path[path.length - 1]; // End of path
+// Deep comparison of stored data. Key order is ignored (Postgres jsonb does
+// not keep it) and so are keys set to undefined, which JSON leaves out.
+export const isSameData = (a, b) => {
+    if (a === b) return true;
+    if (!a || !b || typeof a !== 'object' || typeof b !== 'object' || Array.isArray(a) !== Array.isArray(b)) return false;
+    if (Array.isArray(a)) return a.length === b.length && a.every((value, i) => isSameData(value, b[i]));
+    const keysA = Object.keys(a).filter(key => a[key] !== undefined);
+    const keysB = Object.keys(b).filter(key => b[key] !== undefined);
+    return keysA.length === keysB.length && keysA.every(key => isSameData(a[key], b[key]));
 };
 
 // Keep old one for fallback
@@ -0,0 +1,85 @@
+-- Tables used by the app. Run in the Supabase SQL editor; statements are
+-- idempotent so the file can be re-applied after it has been extended.
+
+create table if not exists profiles (
+  id text primary key,
+  name text not null,
+  color text,
+  photo text
+);
+
+create table if not exists user_state (
+  user_id text primary key references profiles (id),
+  route jsonb,
+  progress jsonb,
+  app_state text
+);
+
+-- Ride log (one entry per "Dazu"), progress is recomputed from it
+alter table user_state add column if not exists rides jsonb not null default '[]'::jsonb;
+
+-- Team journeys: one shared route, all members' rides count
+create table if not exists teams (
+  id text primary key,
+  name text not null,
+  color text,
+  member_ids text[] not null default '{}',
+  route jsonb,
+  app_state text
+);
+
+-- Unlocked badges: [{ id, unlockedAt }], the rules live in src/achievements.js
+alter table user_state add column if not exists achievements jsonb not null default '[]'::jsonb;
+
+-- Weekly or monthly km target: { period, km, since }
+alter table user_state add column if not exists goal jsonb;
+
+-- Optional profile PIN (SHA-256 of "<profile id>:<pin>", see src/pin.js)
+alter table profiles add column if not exists pin_hash text;
+
+-- App wide settings, e.g. the admin PIN hash (key 'admin_pin_hash')
+create table if not exists app_settings (
+  key text primary key,
+  value text
+);
+
+-- Ids of deleted rides, so a device that was offline does not bring them back
+-- when its ride log is merged with the stored one (see src/storage/offline.js)
+alter table user_state add column if not exists deleted_ride_ids jsonb not null default '[]'::jsonb;
+
+-- Profile photos are files in Storage, profiles only keep their URLs:
+-- photo (256 px avatar) and photo_thumb (96 px, for lists)
+alter table profiles add column if not exists photo_thumb text;
+
+insert into storage.buckets (id, name, public)
+values ('profile-photos', 'profile-photos', true)
+on conflict (id) do nothing;
+
+-- The app uses the anon key like for the tables (select is needed for upsert)
+drop policy if exists "profile photos read" on storage.objects;
+create policy "profile photos read" on storage.objects
+  for select to anon using (bucket_id = 'profile-photos');
+drop policy if exists "profile photos upload" on storage.objects;
+create policy "profile photos upload" on storage.objects
+  for insert to anon with check (bucket_id = 'profile-photos');
+drop policy if exists "profile photos update" on storage.objects;
+create policy "profile photos update" on storage.objects
+  for update to anon using (bucket_id = 'profile-photos');
+drop policy if exists "profile photos delete" on storage.objects;
+create policy "profile photos delete" on storage.objects
+  for delete to anon using (bucket_id = 'profile-photos');
+
+-- Journey library: paused and completed journeys, see src/journeys.js
+alter table user_state add column if not exists journeys jsonb not null default '[]'::jsonb;
+
+-- Display settings per profile: language ('de', 'en', null = like the device)
+-- and units ('metric' or 'imperial'). Distances are always stored in km.
+alter table profiles add column if not exists language text;
+alter table profiles add column if not exists units text;
+
+-- Live updates between devices (Supabase Realtime), see src/storage/supabase.js
+do $$
+begin
+  alter publication supabase_realtime add table profiles, user_state, teams;
+exception when duplicate_object then null;
+end $$;